@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+const Logger = require('winston');
+const Cli = require('./../lib/Cli');
+
+// stdout is left to the results, only the errors are logged
+Logger.remove(Logger.transports.Console);
+Logger.add(Logger.transports.Console, { level: 'error', stderrLevels: ['error'] });
+
+const cli = new Cli();
+// Ctrl+C ends status --watch, which disconnects the drone before exiting, and interrupts
+// the other commands once the drone disconnected, or after a second
+process.on('SIGINT', () => {
+    cli.interrupt(1000).then((watching) => {
+        if (!watching) {
+            process.exit(130);
+        }
+    });
+});
+cli.run(process.argv.slice(2)).then((code) => process.exit(code));
@@ -1,2 +1,22 @@
 const Drone = require('./lib/Drone');
 module.exports = Drone;
+module.exports.Transport = require('./lib/Transport');
+module.exports.NobleTransport = require('./lib/NobleTransport');
+module.exports.LoopbackTransport = require('./lib/LoopbackTransport');
+module.exports.SimulatedMiniDrone = require('./lib/SimulatedMiniDrone');
+module.exports.ArsdkCodec = require('./lib/ArsdkCodec');
+module.exports.DroneState = require('./lib/DroneState');
+module.exports.Fleet = require('./lib/Fleet');
+module.exports.Failsafe = require('./lib/Failsafe');
+module.exports.Geofence = require('./lib/Geofence');
+module.exports.PositionController = require('./lib/PositionController');
+module.exports.InputShaper = require('./lib/InputShaper');
+module.exports.Controller = require('./lib/Controller');
+module.exports.KeyboardController = require('./lib/KeyboardController');
+module.exports.JoystickController = require('./lib/JoystickController');
+module.exports.Cli = require('./lib/Cli');
+module.exports.Repl = require('./lib/Repl');
+module.exports.ControlServer = require('./lib/ControlServer');
+module.exports.TelemetryRecorder = require('./lib/TelemetryRecorder');
+module.exports.ReplaySource = require('./lib/ReplaySource');
+module.exports.FlightAnalytics = require('./lib/FlightAnalytics');
@@ -0,0 +1,223 @@
+const common = require('./definitions/common.json');
+const minidrone = require('./definitions/minidrone.json');
+
+// Size and Buffer accessors of the ARSDK argument types, all little endian
+const TYPES = {
+    u8: { size: 1, read: 'readUInt8', write: 'writeUInt8' },
+    i8: { size: 1, read: 'readInt8', write: 'writeInt8' },
+    u16: { size: 2, read: 'readUInt16LE', write: 'writeUInt16LE' },
+    i16: { size: 2, read: 'readInt16LE', write: 'writeInt16LE' },
+    u32: { size: 4, read: 'readUInt32LE', write: 'writeUInt32LE' },
+    i32: { size: 4, read: 'readInt32LE', write: 'writeInt32LE' },
+    float: { size: 4, read: 'readFloatLE', write: 'writeFloatLE' },
+    double: { size: 8, read: 'readDoubleLE', write: 'writeDoubleLE' },
+    // enums are sent as their index
+    enum: { size: 4, read: 'readInt32LE', write: 'writeInt32LE' },
+};
+
+/**
+ * ARSDK command codec
+ *
+ * Encodes and decodes the command part of the frames, after the data type and
+ * sequence number: project (u8), class (u8), command (u16) and the arguments.
+ * Driven by the command definitions precompiled from the arsdk-xml project
+ * (https://github.com/Parrot-Developers/arsdk-xml), see lib/definitions.
+ */
+class ArsdkCodec {
+    /**
+     * Instantiates a new instance of the ArsdkCodec class
+     *
+     * @param {Array} projects The project definitions, default common and minidrone
+     */
+    constructor(projects) {
+        this.projects = {};
+        this.projectIds = {};
+        (projects || [common, minidrone]).forEach((project) => this.addProject(project));
+    }
+
+    /**
+     * Indexes a project definition by name and by id
+     * @param {Object} project The project definition, see lib/definitions
+     * @return {undefined}
+     */
+    addProject(project) {
+        project.classes.forEach((msgClass) => {
+            msgClass.commands.forEach((command) => this.addCommand({
+                project: project.name,
+                class: msgClass.name,
+                command: command.name,
+                ids: { project: project.id, class: msgClass.id, command: command.id },
+                args: command.args,
+            }));
+        });
+    }
+
+    /**
+     * Indexes a single command definition, replacing any command with the same ids
+     *
+     * @param {Object} definition The command definition
+     * @param {String} definition.project The project name, e.g. minidrone
+     * @param {String} definition.class The class name, e.g. PilotingState
+     * @param {String} definition.command The command name, e.g. AutoTakeOffModeChanged
+     * @param {Object} definition.ids The project, class and command ids
+     * @param {Array} definition.args The arguments, `{name, type}` with the `values` of enums, default none
+     * @return {String} The `project.Class.Command` key of the command
+     */
+    addCommand(definition) {
+        const ids = definition.ids;
+        if (!this.projects[definition.project]) {
+            const projectDef = { id: ids.project, name: definition.project, classes: {}, classIds: {} };
+            this.projects[definition.project] = projectDef;
+            this.projectIds[ids.project] = projectDef;
+        }
+        const projectDef = this.projects[definition.project];
+        if (!projectDef.classes[definition.class]) {
+            const classDef = { id: ids.class, name: definition.class, commands: {}, commandIds: {} };
+            projectDef.classes[definition.class] = classDef;
+            projectDef.classIds[ids.class] = classDef;
+        }
+        const classDef = projectDef.classes[definition.class];
+        const command = {
+            project: definition.project,
+            class: definition.class,
+            id: ids.command,
+            name: definition.command,
+            args: definition.args || [],
+        };
+        classDef.commands[command.name] = command;
+        classDef.commandIds[command.id] = command;
+        return `${command.project}.${command.class}.${command.name}`;
+    }
+
+    /**
+     * Finds a command definition by names
+     *
+     * @param {String} project The project name, e.g. minidrone
+     * @param {String} className The class name, e.g. Piloting
+     * @param {String} commandName The command name, e.g. TakeOff
+     * @return {Object} The command definition
+     */
+    getCommand(project, className, commandName) {
+        const projectDef = this.projects[project];
+        const classDef = projectDef && projectDef.classes[className];
+        const command = classDef && classDef.commands[commandName];
+        if (!command) {
+            throw new Error(`Unknown command ${project}.${className}.${commandName}`);
+        }
+        return command;
+    }
+
+    /**
+     * Finds a command definition by ids
+     *
+     * @param {Integer} projectId The project id
+     * @param {Integer} classId The class id
+     * @param {Integer} commandId The command id
+     * @return {Object|null} The command definition, null when unknown
+     */
+    findCommand(projectId, classId, commandId) {
+        const projectDef = this.projectIds[projectId];
+        const classDef = projectDef && projectDef.classIds[classId];
+        return (classDef && classDef.commandIds[commandId]) || null;
+    }
+
+    /**
+     * Encodes a command
+     *
+     * @param {String} project The project name, e.g. minidrone
+     * @param {String} className The class name, e.g. PilotingSettings
+     * @param {String} commandName The command name, e.g. MaxAltitude
+     * @param {Object} args The arguments by name, enums accept their name or index
+     * @return {Buffer} The project, class, command and arguments
+     */
+    encode(project, className, commandName, args) {
+        const command = this.getCommand(project, className, commandName);
+        const values = args || {};
+        const projectDef = this.projects[project];
+        const header = new Buffer(4);
+        header.writeUInt8(projectDef.id, 0);
+        header.writeUInt8(projectDef.classes[className].id, 1);
+        header.writeUInt16LE(command.id, 2);
+
+        const buffers = command.args.map((arg) => {
+            if (typeof values[arg.name] === 'undefined') {
+                throw new Error(`Missing argument ${arg.name} for ${project}.${className}.${commandName}`);
+            }
+            return this.encodeArg(arg, values[arg.name]);
+        });
+        return Buffer.concat([header].concat(buffers));
+    }
+
+    /**
+     * Encodes one argument
+     * @param {Object} arg The argument definition
+     * @param {*} value The value
+     * @return {Buffer} The encoded value
+     */
+    encodeArg(arg, value) {
+        if (arg.type === 'string') {
+            return Buffer.concat([new Buffer(String(value), 'utf8'), new Buffer([0])]);
+        }
+        let number = value;
+        if (arg.type === 'enum' && typeof value === 'string') {
+            number = arg.values.indexOf(value);
+            if (number < 0) {
+                throw new Error(`Unknown value ${value} for ${arg.name}, expected one of ${arg.values.join(', ')}`);
+            }
+        }
+        const type = TYPES[arg.type];
+        if (!type) {
+            throw new Error(`Unsupported argument type ${arg.type}`);
+        }
+        const buffer = new Buffer(type.size);
+        buffer[type.write](number, 0);
+        return buffer;
+    }
+
+    /**
+     * Decodes a command
+     *
+     * @param {Buffer} buffer The frame
+     * @param {Integer} offset Where the command starts in the frame, default 0
+     * @return {Object} The project, class and command names, and the arguments by name,
+     *                  names are null and args empty for a command without definition
+     * @throws {Error} When the frame is too short for the command or its arguments
+     */
+    decode(buffer, offset) {
+        const start = offset || 0;
+        if (buffer.length < start + 4) {
+            throw new Error(`Frame too short for a command, ${buffer.length} bytes`);
+        }
+        const ids = {
+            project: buffer.readUInt8(start),
+            class: buffer.readUInt8(start + 1),
+            command: buffer.readUInt16LE(start + 2),
+        };
+        const command = this.findCommand(ids.project, ids.class, ids.command);
+        if (!command) {
+            return { project: null, class: null, command: null, args: {}, ids };
+        }
+
+        const args = {};
+        let position = start + 4;
+        command.args.forEach((arg) => {
+            if (arg.type === 'string') {
+                let end = buffer.indexOf(0, position);
+                end = end < 0 ? buffer.length : end;
+                args[arg.name] = buffer.toString('utf8', position, end);
+                position = end + 1;
+                return;
+            }
+            const type = TYPES[arg.type];
+            if (position + type.size > buffer.length) {
+                throw new Error(`Frame too short for ${command.project}.${command.class}.${command.name}, ${buffer.length} bytes`);
+            }
+            const value = buffer[type.read](position);
+            args[arg.name] = arg.type === 'enum' && arg.values[value] ? arg.values[value] : value;
+            position += type.size;
+        });
+        return { project: command.project, class: command.class, command: command.name, args, ids };
+    }
+}
+
+module.exports = ArsdkCodec;
@@ -0,0 +1,369 @@
+const Drone = require('./Drone');
+const Repl = require('./Repl');
+
+// The exit codes of the minidrone command
+const EXIT_CODES = {
+    ok: 0,
+    failed: 1,
+    usage: 2,
+    notFound: 3,
+};
+
+// The settings of the set command, by name
+const SETTINGS = {
+    'max-altitude': 'maxAltitude',
+    'max-tilt': 'maxTilt',
+    'max-vertical-speed': 'maxVerticalSpeed',
+    'max-rotation-speed': 'maxRotationSpeed',
+};
+
+const FLIPS = ['front', 'back', 'left', 'right'];
+
+const USAGE = `Usage: minidrone <command> [options]
+
+Commands:
+  scan                     List the drones around
+  connect <name|id>        Connect to a drone and print its state
+  takeoff                  Take off, once hovering
+  land                     Land, once landed
+  emergency                Cut the rotors
+  trim                     Flat trim
+  flip <dir>               Flip front, back, left or right
+  set <setting> <value>    Set max-altitude, max-tilt, max-vertical-speed or max-rotation-speed
+  status [--watch]         Print the drone state, and its changes with --watch
+  repl                     Open an interactive session on the drone
+
+Options:
+  --drone <name|id>        The drone to connect to, default the first found
+  --timeout <ms>           How long to look for the drone, default 10000
+  --json                   Print JSON, one document per line
+  --help                   Print this help
+
+Exit codes: 0 done, 1 the drone failed the command, 2 usage error, 3 no drone found`;
+
+/**
+ * Error with the exit code of the command
+ */
+class CliError extends Error {
+    /**
+     * Instantiates a new instance of the CliError class
+     * @param {String} message The message
+     * @param {Integer} code The exit code
+     */
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * Cli Class
+ *
+ * The minidrone command: connects, runs one command on the drone and exits
+ * with a code telling how it went. Each run is a new connection, the flight
+ * limits the drone has are left as they are.
+ */
+class Cli {
+    /**
+     * Instantiates a new instance of the Cli class
+     *
+     * @param {Object} options Configuration options object
+     * @param {Stream} options.stdin Where the repl reads the commands, default process.stdin
+     * @param {Stream} options.stdout Where the results are printed, default process.stdout
+     * @param {Stream} options.stderr Where the errors are printed, default process.stderr
+     * @param {Function} options.createDrone Creates the drone from its options, default a BTLE Drone
+     */
+    constructor(options) {
+        const defaults = {
+            stdin: process.stdin,
+            stdout: process.stdout,
+            stderr: process.stderr,
+            createDrone: (droneOptions) => new Drone(droneOptions),
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.drone = null;
+        // ends status --watch
+        this.stopWatching = null;
+    }
+
+    /**
+     * Splits the arguments into the command, its arguments and the options
+     *
+     * @param {Array} argv The arguments after the executable and script, e.g. ['set', 'max-altitude', '5']
+     * @return {Object} The command, args and options
+     */
+    parse(argv) {
+        const parsed = { command: null, args: [], options: { drone: null, timeout: 10000, json: false, watch: false, help: false } };
+        for (let index = 0; index < argv.length; index += 1) {
+            const arg = argv[index];
+            if (arg === '--json' || arg === '--watch' || arg === '--help') {
+                parsed.options[arg.slice(2)] = true;
+            } else if (arg === '--drone' || arg === '--timeout') {
+                const value = argv[index + 1];
+                if (value === undefined) {
+                    throw new CliError(`Missing value for ${arg}`, EXIT_CODES.usage);
+                }
+                parsed.options[arg.slice(2)] = arg === '--timeout' ? Number(value) : value;
+                index += 1;
+            } else if (arg.indexOf('--') === 0) {
+                throw new CliError(`Unknown option ${arg}`, EXIT_CODES.usage);
+            } else if (!parsed.command) {
+                parsed.command = arg;
+            } else {
+                parsed.args.push(arg);
+            }
+        }
+        if (isNaN(parsed.options.timeout) || parsed.options.timeout <= 0) {
+            throw new CliError('--timeout must be a number of ms', EXIT_CODES.usage);
+        }
+        return parsed;
+    }
+
+    /**
+     * Runs a command
+     *
+     * @param {Array} argv The arguments after the executable and script
+     * @return {Promise} Resolves with the exit code
+     */
+    run(argv) {
+        let parsed;
+        return Promise.resolve()
+            .then(() => {
+                parsed = this.parse(argv);
+                if (parsed.options.help || !parsed.command) {
+                    this.options.stdout.write(`${USAGE}\n`);
+                    return parsed.options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+                }
+                return this.runCommand(parsed).then(() => EXIT_CODES.ok);
+            })
+            .catch((error) => {
+                const code = typeof error.code === 'number' ? error.code : EXIT_CODES.failed;
+                if (parsed && parsed.options.json) {
+                    this.options.stderr.write(`${JSON.stringify({ error: error.message, code })}\n`);
+                } else {
+                    this.options.stderr.write(`${error.message}\n`);
+                }
+                if (code === EXIT_CODES.usage) {
+                    this.options.stderr.write(`${USAGE}\n`);
+                }
+                return code;
+            })
+            .then((code) => {
+                if (this.drone) {
+                    this.drone.disconnect();
+                }
+                return code;
+            });
+    }
+
+    /**
+     * Runs a parsed command
+     * @param {Object} parsed The command, args and options, see parse()
+     * @return {Promise} Resolves once done
+     */
+    runCommand(parsed) {
+        const command = parsed.command;
+        const args = parsed.args;
+        const print = (value, text) => this.print(parsed.options.json, value, text);
+
+        switch (command) {
+        case 'scan':
+            return this.createDrone({}).scan({ timeout: parsed.options.timeout }).then((drones) => print(drones,
+                drones.map((found) => `${found.name}\t${found.id}\t${found.model || 'unknown'}\t${found.rssi}dBm`).join('\n')));
+        case 'connect':
+            if (!args[0]) {
+                throw new CliError('connect needs the name or id of the drone', EXIT_CODES.usage);
+            }
+            return this.connect(Object.assign({}, parsed.options, { drone: args[0] })).then((drone) => {
+                const state = drone.getState();
+                print(state, `Connected to ${state.product.name || args[0]}, battery ${state.battery}%, ${state.flightStatus}`);
+            });
+        case 'takeoff':
+            return this.runOnDrone(parsed, (drone) => drone.takeOff());
+        case 'land':
+            return this.runOnDrone(parsed, (drone) => drone.land());
+        case 'emergency':
+            return this.runOnDrone(parsed, (drone) => drone.emergency());
+        case 'trim':
+            return this.runOnDrone(parsed, (drone) => drone.trim());
+        case 'flip': {
+            if (FLIPS.indexOf(args[0]) < 0) {
+                throw new CliError(`flip needs a direction: ${FLIPS.join(', ')}`, EXIT_CODES.usage);
+            }
+            const animation = `flip${args[0][0].toUpperCase()}${args[0].slice(1)}`;
+            return this.runOnDrone(parsed, (drone) => drone.animate(animation));
+        }
+        case 'set': {
+            const setting = SETTINGS[args[0]];
+            const value = Number(args[1]);
+            if (!setting || args[1] === undefined || isNaN(value)) {
+                throw new CliError(`set needs a setting (${Object.keys(SETTINGS).join(', ')}) and a number`, EXIT_CODES.usage);
+            }
+            const method = `set${setting[0].toUpperCase()}${setting.slice(1)}`;
+            return this.runOnDrone(parsed, (drone) => drone[method](value));
+        }
+        case 'status':
+            return this.status(parsed);
+        case 'repl':
+            return this.connect(parsed.options).then((drone) => new Promise((resolve) => {
+                const session = new Repl(drone, { input: this.options.stdin, output: this.options.stdout });
+                session.on('exit', resolve);
+                session.start();
+            }));
+        default:
+            throw new CliError(`Unknown command ${command}`, EXIT_CODES.usage);
+        }
+    }
+
+    /**
+     * Connects and runs a drone command, printing its result
+     * @param {Object} parsed The parsed command, see parse()
+     * @param {Function} run Runs the command on the drone, returns its promise
+     * @return {Promise} Resolves once the drone confirmed the command
+     */
+    runOnDrone(parsed, run) {
+        const text = [parsed.command].concat(parsed.args).join(' ');
+        return this.connect(parsed.options)
+            .then((drone) => run(drone))
+            .then((result) => this.print(parsed.options.json, { command: text, result: result === undefined ? null : result },
+                `${text}: ${result === undefined ? 'done' : result}`));
+    }
+
+    /**
+     * Prints the drone state, and with --watch its changes until stop() or the drone disconnects
+     * @param {Object} parsed The parsed command, see parse()
+     * @return {Promise} Resolves once done
+     */
+    status(parsed) {
+        const json = parsed.options.json;
+        return this.connect(parsed.options).then((drone) => {
+            const state = drone.getState();
+            this.print(json, state, JSON.stringify(state, null, 2));
+            if (!parsed.options.watch) {
+                return undefined;
+            }
+            return new Promise((resolve, reject) => {
+                const onChange = (diff) => this.print(json, diff, JSON.stringify(diff));
+                const onDisconnect = () => {
+                    this.stopWatching();
+                    reject(new CliError('The drone disconnected', EXIT_CODES.failed));
+                };
+                this.stopWatching = () => {
+                    drone.removeListener('stateChange', onChange);
+                    drone.removeListener('disconnected', onDisconnect);
+                    this.stopWatching = null;
+                    resolve();
+                };
+                drone.on('stateChange', onChange);
+                drone.on('disconnected', onDisconnect);
+            });
+        });
+    }
+
+    /**
+     * Ends status --watch
+     * @return {Boolean} Whether a status --watch was running
+     */
+    stop() {
+        if (!this.stopWatching) {
+            return false;
+        }
+        this.stopWatching();
+        return true;
+    }
+
+    /**
+     * Ctrl+C: ends status --watch, or disconnects the drone of the other commands
+     *
+     * @param {Integer} timeout How long to wait for the drone to disconnect in ms, default 1000ms
+     * @return {Promise} Resolves with whether a status --watch was running, once the drone disconnected or the timeout elapsed
+     */
+    interrupt(timeout) {
+        if (this.stop()) {
+            return Promise.resolve(true);
+        }
+        const drone = this.drone;
+        if (!drone || !drone.network || !drone.network.connected) {
+            // stops a drone still looking for its peripheral
+            if (drone) {
+                drone.disconnect();
+            }
+            return Promise.resolve(false);
+        }
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => resolve(false), timeout || 1000);
+            drone.once('disconnected', () => {
+                clearTimeout(timer);
+                resolve(false);
+            });
+            drone.disconnect();
+        });
+    }
+
+    /**
+     * Creates the drone, without pushing any flight limit
+     * @param {Object} options More drone options
+     * @return {Drone} The drone
+     */
+    createDrone(options) {
+        this.drone = this.options.createDrone(Object.assign({
+            maxAltitude: null,
+            maxTilt: null,
+            maxVerticalSpeed: null,
+            maxRotationSpeed: null,
+            reconnect: false,
+        }, options));
+        return this.drone;
+    }
+
+    /**
+     * Connects to the drone, looking it up by name or id
+     *
+     * @param {Object} options The parsed options, see parse()
+     * @return {Promise} Resolves with the drone once it sent its settings
+     */
+    connect(options) {
+        const drone = this.createDrone({});
+        const timeout = options.timeout;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new CliError(`No drone ${options.drone ? `${options.drone} ` : ''}found within ${timeout}ms`, EXIT_CODES.notFound));
+            }, timeout);
+            drone.once('limitsApplied', () => {
+                clearTimeout(timer);
+                resolve(drone);
+            });
+            if (!options.drone) {
+                drone.connect();
+                return;
+            }
+            drone.scan({ timeout: Math.min(timeout, 5000) }).then((drones) => {
+                const found = drones.filter((candidate) => candidate.id === options.drone || candidate.name === options.drone)[0];
+                if (!found) {
+                    clearTimeout(timer);
+                    reject(new CliError(`No drone ${options.drone} found`, EXIT_CODES.notFound));
+                    return;
+                }
+                drone.connect(found.id);
+            }, (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Prints a result
+     * @param {Boolean} json Print JSON
+     * @param {*} value The result
+     * @param {String} text The result for humans
+     * @return {undefined}
+     */
+    print(json, value, text) {
+        this.options.stdout.write(`${json ? JSON.stringify(value) : text}\n`);
+    }
+}
+
+module.exports = Cli;
+module.exports.EXIT_CODES = EXIT_CODES;
+module.exports.CliError = CliError;
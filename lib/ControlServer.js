@@ -0,0 +1,432 @@
+const http = require('http');
+const crypto = require('crypto');
+const Logger = require('winston');
+const EventEmitter = require('events');
+const WebSocket = require('./WebSocket');
+
+// The drone events streamed to the WebSocket clients by default
+const EVENTS = [
+    'connected', 'disconnected', 'flightStatusChange', 'batteryStatusChange', 'alertStateChange', 'flatTrimChange',
+    'droneSpeedChange', 'dronePositionChange', 'rssiUpdate', 'maxAltitudeChange', 'maxTiltChange',
+    'maxVerticalSpeedChange', 'maxRotationSpeedChange', 'limitsApplied', 'reconnecting', 'reconnected',
+    'reconnectFailed', 'watchdogTriggered', 'failsafeTriggered', 'geofenceBreach', 'commandFailed',
+];
+
+// The settings of PUT /settings and their setters
+const SETTINGS = {
+    maxAltitude: 'setMaxAltitude',
+    maxTilt: 'setMaxTilt',
+    maxVerticalSpeed: 'setMaxVerticalSpeed',
+    maxRotationSpeed: 'setMaxRotationSpeed',
+};
+
+const FLIGHT_PARAMS = ['roll', 'pitch', 'yaw', 'altitude'];
+
+// The drone commands by route, `locked` ones are only for the controller holding the lock
+const ROUTES = {
+    'POST /takeoff': { locked: true, run: (drone) => drone.takeOff() },
+    'POST /land': { locked: true, run: (drone) => drone.land() },
+    'POST /trim': { locked: true, run: (drone) => drone.trim() },
+    'POST /picture': { locked: false, run: (drone) => drone.takePicture() },
+    // anyone may cut the rotors
+    'POST /emergency': { locked: false, run: (drone) => drone.emergency() },
+    'POST /flip/front': { locked: true, run: (drone) => drone.animate('flipFront') },
+    'POST /flip/back': { locked: true, run: (drone) => drone.animate('flipBack') },
+    'POST /flip/left': { locked: true, run: (drone) => drone.animate('flipLeft') },
+    'POST /flip/right': { locked: true, run: (drone) => drone.animate('flipRight') },
+    'GET /state': { locked: false, run: (drone) => drone.getState() },
+};
+
+/**
+ * Error answered with an HTTP status
+ */
+class HttpError extends Error {
+    /**
+     * Instantiates a new instance of the HttpError class
+     * @param {Integer} status The HTTP status
+     * @param {String} message The message
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * ControlServer Class
+ *
+ * Serves a drone to web and tablet apps: REST routes for the commands, the
+ * settings and the state, and a WebSocket streaming the telemetry and taking
+ * the flight params.
+ *
+ * Only one controller flies at a time. Each WebSocket client gets an id in a
+ * `hello` message; the first one to send flight params (or `acquire`) holds
+ * the lock until it sends `release`, closes or stays silent for
+ * `heartbeatTimeout` ms, after which the drone hovers. The other clients'
+ * flight params and the locked routes are refused, the routes unless the
+ * request has the holder's id in an `X-Controller-Id` header.
+ *
+ * Browsers may only call it from the `cors` origin, and the POST and PUT
+ * routes need a JSON Content-Type or an `X-Controller-Id` header, which the
+ * pages of other sites cannot send without asking first.
+ *
+ * @fires ControlServer#lockChange
+ */
+class ControlServer extends EventEmitter {
+    /**
+     * Instantiates a new instance of the ControlServer class
+     *
+     * @param {Drone} drone The drone, connected or not
+     * @param {Object} options Configuration options object
+     * @param {Integer} options.port The port, default 8080, 0 picks a free one
+     * @param {String} options.host The address to listen on, default 127.0.0.1, 0.0.0.0 for the tablets on the network
+     * @param {Integer} options.heartbeatTimeout Time in ms without message before the lock is released, default 1000
+     * @param {Array} options.events The drone events streamed, see EVENTS
+     * @param {String} options.cors The origin allowed to call the routes from a browser, default none
+     */
+    constructor(drone, options) {
+        super();
+        const defaults = {
+            port: 8080,
+            host: '127.0.0.1',
+            heartbeatTimeout: 1000,
+            events: EVENTS,
+            cors: null,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.drone = drone;
+        this.server = http.createServer((request, response) => this.onRequest(request, response));
+        this.server.on('upgrade', (request, socket) => this.onUpgrade(request, socket));
+        // the WebSocket clients by id
+        this.clients = {};
+        // the id of the controller holding the lock
+        this.owner = null;
+        this.heartbeat = null;
+        this.subscriptions = [];
+    }
+
+    /**
+     * Starts serving
+     * @return {Promise} Resolves with the address listened on, { address, port }
+     */
+    listen() {
+        this.subscriptions = this.options.events.map((event) => {
+            const listener = (data) => this.broadcast({ type: 'event', event, data: data === undefined ? null : data });
+            this.drone.on(event, listener);
+            return { event, listener };
+        });
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * Stops serving, closes the WebSocket clients and releases the lock
+     * @return {Promise} Resolves once closed
+     */
+    close() {
+        this.subscriptions.forEach((subscription) => this.drone.removeListener(subscription.event, subscription.listener));
+        this.subscriptions = [];
+        this.release();
+        Object.keys(this.clients).forEach((id) => this.clients[id].close(1001));
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Answers a REST request
+     * @param {http.IncomingMessage} request The request
+     * @param {http.ServerResponse} response The response
+     * @return {undefined}
+     */
+    onRequest(request, response) {
+        if (this.options.cors) {
+            response.setHeader('Access-Control-Allow-Origin', this.options.cors);
+            response.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Controller-Id');
+            response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT');
+        }
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        const path = request.url.split('?')[0].replace(/\/+$/, '');
+        const controller = request.headers['x-controller-id'] || null;
+        const route = ROUTES[`${request.method} ${path}`];
+        const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+        this.readBody(request)
+            .then((body) => {
+                if (!this.isAllowedOrigin(request)) {
+                    throw new HttpError(403, `Origin ${request.headers.origin} not allowed`);
+                }
+                if (request.method !== 'GET' && contentType !== 'application/json' && !controller) {
+                    throw new HttpError(415, 'Expected a Content-Type: application/json or an X-Controller-Id header');
+                }
+                if (request.method === 'PUT' && path === '/settings') {
+                    this.checkLock(controller);
+                    return this.applySettings(body);
+                }
+                if (!route) {
+                    throw new HttpError(404, `No route ${request.method} ${path}`);
+                }
+                if (route.locked) {
+                    this.checkLock(controller);
+                }
+                return route.run(this.drone);
+            })
+            .then((result) => this.respond(response, 200, { result: result === undefined ? null : result }))
+            .catch((error) => {
+                const status = error.status || 500;
+                if (status === 500) {
+                    Logger.warn(`${request.method} ${path} failed: ${error.message}`);
+                }
+                this.respond(response, status, { error: error.message });
+            });
+    }
+
+    /**
+     * If a request may reach the drone: browsers send the page's origin, the other apps none
+     * @param {http.IncomingMessage} request The request
+     * @return {Boolean} Whether it has no origin or the `cors` one
+     */
+    isAllowedOrigin(request) {
+        const origin = request.headers.origin;
+        return !origin || this.options.cors === '*' || origin === this.options.cors;
+    }
+
+    /**
+     * Reads the JSON body of a request
+     * @param {http.IncomingMessage} request The request
+     * @return {Promise} Resolves with the parsed body, {} when empty
+     */
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            request.setEncoding('utf8');
+            request.on('data', (chunk) => {
+                body += chunk;
+                if (body.length > 65536) {
+                    reject(new HttpError(413, 'The body is too large'));
+                    request.destroy();
+                }
+            });
+            request.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Sets the flight limits of a PUT /settings body
+     * @param {Object} body The limits by name, e.g. { maxAltitude: 5 }
+     * @return {Promise} Resolves with the values the drone applied, by name
+     */
+    applySettings(body) {
+        const names = Object.keys(body || {});
+        if (!names.length || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, `Expected the settings to change: ${Object.keys(SETTINGS).join(', ')}`);
+        }
+        names.forEach((name) => {
+            if (!SETTINGS[name]) {
+                throw new HttpError(400, `Unknown setting ${name}, expected one of ${Object.keys(SETTINGS).join(', ')}`);
+            }
+            if (typeof body[name] !== 'number') {
+                throw new HttpError(400, `The ${name} setting must be a number`);
+            }
+        });
+        return Promise.all(names.map((name) => this.drone[SETTINGS[name]](body[name]))).then((values) => {
+            const applied = {};
+            names.forEach((name, index) => {
+                applied[name] = values[index];
+            });
+            return applied;
+        });
+    }
+
+    /**
+     * Writes a JSON response
+     * @param {http.ServerResponse} response The response
+     * @param {Integer} status The HTTP status
+     * @param {Object} body The body
+     * @return {undefined}
+     */
+    respond(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    }
+
+    /**
+     * Refuses the controllers not holding the lock, when it is held
+     * @param {String} controller The controller id, null when unknown
+     * @return {undefined}
+     */
+    checkLock(controller) {
+        if (this.owner && this.owner !== controller) {
+            throw new HttpError(409, `Controller ${this.owner} holds the lock`);
+        }
+    }
+
+    /**
+     * Accepts a WebSocket client
+     * @param {http.IncomingMessage} request The upgrade request
+     * @param {net.Socket} socket Its socket
+     * @return {undefined}
+     */
+    onUpgrade(request, socket) {
+        if (!this.isAllowedOrigin(request)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        const client = WebSocket.accept(request, socket);
+        if (!client) {
+            return;
+        }
+        const id = crypto.randomBytes(8).toString('hex');
+        this.clients[id] = client;
+        client.on('message', (message) => this.onMessage(id, message));
+        client.on('close', () => {
+            delete this.clients[id];
+            if (this.owner === id) {
+                this.release();
+            }
+        });
+        this.send(id, { type: 'hello', id, owner: this.owner });
+    }
+
+    /**
+     * Handles a WebSocket message: flightParams, acquire, release or heartbeat
+     * @param {String} id The client id
+     * @param {String} message The JSON message, e.g. { "type": "flightParams", "pitch": 20 }
+     * @return {undefined}
+     */
+    onMessage(id, message) {
+        let data;
+        try {
+            data = JSON.parse(message);
+        } catch (error) {
+            this.send(id, { type: 'error', error: `Invalid JSON message: ${error.message}` });
+            return;
+        }
+        if (this.owner === id) {
+            this.feedHeartbeat();
+        }
+
+        switch (data && data.type) {
+        case 'flightParams':
+            if (this.acquire(id)) {
+                const flightParams = {};
+                FLIGHT_PARAMS.filter((param) => typeof data[param] === 'number').forEach((param) => {
+                    flightParams[param] = data[param];
+                });
+                this.drone.setFlightParams(flightParams);
+            }
+            break;
+        case 'acquire':
+            this.acquire(id);
+            break;
+        case 'release':
+            if (this.owner === id) {
+                this.release();
+            }
+            break;
+        case 'heartbeat':
+            break;
+        default:
+            this.send(id, { type: 'error', error: `Unknown message type ${data && data.type}` });
+        }
+    }
+
+    /**
+     * Gives the lock to a controller when free
+     * @param {String} id The client id
+     * @return {Boolean} Whether the controller holds the lock
+     */
+    acquire(id) {
+        if (this.owner === id) {
+            return true;
+        }
+        if (this.owner) {
+            this.send(id, { type: 'error', error: `Controller ${this.owner} holds the lock` });
+            return false;
+        }
+        this.owner = id;
+        this.feedHeartbeat();
+        this.onLockChange();
+        return true;
+    }
+
+    /**
+     * Frees the lock, the drone hovers
+     * @return {undefined}
+     */
+    release() {
+        clearTimeout(this.heartbeat);
+        if (!this.owner) {
+            return;
+        }
+        this.owner = null;
+        this.drone.setFlightParams({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+        this.onLockChange();
+    }
+
+    /**
+     * Postpones the release of the lock
+     * @return {undefined}
+     */
+    feedHeartbeat() {
+        clearTimeout(this.heartbeat);
+        this.heartbeat = setTimeout(() => {
+            Logger.warn(`Controller ${this.owner} went silent for ${this.options.heartbeatTimeout}ms, releasing the lock`);
+            this.release();
+        }, this.options.heartbeatTimeout);
+    }
+
+    /**
+     * Tells everyone who holds the lock
+     * @return {undefined}
+     */
+    onLockChange() {
+        /**
+         * Fires when a controller took or released the lock, with its holder's id, null when free
+         *
+         * @event ControlServer#lockChange
+         * @type {string}
+         */
+        this.emit('lockChange', this.owner);
+        this.broadcast({ type: 'lock', owner: this.owner });
+    }
+
+    /**
+     * Sends a message to a WebSocket client
+     * @param {String} id The client id
+     * @param {Object} message The message
+     * @return {undefined}
+     */
+    send(id, message) {
+        if (this.clients[id]) {
+            this.clients[id].send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Sends a message to all the WebSocket clients
+     * @param {Object} message The message
+     * @return {undefined}
+     */
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        Object.keys(this.clients).forEach((id) => this.clients[id].send(text));
+    }
+}
+
+module.exports = ControlServer;
+module.exports.EVENTS = EVENTS;
@@ -0,0 +1,80 @@
+const Logger = require('winston');
+const EventEmitter = require('events');
+
+// The drone commands an input can be mapped to, by action name
+const COMMANDS = {
+    takeoffOrLand: (drone) => drone.takeoffOrLand(),
+    takeOff: (drone) => drone.takeOff(),
+    land: (drone) => drone.land(),
+    trim: (drone) => drone.trim(),
+    emergency: (drone) => drone.emergency(),
+    takePicture: (drone) => drone.takePicture(),
+    flipFront: (drone) => drone.animate('flipFront'),
+    flipBack: (drone) => drone.animate('flipBack'),
+    flipLeft: (drone) => drone.animate('flipLeft'),
+    flipRight: (drone) => drone.animate('flipRight'),
+};
+
+/**
+ * Controller base class
+ *
+ * Flies a drone from an input device. Implementations map the device's keys,
+ * buttons and sticks to the flight params and to the actions below.
+ *
+ * @fires Controller#action
+ */
+class Controller extends EventEmitter {
+    /**
+     * Instantiates a new instance of the Controller class
+     * @param {Drone} drone The drone to fly
+     */
+    constructor(drone) {
+        super();
+        this.drone = drone;
+    }
+
+    /**
+     * Starts reading the input device
+     * @return {undefined}
+     */
+    start() {
+        throw new Error(`${this.constructor.name} must implement start()`);
+    }
+
+    /**
+     * Stops reading the input device, the drone hovers
+     * @return {undefined}
+     */
+    stop() {
+        throw new Error(`${this.constructor.name} must implement stop()`);
+    }
+
+    /**
+     * Runs a drone command, its failure is logged
+     *
+     * @param {String} action The action name: takeoffOrLand, takeOff, land, trim, emergency,
+     *                        takePicture, flipFront, flipBack, flipLeft or flipRight
+     * @return {undefined}
+     */
+    runAction(action) {
+        const command = COMMANDS[action];
+        if (!command) {
+            Logger.warn(`Unknown controller action ${action}`);
+            return;
+        }
+
+        /**
+         * Fires when an input ran a drone command, with the action name
+         *
+         * @event Controller#action
+         * @type {string}
+         */
+        this.emit('action', action);
+        Promise.resolve()
+            .then(() => command(this.drone))
+            .catch((error) => Logger.warn(`Controller action ${action} failed: ${error.message}`));
+    }
+}
+
+module.exports = Controller;
+module.exports.ACTIONS = Object.keys(COMMANDS);
@@ -1,6 +1,23 @@
+const Logger = require('winston');
 const MiniDroneBtAdapter = require('./MiniDroneBtAdapter');
+const NobleTransport = require('./NobleTransport');
+const DroneState = require('./DroneState');
+const Failsafe = require('./Failsafe');
+const Geofence = require('./Geofence');
+const PositionController = require('./PositionController');
+const InputShaper = require('./InputShaper');
+const TelemetryRecorder = require('./TelemetryRecorder');
 const EventEmitter = require('events');
 
+// Flight limits pushed to the drone on every connection, by option name:
+// the setter, the adapter writer and the event the drone echoes the value with
+const LIMITS = {
+    maxAltitude: { method: 'setMaxAltitude', write: 'writeMaxAltitude', event: 'maxAltitudeChange' },
+    maxTilt: { method: 'setMaxTilt', write: 'writeMaxTilt', event: 'maxTiltChange' },
+    maxVerticalSpeed: { method: 'setMaxVerticalSpeed', write: 'writeMaxVerticalSpeed', event: 'maxVerticalSpeedChange' },
+    maxRotationSpeed: { method: 'setMaxRotationSpeed', write: 'writeMaxRotationSpeed', event: 'maxRotationSpeedChange' },
+};
+
 /**
  * Drone Class
  *
@@ -17,6 +34,19 @@ const EventEmitter = require('events');
  * @fires Drone#maxTiltChange
  * @fires Drone#maxVerticalSpeedChange
  * @fires Drone#maxRotationSpeedChange
+ * @fires Drone#commandFailed
+ * @fires Drone#state
+ * @fires Drone#stateChange
+ * @fires Drone#limitsApplied
+ * @fires Drone#discover
+ * @fires Drone#reconnecting
+ * @fires Drone#reconnected
+ * @fires Drone#reconnectFailed
+ * @fires Drone#error
+ * @fires Drone#watchdogTriggered
+ * @fires Drone#failsafeTriggered
+ * @fires Drone#geofenceBreach
+ * @fires Drone#animationStarted
  */
 class Drone extends EventEmitter {
     /**
@@ -29,7 +59,28 @@ class Drone extends EventEmitter {
      * @param {Integer} options.maxTilt The max tilt the drone can achieve from 0-100 (100 being the max 20° inclination the drone firmware allows)
      * @param {Float} options.maxVerticalSpeed The max vertical speed in meters/s the drone can reach (0.5 - 2)
      * @param {Integer} options.maxRotationSpeed The rotation speed in °/s the drone can reach (50 - 1000)
+     *                                 The flight limits are pushed on every connection, null leaves the drone's value
      * @param {String} options.droneFilter The name of the drone to restrict connection to (you can use RegExp)
+     * @param {Transport} options.transport The link to the drone (e.g. a LoopbackTransport), default Noble BTLE
+     * @param {Integer} options.ackTimeout Time in ms to wait for the drone's ack before sending a command again, default 150ms
+     * @param {Integer} options.maxRetries How many times a command is sent before giving up, default 5
+     * @param {Integer} options.commandTimeout Time in ms to wait for the drone to confirm a command, default 10000ms
+     * @param {String} options.rangePolicy What to do with limits out of the range the drone reports, `clamp` or `reject`, default clamp
+     * @param {Boolean} options.reconnect Connect again to the same drone when the link is lost, default true
+     * @param {Integer} options.reconnectAttempts How many times to try reconnecting before giving up, default 5
+     * @param {Integer} options.reconnectDelay Time in ms before the first attempt, doubled on each attempt, default 1000ms
+     * @param {Integer} options.reconnectMaxDelay The longest time in ms between two attempts, default 30000ms
+     * @param {Integer} options.reconnectTimeout Time in ms an attempt may take, default 10000ms
+     * @param {String} options.linkLossPolicy What to do with the flight params after reconnecting in flight,
+     *                                       `hover` zeroes them, `resume` keeps flying them, `land` lands, default hover
+     * @param {Integer} options.watchdogTimeout Time in ms without setFlightParams() before the flight params
+     *                                          are zeroed to hover, default 0 (disabled)
+     * @param {Integer} options.watchdogLandTimeout Time in ms without setFlightParams() before the flying drone lands,
+     *                                              default 0 (disabled)
+     * @param {Object} options.failsafes Failsafe rules by name, replacing the default ones, see Failsafe
+     * @param {Object} options.geofence Walls around the takeoff point, see Geofence, default none
+     * @param {Object} options.positionControl The gains and tolerances of goTo(), see PositionController
+     * @param {Object} options.inputShaping The deadzones, expo curves, rate limits and trims of the flight params, see InputShaper
      * @return {Drone} A new instance of the Drone class
      */
     constructor(options) {
@@ -42,6 +93,23 @@ class Drone extends EventEmitter {
             maxVerticalSpeed: 1.0,
             maxRotationSpeed: 120,
             droneFilter: '',
+            transport: null,
+            ackTimeout: 150,
+            maxRetries: 5,
+            commandTimeout: 10000,
+            rangePolicy: 'clamp',
+            reconnect: true,
+            reconnectAttempts: 5,
+            reconnectDelay: 1000,
+            reconnectMaxDelay: 30000,
+            reconnectTimeout: 10000,
+            linkLossPolicy: 'hover',
+            watchdogTimeout: 0,
+            watchdogLandTimeout: 0,
+            failsafes: {},
+            geofence: null,
+            positionControl: {},
+            inputShaping: {},
         };
         this.flightParams = {
             roll: 0,
@@ -49,8 +117,54 @@ class Drone extends EventEmitter {
             yaw: 0,
             altitude: 0,
         };
+        // the flight params were shaped before setFlightParams(), they are written as they are
+        this.flightParamsShaped = false;
         this.options = Object.assign({}, defaults, options);
         this.network = null;
+        this.transport = null;
+        // decoders registered by the user, applied to every new network adapter
+        this.decoders = [];
+        this.state = new DroneState();
+        // setters called before connecting, settled once the limits are applied
+        this.queuedLimits = [];
+        // last write of each limit, a new write waits for the previous echo
+        this.limitWrites = {};
+        // limits written over the configured ones, by a failsafe: { value, previous } by limit name
+        this.limitOverrides = {};
+        // the reconnection in progress: { id, attempt, airborne, timer }
+        this.reconnection = null;
+        // no reconnection after disconnect() was called
+        this.manualDisconnect = false;
+        // when the controller last set the flight params, and the watchdog action already taken since
+        this.lastInputAt = Date.now();
+        this.watchdogAction = null;
+
+        /**
+         * Fires when the drone state changed, with the values that changed
+         *
+         * @event Drone#stateChange
+         * @type {object}
+         */
+        this.state.on('stateChange', (diff) => this.emit('stateChange', diff));
+
+        /**
+         * Fires when a failsafe rule acted on the drone or refused a command, with the rule name,
+         * the battery level and alert state, and the refused command
+         *
+         * @event Drone#failsafeTriggered
+         * @type {object}
+         */
+        this.failsafe = new Failsafe(this, this.options.failsafes);
+
+        this.geofence = null;
+        // if the drone is past a wall, the breach action is taken once
+        this.geofenceBreached = false;
+        this.setGeofence(this.options.geofence);
+        this.state.on('stateChange', (diff) => diff.position && this.checkGeofence());
+
+        this.positionController = new PositionController(this, this.options.positionControl);
+        this.inputShaper = new InputShaper(this.options.inputShaping);
+        this.recorder = null;
 
         // update loop, writes the flight params to the network every X ms
         this.eventInterval = setInterval(() => this.eventLoop(), this.options.updateMS);
@@ -68,54 +182,419 @@ class Drone extends EventEmitter {
      * @param {Integer} flightParams.pitch The pitch value of the drone -100 to 100 (optional)
      * @param {Integer} flightParams.yaw The yaw value -100 to 100 (optional)
      * @param {Integer} flightParams.altitude Increase or decrease the altitude (overall rotor RPM) -100 to 100 (optional)
+     * @param {Boolean} shaped If the params are shaped already, e.g. replayed from a log, the input shaping is skipped
      * @return {undefined}
      */
-    setFlightParams(flightParams) {
+    setFlightParams(flightParams, shaped) {
         this.flightParams = Object.assign({}, this.flightParams, flightParams);
+        this.flightParamsShaped = Boolean(shaped);
+        this.feedWatchdog();
     }
 
     /**
-     * Sets the drone's Max Altitude
+     * Restarts the watchdog timeouts, the controller is alive
+     * @return {undefined}
+     */
+    feedWatchdog() {
+        this.lastInputAt = Date.now();
+        this.watchdogAction = null;
+    }
+
+    /**
+     * Neutralizes stale flight params: zeroes them after `watchdogTimeout`
+     * and lands the flying drone after `watchdogLandTimeout` without input
+     *
+     * @fires Drone#watchdogTriggered
+     * @return {undefined}
+     */
+    checkWatchdog() {
+        const idle = Date.now() - this.lastInputAt;
+        const params = this.flightParams;
+        const moving = params.roll || params.pitch || params.yaw || params.altitude;
+        let action = null;
+        if (this.options.watchdogLandTimeout && idle >= this.options.watchdogLandTimeout &&
+            this.watchdogAction !== 'land' && this.isFlying()) {
+            action = 'land';
+        } else if (this.options.watchdogTimeout && idle >= this.options.watchdogTimeout && !this.watchdogAction && moving) {
+            action = 'hover';
+        }
+        if (!action) {
+            return;
+        }
+        this.watchdogAction = action;
+        this.flightParams = { roll: 0, pitch: 0, yaw: 0, altitude: 0 };
+        Logger.warn(`No flight params for ${idle}ms, ${action === 'land' ? 'landing' : 'hovering'}`);
+
+        /**
+         * Fires when the watchdog neutralized stale flight params, with its action
+         * (`hover` or `land`) and the time in ms since the last setFlightParams()
+         *
+         * @event Drone#watchdogTriggered
+         * @type {object}
+         */
+        this.emit('watchdogTriggered', { action, idle });
+        if (action === 'land') {
+            this.land();
+        }
+    }
+
+    /**
+     * Sets the walls the drone must stay within
+     *
+     * @param {Object|Geofence} geofence The geofence or its options, see Geofence, null removes it
+     * @return {undefined}
+     */
+    setGeofence(geofence) {
+        this.geofence = geofence && !(geofence instanceof Geofence) ? new Geofence(geofence) : geofence || null;
+        this.geofenceBreached = false;
+    }
+
+    /**
+     * Hovers or lands the flying drone once it went past a wall
+     *
+     * @fires Drone#geofenceBreach
+     * @return {undefined}
+     */
+    checkGeofence() {
+        if (!this.geofence) {
+            return;
+        }
+        const position = this.getState().position;
+        if (this.geofence.contains(position)) {
+            this.geofenceBreached = false;
+            return;
+        }
+        if (this.geofenceBreached || !this.isFlying()) {
+            return;
+        }
+        this.geofenceBreached = true;
+        const action = this.geofence.options.breachAction;
+        this.positionController.stop(new Error('The geofence was breached before reaching the target'));
+        this.flightParams = { roll: 0, pitch: 0, yaw: 0, altitude: 0 };
+        Logger.warn(`Geofence breached at ${position.x}, ${position.y}, ${position.z}cm, ${action === 'land' ? 'landing' : 'hovering'}`);
+
+        /**
+         * Fires when the flying drone went past a wall of the geofence, with its position and the action taken
+         *
+         * @event Drone#geofenceBreach
+         * @type {object}
+         */
+        this.emit('geofenceBreach', { position, action });
+        if (action === 'land') {
+            this.land();
+        }
+    }
+
+    /**
+     * Holds the drone where it is, against drift
+     * @return {Promise} Resolves with the position once held, see goTo()
+     */
+    holdPosition() {
+        return this.controlTo('holdPosition', (position) => position);
+    }
+
+    /**
+     * Flies the drone to a position relative to the takeoff point, and holds it there
+     *
+     * @param {Object} target The target, the omitted axes keep the current position
+     * @param {Float} target.x Forward at takeoff in m
+     * @param {Float} target.y Right at takeoff in m
+     * @param {Float} target.z Altitude in m
+     * @param {Float} target.psi Heading in degrees
+     * @return {Promise} Resolves with the position, in m and degrees, once within the tolerances of the target
+     */
+    goTo(target) {
+        return this.controlTo('goTo', (position) => Object.assign({}, position, target));
+    }
+
+    /**
+     * Turns the drone to a heading, keeping its position or current target
+     *
+     * @param {Float} psi The heading in degrees, as the drone reports it
+     * @return {Promise} Resolves with the position once within the heading tolerance
+     */
+    setHeading(psi) {
+        return this.controlTo('setHeading', (position) => Object.assign({}, this.positionController.target || position, { psi }));
+    }
+
+    /**
+     * Stops goTo(), holdPosition() and setHeading(), the drone hovers
+     * @return {undefined}
+     */
+    releaseControl() {
+        this.positionController.stop();
+    }
+
+    /**
+     * Starts the position controller towards a target
+     *
+     * @param {String} name The move name, for the error messages
+     * @param {Function} getTarget Returns the target from the current position
+     * @return {Promise} Resolves with the position once arrived
+     */
+    controlTo(name, getTarget) {
+        if (!this.network || !this.network.connected) {
+            return this.settle(Promise.reject(new Error(`Cannot ${name}, not connected to a drone`)));
+        }
+        if (!this.isFlying()) {
+            return this.settle(Promise.reject(new Error(`Cannot ${name}, the drone is not flying`)));
+        }
+        const position = this.positionController.getPosition();
+        if (!position) {
+            return this.settle(Promise.reject(new Error(`Cannot ${name}, the drone did not report its position`)));
+        }
+        const current = { x: position.x, y: position.y, z: position.z, psi: position.psi };
+        return this.settle(this.positionController.start(name, getTarget(current)));
+    }
+
+    /**
+     * Changes the shaping of the flight params
      *
-     * @param {Float} altitude Increase or decrease the max altitude 0.5 to 10
+     * @param {Object} options The shaping options, see InputShaper, e.g. `{ preset: 'beginner', yaw: { trim: 3 } }`
      * @return {undefined}
      */
+    setInputShaping(options) {
+        this.options.inputShaping = options;
+        this.inputShaper = new InputShaper(options);
+    }
+
+    /**
+     * Records the events and the commands as NDJSON flight logs, a new file for each flight
+     *
+     * @param {String} path The log of the first flight, the next ones are numbered, e.g. logs/bench-2.ndjson
+     * @param {Object} options The recorder options, see TelemetryRecorder (optional)
+     * @return {TelemetryRecorder} The recorder
+     */
+    startRecording(path, options) {
+        if (this.recorder) {
+            // the recorder logged its failures already
+            this.stopRecording().catch(() => {});
+        }
+        this.recorder = new TelemetryRecorder(this, Object.assign({}, options, { path }));
+        this.recorder.start();
+        return this.recorder;
+    }
+
+    /**
+     * Stops recording
+     * @return {Promise} Resolves once the log is written, rejects when it could not be
+     */
+    stopRecording() {
+        const recorder = this.recorder;
+        this.recorder = null;
+        return recorder ? recorder.stop() : Promise.resolve();
+    }
+
+    /**
+     * Sets the drone's Max Altitude
+     *
+     * @param {Float} altitude The max altitude in m, within the range the drone reports
+     * @return {Promise} Resolves with the value the drone confirmed, once connected
+     */
     setMaxAltitude(altitude) {
-        this.options.maxAltitude = altitude;
-        this.network.writeMaxAltitude(this.options.maxAltitude);
+        return this.setLimit('maxAltitude', altitude);
     }
 
     /**
      * Sets the drone's Max Tilt
      *
-     * @param {Integer} tilt set max tilt angle 0-100 (0 = 5° - 100 = 25°)
-     * @return {undefined}
+     * @param {Integer} tilt The max tilt in °, within the range the drone reports
+     * @return {Promise} Resolves with the value the drone confirmed, once connected
      */
     setMaxTilt(tilt) {
-        this.options.maxTilt = tilt;
-        this.network.writeMaxTilt(this.options.maxTilt);
+        return this.setLimit('maxTilt', tilt);
     }
 
     /**
      * Sets the drone's MaxVerticalSpeed
      *
-     * @param {Integer} speed set max vertical speed in m/s (0.5m/s  to 2m/s)
-     * @return {undefined}
+     * @param {Float} speed The max vertical speed in m/s, within the range the drone reports
+     * @return {Promise} Resolves with the value the drone confirmed, once connected
      */
     setMaxVerticalSpeed(speed) {
-        this.options.maxVerticalSpeed = speed;
-        this.network.writeMaxVerticalSpeed(this.options.maxVerticalSpeed);
+        return this.setLimit('maxVerticalSpeed', speed);
     }
 
     /**
      * Sets the drone's MaxRotationSpeed
      *
-     * @param {Integer} speed Increase or decrease rotation speed (yaw) in °/sec 0-1000 (50°/s - 360°/s)
-     * @return {undefined}
+     * @param {Integer} speed The max rotation speed (yaw) in °/s, within the range the drone reports
+     * @return {Promise} Resolves with the value the drone confirmed, once connected
      */
     setMaxRotationSpeed(speed) {
-        this.options.maxRotationSpeed = speed;
-        this.network.writeMaxRotationSpeed(this.options.maxRotationSpeed);
+        return this.setLimit('maxRotationSpeed', speed);
+    }
+
+    /**
+     * Stores a flight limit and writes it, or queues it until the drone connects
+     *
+     * @param {String} name The limit option name, one of the LIMITS keys
+     * @param {Float} value The limit value
+     * @return {Promise} Resolves with the value the drone confirmed
+     */
+    setLimit(name, value) {
+        if (this.network && this.network.connected) {
+            try {
+                this.checkRange(name, value);
+            } catch (error) {
+                return this.settle(Promise.reject(error));
+            }
+        }
+        this.options[name] = value;
+        if (!this.network || !this.network.connected) {
+            return this.settle(new Promise((resolve, reject) => this.queuedLimits.push({ name, resolve, reject })));
+        }
+        return this.writeLimit(name);
+    }
+
+    /**
+     * Writes the value of a flight limit and waits for the drone's echo
+     *
+     * @param {String} name The limit option name, one of the LIMITS keys
+     * @param {Float} value The value to write, default the override or the configured value
+     * @return {Promise} Resolves with the value the drone confirmed
+     */
+    writeLimit(name, value) {
+        const limit = LIMITS[name];
+        // an echo of the previous write must not confirm this one
+        const previous = this.limitWrites[name] || Promise.resolve();
+        const write = previous.catch(() => {}).then(() => {
+            const checked = this.checkRange(name, value === undefined ? this.limitValue(name) : value);
+            // an explicit value is written once, not stored
+            if (value === undefined && this.limitOverrides[name]) {
+                this.limitOverrides[name].value = checked;
+            } else if (value === undefined) {
+                this.options[name] = checked;
+            }
+            return this.confirm(limit.method, () => this.network[limit.write](checked), limit.event);
+        });
+        this.limitWrites[name] = write;
+        return this.settle(write);
+    }
+
+    /**
+     * The value of a flight limit to write, the override if any, else the configured one
+     *
+     * @param {String} name The limit option name, one of the LIMITS keys
+     * @return {Float|null} The limit value, null when left as the drone has it
+     */
+    limitValue(name) {
+        return this.limitOverrides[name] ? this.limitOverrides[name].value : this.options[name];
+    }
+
+    /**
+     * Writes a flight limit over the configured one, until restoreLimit(), e.g. for a failsafe,
+     * the configured option is kept and written again on restore
+     *
+     * @param {String} name The limit option name, one of the LIMITS keys
+     * @param {Float} value The limit value
+     * @return {Promise} Resolves with the value the drone confirmed
+     */
+    overrideLimit(name, value) {
+        // the value before the first override, restored when no value is configured
+        const previous = this.limitOverrides[name] ? this.limitOverrides[name].previous : this.getState().settings[name].current;
+        this.limitOverrides[name] = { value, previous };
+        if (!this.network || !this.network.connected) {
+            return this.settle(new Promise((resolve, reject) => this.queuedLimits.push({ name, resolve, reject })));
+        }
+        return this.writeLimit(name);
+    }
+
+    /**
+     * Drops the override of a flight limit and writes the configured value again
+     *
+     * @param {String} name The limit option name, one of the LIMITS keys
+     * @return {Promise} Resolves with the value the drone confirmed, null when nothing was overridden
+     */
+    restoreLimit(name) {
+        const override = this.limitOverrides[name];
+        delete this.limitOverrides[name];
+        if (!override) {
+            return Promise.resolve(null);
+        }
+        if (this.options[name] === null) {
+            if (override.previous === null) {
+                return Promise.resolve(null);
+            }
+            // nothing configured, the drone gets back the value it had
+            return this.network && this.network.connected ? this.writeLimit(name, override.previous) : Promise.resolve(override.previous);
+        }
+        if (!this.network || !this.network.connected) {
+            return this.settle(new Promise((resolve, reject) => this.queuedLimits.push({ name, resolve, reject })));
+        }
+        return this.writeLimit(name);
+    }
+
+    /**
+     * Checks a flight limit against the range the connected drone reported,
+     * values are passed through until the drone reported it
+     *
+     * @param {String} name The limit option name, one of the LIMITS keys
+     * @param {Float} value The limit value
+     * @return {Float} The value, clamped to the range with the `clamp` range policy
+     */
+    checkRange(name, value) {
+        const range = this.getState().settings[name];
+        if (range.min === null || range.max === null || (value >= range.min && value <= range.max)) {
+            return value;
+        }
+        const message = `${name} ${value} is out of the drone's range ${range.min} to ${range.max}`;
+        if (this.options.rangePolicy === 'reject') {
+            throw new RangeError(message);
+        }
+        const clamped = Math.min(range.max, Math.max(range.min, value));
+        Logger.warn(`${message}, clamped to ${clamped}`);
+        return clamped;
+    }
+
+    /**
+     * Asks the drone for all its settings, their ranges included
+     * @return {Promise} Resolves once the drone sent them all
+     */
+    requestSettings() {
+        const isAllSettings = (command) => command.class === 'SettingsState' && command.command === 'AllSettingsChanged';
+        return this.confirm('requestSettings', () => this.network.writeCommand('common', 'Settings', 'AllSettings'), 'state', isAllSettings);
+    }
+
+    /**
+     * Pushes all the configured flight limits to the drone, on every connection,
+     * checked against the ranges it reports, and settles the setters called before connecting
+     *
+     * @fires Drone#limitsApplied
+     * @return {Promise} Resolves with the values the drone confirmed, by limit name
+     */
+    applyLimits() {
+        const queued = this.queuedLimits;
+        this.queuedLimits = [];
+        // a limit set to null is left as the drone has it
+        const names = Object.keys(LIMITS).filter((name) => this.limitValue(name) !== null);
+
+        // the limits are checked against the ranges, written anyway when the drone does not send them
+        const settings = this.requestSettings().catch((error) => Logger.warn(`Could not get the drone's settings: ${error.message}`));
+
+        return this.settle(settings.then(() => Promise.all(names.map((name) => this.writeLimit(name)))).then((values) => {
+            const applied = {};
+            names.forEach((name, index) => {
+                applied[name] = values[index];
+                if (Math.abs(values[index] - this.limitValue(name)) > 0.001) {
+                    Logger.warn(`The drone applied ${name} ${values[index]} instead of ${this.limitValue(name)}`);
+                }
+            });
+            queued.forEach((setter) => setter.resolve(applied[setter.name]));
+
+            /**
+             * Fires once the drone confirmed the configured flight limits
+             *
+             * @event Drone#limitsApplied
+             * @type {object}
+             */
+            this.emit('limitsApplied', applied);
+            return applied;
+        }, (error) => {
+            Logger.warn(`Could not apply the flight limits: ${error.message}`);
+            queued.forEach((setter) => setter.reject(error));
+            throw error;
+        }));
     }
 
     /**
@@ -126,6 +605,9 @@ class Drone extends EventEmitter {
      */
     setDroneFilter(name) {
         this.options.droneFilter = name;
+        if (this.transport instanceof NobleTransport) {
+            this.transport.options.droneFilter = name;
+        }
     }
 
     /**
@@ -145,71 +627,244 @@ class Drone extends EventEmitter {
 
     /**
      * Toggle the drone's takeoff or land command
-     * @return {undefined}
+     * @return {Promise} Resolves once the drone hovers or landed
      */
     takeoffOrLand() {
-        this.isFlying() ? this.land() : this.takeOff();
+        return this.isFlying() ? this.land() : this.takeOff();
     }
 
     /**
      * Perform the drone's automated takeoff command
-     * @return {undefined}
+     * @return {Promise} Resolves once the drone hovers
      */
     takeOff() {
-        this.network.writeTakeoff();
+        const isHovering = (status) => status === 'hovering' || status === 'flying';
+        if (this.network && isHovering(this.network.flightStatus)) {
+            return Promise.resolve(this.network.flightStatus);
+        }
+        // the watchdog counts from the takeoff when no input came yet
+        this.feedWatchdog();
+        return this.confirm('takeOff', () => this.network.writeTakeoff(), 'flightStatusChange', isHovering);
     }
 
     /**
      * Perform the drone's automated land command
-     * @return {undefined}
+     * @return {Promise} Resolves once the drone landed
      */
     land() {
-        this.network.writeLand();
+        const isLanded = (status) => status === 'landed';
+        if (this.network && isLanded(this.network.flightStatus)) {
+            return Promise.resolve(this.network.flightStatus);
+        }
+        return this.confirm('land', () => this.network.writeLand(), 'flightStatusChange', isLanded);
     }
 
     /**
      * Perform the drone's trim command
-     * @return {undefined}
+     * @return {Promise} Resolves once the drone confirmed the flat trim
      */
     trim() {
-        this.network.writeTrim();
+        return this.confirm('trim', () => this.network.writeTrim(), 'flatTrimChange');
     }
 
     /**
      * Perform the drone's take a picture command
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     takePicture() {
-        this.network.writeTakePicture();
+        return this.confirm('takePicture', () => this.network.writeTakePicture());
     }
 
     /**
      * Perform the drone's emergency landing, kills the rotors
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     emergency() {
-        this.network.writeEmergency();
+        return this.confirm('emergency', () => this.network.writeEmergency());
     }
 
     /**
      * Preform the drone's animation routines
      * @param  {String} animation one of the following animation methods:
      *                  flipFront, flipBack, flipRight, flipLeft
-     * @return {undefined}
+     * @fires Drone#animationStarted
+     * @return {Promise} Resolves when the drone acks the command
      */
     animate(animation) {
-        this.network.writeAnimation(animation);
+        const animated = this.confirm('animate', () => this.network.writeAnimation(animation));
+        animated.then(() => {
+            /**
+             * Fires once the drone acked an animation, with its name, e.g. flipFront
+             *
+             * @event Drone#animationStarted
+             * @type {string}
+             */
+            this.emit('animationStarted', animation);
+        }, () => {});
+        return animated;
+    }
+
+    /**
+     * Sends any command of the ARSDK common and minidrone projects
+     *
+     * @param {String} project The project name, e.g. minidrone
+     * @param {String} className The class name, e.g. Piloting
+     * @param {String} commandName The command name, e.g. AutoTakeOffMode
+     * @param {Object} args The command arguments by name, e.g. { state: 1 }
+     * @return {Promise} Resolves when the drone acks the command
+     */
+    sendCommand(project, className, commandName, args) {
+        const name = `${project}.${className}.${commandName}`;
+        return this.confirm(name, () => this.network.writeCommand(project, className, commandName, args));
+    }
+
+    /**
+     * Sends a command and waits for the drone to confirm it. The promise rejects
+     * when the drone does not confirm within `commandTimeout`, disconnects, never
+     * acks the command or enters the emergency state, or right away when a failsafe refuses it.
+     *
+     * @param {String} name The command name, for the error messages
+     * @param {Function} send Writes the command, returns the adapter's ack promise
+     * @param {String} event The event confirming the command, the ack confirms it when omitted
+     * @param {Function} isConfirmed Tells if the event's value confirms the command (optional)
+     * @return {Promise} Resolves with the confirming event's value
+     */
+    confirm(name, send, event, isConfirmed) {
+        if (!this.network || !this.network.connected) {
+            return this.settle(Promise.reject(new Error(`Cannot ${name}, not connected to a drone`)));
+        }
+        const refusedBy = this.failsafe.refusal(name);
+        if (refusedBy) {
+            return this.settle(Promise.reject(new Error(`Cannot ${name}, refused by the ${refusedBy} failsafe`)));
+        }
+
+        return this.settle(new Promise((resolve, reject) => {
+            let settled = false;
+            let timer = null;
+            const listeners = {};
+            const done = (error, value) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                Object.keys(listeners).forEach((key) => this.removeListener(key, listeners[key]));
+                error ? reject(error) : resolve(value);
+            };
+            const listen = (key, listener) => {
+                listeners[key] = listener;
+                this.on(key, listener);
+            };
+
+            // listening before sending, the drone may answer right away
+            const onEvent = (value) => (!isConfirmed || isConfirmed(value)) && done(null, value);
+            listen('disconnected', () => done(new Error(`Disconnected before the drone confirmed ${name}`)));
+            listen('flightStatusChange', (status) => {
+                if (status === 'emergency' && name !== 'emergency') {
+                    done(new Error(`The drone entered the emergency state during ${name}`));
+                } else if (event === 'flightStatusChange') {
+                    onEvent(status);
+                }
+            });
+            if (event && event !== 'flightStatusChange') {
+                listen(event, onEvent);
+            }
+            timer = setTimeout(() => {
+                done(new Error(`The drone did not confirm ${name} within ${this.options.commandTimeout}ms`));
+            }, this.options.commandTimeout);
+
+            let ack;
+            try {
+                ack = send();
+            } catch (error) {
+                done(error);
+                return;
+            }
+            Promise.resolve(ack).then(() => !event && done(null), (error) => done(error));
+        }));
+    }
+
+    /**
+     * Marks a promise as handled, callers that do not await a command
+     * must not crash the process when it fails
+     * @param  {Promise} promise The promise
+     * @return {Promise} The same promise
+     */
+    settle(promise) {
+        promise.catch(() => {});
+        return promise;
+    }
+
+    /**
+     * The configured transport, a BTLE one when none was given
+     * @return {Transport} The transport
+     */
+    getTransport() {
+        if (!this.transport) {
+            this.transport = this.options.transport || new NobleTransport({ droneFilter: this.options.droneFilter });
+
+            /**
+             * Fires for each drone found by scan()
+             *
+             * @event Drone#discover
+             * @type {object}
+             */
+            this.transport.on('discover', (drone) => this.emit('discover', drone));
+        }
+        return this.transport;
+    }
+
+    /**
+     * Looks for the drones around without connecting
+     *
+     * @param {Object} options Scan options
+     * @param {Integer} options.timeout How long to scan in ms, default 5000ms
+     * @return {Promise} Resolves with the drones found: name, id, rssi, manufacturer and model
+     */
+    scan(options) {
+        return this.getTransport().scan(options);
     }
 
     /**
-     * Pairs with the drone as a BTLE peripheral
+     * Pairs with the drone through the configured transport,
+     * as a BTLE peripheral when none was given
+     * @param {String} id The id of the drone to connect to, as found by scan(), default the first drone found
      * @return {undefined}
      */
-    connect() {
+    connect(id) {
+        this.manualDisconnect = false;
+        // the ranges of another model must not clamp the limits of this one
+        this.state.clearReported();
+        // the adapter listens to the transport, connecting again reuses it
+        if (!this.network || this.network.transport !== this.getTransport()) {
+            this.createNetwork();
+        }
+        this.network.connect(id);
+    }
 
+    /**
+     * Creates the adapter on the transport and forwards its events
+     * @return {undefined}
+     */
+    createNetwork() {
         this.network = new MiniDroneBtAdapter({
             droneFilter: this.options.droneFilter,
+            transport: this.getTransport(),
+            ackTimeout: this.options.ackTimeout,
+            maxRetries: this.options.maxRetries,
         });
+        // keep the state up to date before any event reaches the listeners
+        this.network.on('state', (command) => this.state.apply(command));
+        this.network.on('connected', () => this.state.update({ connected: true }));
+        this.network.on('disconnected', () => this.state.update({ connected: false }));
+        this.network.on('rssiUpdate', (rssi) => this.state.update({ rssi }));
+        this.network.on('disconnected', () => this.positionController.stop(new Error('Disconnected before the drone reached the target')));
+        this.network.on('flightStatusChange', (status) => {
+            if (status === 'landing' || status === 'landed' || status === 'emergency') {
+                this.positionController.stop(new Error(`The drone stopped flying (${status}) before reaching the target`));
+            }
+        });
+
         // TODO: do not love the events stuff :/
 
         /**
@@ -219,6 +874,7 @@ class Drone extends EventEmitter {
          * @type {object}
          */
         this.network.on('connected', (...args) => this.emit('connected', ...args));
+        this.network.on('connected', () => this.applyLimits());
 
         /**
          * Fires when the Drone disconnected
@@ -227,6 +883,24 @@ class Drone extends EventEmitter {
          * @type {object}
          */
         this.network.on('disconnected', (...args) => this.emit('disconnected', ...args));
+        this.network.on('disconnected', () => this.onLinkLost());
+        this.network.on('connected', () => this.onLinkRestored());
+
+        /**
+         * Fires when the link failed, logged instead when nothing listens
+         *
+         * @event Drone#error
+         * @type {Error}
+         */
+        this.network.on('error', (error) => this.onError(error));
+
+        /**
+         * Fires when the drone never acknowledged a command
+         *
+         * @event Drone#commandFailed
+         * @type {Error}
+         */
+        this.network.on('commandFailed', (...args) => this.emit('commandFailed', ...args));
 
         /**
          * Fires when a flight param command is written over the Bluetooth network
@@ -244,6 +918,13 @@ class Drone extends EventEmitter {
          */
         this.network.on('flightStatusChange', (...args) => this.emit('flightStatusChange', ...args));
 
+        /**
+         * Fires when the drone confirmed a flat trim
+         *
+         * @event Drone#flatTrimChange
+         */
+        this.network.on('flatTrimChange', (...args) => this.emit('flatTrimChange', ...args));
+
         /**
          * Fires when the drone's battery status has changed
          *
@@ -321,6 +1002,144 @@ class Drone extends EventEmitter {
           */
           this.network.on('poweredOff', (...args) => this.emit('poweredOff', ...args));
 
+        /**
+         * Fires for every command the drone sends, with its project, class, command and decoded args
+         *
+         * @event Drone#state
+         * @type {object}
+         */
+        this.network.on('state', (...args) => this.emit('state', ...args));
+
+        /**
+         * Fires for every command written to the drone, with its project, class, command and args
+         *
+         * @event Drone#command
+         * @type {object}
+         */
+        this.network.on('command', (...args) => this.emit('command', ...args));
+
+        this.decoders.forEach((registered) => this.applyDecoder(registered.command, registered.decoder));
+    }
+
+    /**
+     * Disconnects from the drone, without reconnecting
+     * @return {undefined}
+     */
+    disconnect() {
+        this.manualDisconnect = true;
+        this.stopReconnecting();
+        if (this.network) {
+            this.network.disconnect();
+        }
+    }
+
+    /**
+     * Starts reconnecting to the same drone when the link was lost
+     * @return {undefined}
+     */
+    onLinkLost() {
+        if (this.manualDisconnect || !this.options.reconnect || this.reconnection) {
+            return;
+        }
+        this.reconnection = {
+            id: this.getTransport().peripheralId,
+            attempt: 0,
+            airborne: this.isFlying(),
+            timer: null,
+        };
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Waits for the backoff delay and tries to connect again,
+     * gives up after `reconnectAttempts` attempts
+     * @return {undefined}
+     */
+    scheduleReconnect() {
+        const reconnection = this.reconnection;
+        if (reconnection.attempt >= this.options.reconnectAttempts) {
+            this.reconnection = null;
+            Logger.warn(`Could not reconnect to the drone after ${reconnection.attempt} attempts`);
+
+            /**
+             * Fires when the drone could not be reconnected, with the number of attempts
+             *
+             * @event Drone#reconnectFailed
+             * @type {object}
+             */
+            this.emit('reconnectFailed', { attempts: reconnection.attempt });
+            return;
+        }
+        reconnection.attempt += 1;
+        const delay = Math.min(this.options.reconnectMaxDelay, this.options.reconnectDelay * Math.pow(2, reconnection.attempt - 1));
+
+        /**
+         * Fires before each reconnection attempt, with the attempt number and the delay before it in ms
+         *
+         * @event Drone#reconnecting
+         * @type {object}
+         */
+        this.emit('reconnecting', { attempt: reconnection.attempt, delay });
+        reconnection.timer = setTimeout(() => {
+            reconnection.timer = setTimeout(() => {
+                // stop looking for the drone before the next attempt
+                this.network.disconnect();
+                this.scheduleReconnect();
+            }, this.options.reconnectTimeout);
+            this.network.connect(reconnection.id);
+        }, delay);
+    }
+
+    /**
+     * Ends the reconnection once connected again and applies the link loss policy,
+     * the flight limits are pushed again as on any connection
+     * @return {undefined}
+     */
+    onLinkRestored() {
+        const reconnection = this.reconnection;
+        // a connected listener may have lost the link again already
+        if (!reconnection || !this.network.connected) {
+            return;
+        }
+        this.stopReconnecting();
+        if (reconnection.airborne && this.options.linkLossPolicy !== 'resume') {
+            this.setFlightParams({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+            if (this.options.linkLossPolicy === 'land') {
+                this.land();
+            }
+        }
+
+        /**
+         * Fires when the drone is connected again after losing the link, with the number of attempts
+         *
+         * @event Drone#reconnected
+         * @type {object}
+         */
+        this.emit('reconnected', { attempts: reconnection.attempt });
+    }
+
+    /**
+     * Cancels the reconnection in progress
+     * @return {undefined}
+     */
+    stopReconnecting() {
+        if (this.reconnection) {
+            clearTimeout(this.reconnection.timer);
+            this.reconnection = null;
+        }
+    }
+
+    /**
+     * Surfaces a link error, a process without error listener must not crash
+     * @param {Error} error The error
+     * @return {undefined}
+     */
+    onError(error) {
+        if (this.listenerCount('error')) {
+            this.emit('error', error);
+            return;
+        }
+        Logger.error(`Drone error: ${error.message}`);
     }
 
     /**
@@ -331,10 +1150,63 @@ class Drone extends EventEmitter {
         if (!this.network || !this.network.connected) {
             return;
         }
-        this.network.writeFlightParams(this.flightParams);
+        if (this.positionController.isActive()) {
+            this.positionController.update();
+        }
+        this.checkWatchdog();
+        let flightParams = this.flightParams;
+        if (this.positionController.isActive() || this.flightParamsShaped) {
+            // the controller's output is not a stick input, nor are the replayed params
+            this.inputShaper.reset();
+        } else {
+            flightParams = this.inputShaper.shape(flightParams);
+        }
+        if (this.geofence) {
+            flightParams = this.geofence.limit(flightParams, this.getState().position);
+        }
+        this.network.writeFlightParams(flightParams);
         
     }
 
+    /**
+     * Registers the decoder of a command the drone sends, its event is fired by the Drone
+     *
+     * @param {String|Object} command The `project.Class.Command` key of a known command,
+     *                                or the definition of a new one, see ArsdkCodec.addCommand()
+     * @param {Object} decoder The decoder, see MiniDroneBtAdapter.registerDecoder()
+     * @return {undefined}
+     */
+    registerDecoder(command, decoder) {
+        this.decoders.push({ command, decoder });
+        if (this.network) {
+            this.applyDecoder(command, decoder);
+        }
+    }
+
+    /**
+     * Registers a decoder on the network adapter and forwards its event
+     *
+     * @param {String|Object} command The command key or definition
+     * @param {Object} decoder The decoder
+     * @return {undefined}
+     */
+    applyDecoder(command, decoder) {
+        this.network.registerDecoder(command, decoder);
+        // the library's events are already forwarded
+        if (decoder.event && !this.network.listenerCount(decoder.event)) {
+            this.network.on(decoder.event, (...args) => this.emit(decoder.event, ...args));
+        }
+    }
+
+    /**
+     * Returns a snapshot of everything the drone reported: flight status, alert, battery,
+     * position, speed, RSSI, settings limits, picture state and product info
+     * @return {Object} The drone state, see DroneState
+     */
+    getState() {
+        return this.state.snapshot();
+    }
+
     /**
      * Returns the battery level of the drone
      * @return {integer} The battery level %
@@ -0,0 +1,172 @@
+const EventEmitter = require('events');
+const FLIGHT_STATUSES = require('./MiniDroneBtAdapter').FLIGHT_STATUSES;
+
+/**
+ * Maps the current, min and max arguments of the settings echoes
+ * @param {Object} args The decoded arguments
+ * @return {Object} The setting limits
+ */
+const limits = (args) => ({ current: args.current, min: args.min, max: args.max });
+
+// What each command the drone sends changes in the state, by `project.Class.Command` key
+const UPDATERS = {
+    'common.CommonState.BatteryStateChanged': (args) => ({ battery: args.percent }),
+    'common.CommonState.ProductModel': (args) => ({ product: { model: args.model } }),
+    'common.SettingsState.ProductNameChanged': (args) => ({ product: { name: args.name } }),
+    'common.SettingsState.ProductVersionChanged': (args) => ({ product: { software: args.software, hardware: args.hardware } }),
+    'common.SettingsState.ProductSerialHighChanged': (args) => ({ product: { serial: { high: args.high } } }),
+    'common.SettingsState.ProductSerialLowChanged': (args) => ({ product: { serial: { low: args.low } } }),
+    'minidrone.PilotingState.FlyingStateChanged': (args) => ({ flightStatus: FLIGHT_STATUSES[args.state] || args.state }),
+    'minidrone.PilotingState.AlertStateChanged': (args) => ({ alertState: args.state }),
+    'minidrone.NavigationDataState.DronePosition': (args) => ({
+        position: { x: args.posx, y: args.posy, z: args.posz, psi: args.psi, ts: args.ts },
+    }),
+    'minidrone.NavigationDataState.DroneSpeed': (args) => ({
+        speed: { x: args.speed_x, y: args.speed_y, z: args.speed_z, ts: args.ts },
+    }),
+    'minidrone.PilotingSettingsState.MaxAltitudeChanged': (args) => ({ settings: { maxAltitude: limits(args) } }),
+    'minidrone.PilotingSettingsState.MaxTiltChanged': (args) => ({ settings: { maxTilt: limits(args) } }),
+    'minidrone.SpeedSettingsState.MaxVerticalSpeedChanged': (args) => ({ settings: { maxVerticalSpeed: limits(args) } }),
+    'minidrone.SpeedSettingsState.MaxRotationSpeedChanged': (args) => ({ settings: { maxRotationSpeed: limits(args) } }),
+    'minidrone.MediaRecordState.PictureStateChangedV2': (args) => ({ picture: { state: args.state, error: args.error } }),
+};
+
+/**
+ * If a value is a plain object to merge key by key
+ * @param {*} value The value
+ * @return {Boolean} If the value is an object
+ */
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Merges a partial state into a state
+ *
+ * @param {Object} target The state, left unchanged
+ * @param {Object} patch The partial state
+ * @return {Object} The merged `state`, and the values that changed as `diff`, with the same nesting
+ */
+const merge = (target, patch) => {
+    const state = Object.assign({}, target);
+    const diff = {};
+    Object.keys(patch).forEach((key) => {
+        const value = patch[key];
+        if (isObject(value) && isObject(target[key])) {
+            const nested = merge(target[key], value);
+            if (Object.keys(nested.diff).length) {
+                state[key] = nested.state;
+                diff[key] = nested.diff;
+            }
+        } else if (target[key] !== value) {
+            state[key] = value;
+            diff[key] = value;
+        }
+    });
+    return { state, diff };
+};
+
+/**
+ * The state before the drone reported anything
+ * @return {Object} The state
+ */
+const initialState = () => ({
+    connected: false,
+    flightStatus: null,
+    alertState: null,
+    battery: null,
+    rssi: null,
+    position: { x: null, y: null, z: null, psi: null, ts: null },
+    speed: { x: null, y: null, z: null, ts: null },
+    settings: {
+        maxAltitude: { current: null, min: null, max: null },
+        maxTilt: { current: null, min: null, max: null },
+        maxVerticalSpeed: { current: null, min: null, max: null },
+        maxRotationSpeed: { current: null, min: null, max: null },
+    },
+    picture: { state: null, error: null },
+    product: {
+        name: null,
+        model: null,
+        software: null,
+        hardware: null,
+        serial: { high: null, low: null },
+    },
+});
+
+/**
+ * Drone state model
+ *
+ * Single source of truth of what the drone reported, kept up to date from the
+ * decoded commands. Positions are in cm relative to the takeoff point, the
+ * heading (psi) in degrees and speeds in m/s, as the drone sends them.
+ *
+ * @fires DroneState#stateChange
+ */
+class DroneState extends EventEmitter {
+    /**
+     * Instantiates a new instance of the DroneState class
+     */
+    constructor() {
+        super();
+        this.state = initialState();
+    }
+
+    /**
+     * Forgets the settings, their ranges, the position and the speed reported,
+     * a new connection may be to another model
+     * @return {Object} The values that changed
+     */
+    clearReported() {
+        const initial = initialState();
+        return this.update({ settings: initial.settings, position: initial.position, speed: initial.speed });
+    }
+
+    /**
+     * Updates the state from a command the drone sent, see MiniDroneBtAdapter#state
+     *
+     * @param {Object} command The decoded command
+     * @param {String} command.project The project name
+     * @param {String} command.class The class name
+     * @param {String} command.command The command name
+     * @param {Object} command.args The decoded arguments
+     * @return {Object} The values that changed
+     */
+    apply(command) {
+        const updater = UPDATERS[`${command.project}.${command.class}.${command.command}`];
+        if (!updater) {
+            return {};
+        }
+        return this.update(updater(command.args));
+    }
+
+    /**
+     * Merges a partial state and fires the values that changed
+     *
+     * @param {Object} patch The partial state, e.g. `{ rssi: -60 }`
+     * @return {Object} The values that changed
+     */
+    update(patch) {
+        const merged = merge(this.state, patch);
+        const diff = merged.diff;
+        this.state = merged.state;
+        if (Object.keys(diff).length) {
+            /**
+             * Fires when the state changed, with the values that changed
+             *
+             * @event DroneState#stateChange
+             * @type {object}
+             */
+            this.emit('stateChange', diff);
+        }
+        return diff;
+    }
+
+    /**
+     * Returns a copy of the whole state
+     * @return {Object} The state snapshot
+     */
+    snapshot() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+}
+
+module.exports = DroneState;
@@ -0,0 +1,127 @@
+const Logger = require('winston');
+
+/**
+ * If the battery level is known and at or below a level
+ * @param {Object} state The drone state
+ * @param {Integer} level The battery level %
+ * @return {Boolean} If the battery is that low
+ */
+const batteryBelow = (state, level) => state.battery !== null && state.battery <= level;
+
+// The failsafe rules by name. A rule fires its action once each time its
+// condition becomes true, refuses its commands while the condition holds,
+// and restores once it no longer holds
+const DEFAULT_RULES = {
+    lowBattery: {
+        when: (state) => batteryBelow(state, 20),
+        // the configured limits are kept, and written again on restore
+        action: (drone) => Promise.all([drone.overrideLimit('maxAltitude', 2), drone.overrideLimit('maxVerticalSpeed', 0.5)]),
+        restore: (drone) => Promise.all([drone.restoreLimit('maxAltitude'), drone.restoreLimit('maxVerticalSpeed')]),
+    },
+    criticalBattery: {
+        when: (state) => state.alertState === 'critical_battery',
+        action: (drone) => drone.land(),
+    },
+    takeOffBattery: {
+        when: (state) => batteryBelow(state, 15),
+        refuse: ['takeOff'],
+    },
+};
+
+/**
+ * Failsafe Class
+ *
+ * Acts on what the drone reports, battery level and alerts, with rules that
+ * run an action, e.g. land, or refuse commands, e.g. takeOff. Every action
+ * fires a `failsafeTriggered` event on the drone.
+ */
+class Failsafe {
+    /**
+     * Instantiates a new instance of the Failsafe class
+     *
+     * @param {Drone} drone The drone to watch and act on
+     * @param {Object} rules Rules by name, replacing the default rule of the same name, null disables one
+     * @param {Function} rules.when Tells if the rule applies to the drone state
+     * @param {Function} rules.action Acts on the drone once the rule applies, returns a promise (optional)
+     * @param {Function} rules.restore Undoes the action once the rule no longer applies, returns a promise (optional)
+     * @param {Array} rules.refuse The commands refused while the rule applies, e.g. ['takeOff'] (optional)
+     */
+    constructor(drone, rules) {
+        this.drone = drone;
+        this.rules = {};
+        // names of the rules which condition holds
+        this.active = {};
+        const merged = Object.assign({}, DEFAULT_RULES, rules);
+        Object.keys(merged).forEach((name) => this.setRule(name, merged[name]));
+
+        drone.on('stateChange', () => this.evaluate(drone.getState()));
+    }
+
+    /**
+     * Adds, replaces or removes a rule
+     *
+     * @param {String} name The rule name
+     * @param {Object} rule The rule, see the constructor, null removes it
+     * @return {undefined}
+     */
+    setRule(name, rule) {
+        delete this.rules[name];
+        delete this.active[name];
+        if (rule) {
+            this.rules[name] = rule;
+        }
+    }
+
+    /**
+     * Runs the actions of the rules which condition just became true,
+     * and the restores of those which condition just became false
+     *
+     * @param {Object} state The drone state, see Drone.getState()
+     * @return {undefined}
+     */
+    evaluate(state) {
+        Object.keys(this.rules).forEach((name) => {
+            const rule = this.rules[name];
+            const applies = Boolean(rule.when(state));
+            const triggered = applies && !this.active[name];
+            const released = !applies && this.active[name];
+            this.active[name] = applies;
+            if (released && rule.restore) {
+                Logger.info(`Failsafe ${name} released, battery ${state.battery}%, alert ${state.alertState}`);
+                Promise.resolve()
+                    .then(() => rule.restore(this.drone))
+                    .catch((error) => Logger.warn(`Failsafe ${name} could not restore: ${error.message}`));
+            }
+            if (!triggered || !rule.action) {
+                return;
+            }
+            Logger.warn(`Failsafe ${name} triggered, battery ${state.battery}%, alert ${state.alertState}`);
+            this.drone.emit('failsafeTriggered', { name, battery: state.battery, alertState: state.alertState });
+            Promise.resolve()
+                .then(() => rule.action(this.drone))
+                .catch((error) => Logger.warn(`Failsafe ${name} failed: ${error.message}`));
+        });
+    }
+
+    /**
+     * Finds the rule refusing a command, and fires it
+     *
+     * @param {String} command The command name, e.g. takeOff
+     * @return {String|null} The name of the refusing rule, null when the command is allowed
+     */
+    refusal(command) {
+        const state = this.drone.getState();
+        const name = Object.keys(this.rules).filter((key) => {
+            const rule = this.rules[key];
+            return rule.refuse && rule.refuse.indexOf(command) >= 0 && rule.when(state);
+        })[0];
+        if (!name) {
+            return null;
+        }
+        this.drone.emit('failsafeTriggered', { name, battery: state.battery, alertState: state.alertState, command });
+        return name;
+    }
+}
+
+module.exports = Failsafe;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
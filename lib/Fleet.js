@@ -0,0 +1,310 @@
+const Logger = require('winston');
+const EventEmitter = require('events');
+const Drone = require('./Drone');
+const NobleTransport = require('./NobleTransport');
+
+/**
+ * Fleet Class
+ *
+ * Flies several drones at once. The fleet owns the BTLE discovery: noble is a
+ * singleton, so the fleet binds it once, keeps scanning while any of its drones
+ * looks for its peripheral and routes each discovered peripheral to the first
+ * transport that wants it, a peripheral is never given to two drones.
+ *
+ * @fires Fleet#connected
+ * @fires Fleet#disconnected
+ * @fires Fleet#stateChange
+ * @fires Fleet#discover
+ */
+class Fleet extends EventEmitter {
+    /**
+     * Instantiates a new instance of the Fleet class
+     *
+     * @param {Object} options Configuration options object
+     * @param {Object} options.noble The noble instance to use, default require('noble')
+     * @param {Object} options.droneOptions Options of every drone added to the fleet, see Drone
+     */
+    constructor(options) {
+        super();
+        const defaults = {
+            noble: null,
+            droneOptions: {},
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.noble = this.options.noble;
+        this.nobleBound = false;
+        // fleet members by name: { name, id, drone }
+        this.members = {};
+        // transports currently looking for a peripheral
+        this.scanningTransports = [];
+        this.discovery = null;
+    }
+
+    /**
+     * Adds a drone to the fleet
+     *
+     * @param {Object} options The drone options, merged over the fleet's droneOptions
+     * @param {String} options.name The name of the drone in the fleet, default its id or drone-N
+     * @param {String} options.id The peripheral id to connect to, as found by scan(), default any free drone
+     * @param {Transport} options.transport The link to the drone, default a BTLE transport sharing the fleet's discovery
+     * @return {Drone} The drone
+     */
+    add(options) {
+        const settings = Object.assign({}, this.options.droneOptions, options);
+        const name = settings.name || settings.id || `drone-${Object.keys(this.members).length + 1}`;
+        if (this.members[name]) {
+            throw new Error(`The fleet already has a drone named ${name}`);
+        }
+        const transport = settings.transport || new NobleTransport({
+            droneFilter: settings.droneFilter,
+            scanner: this,
+        });
+        const drone = new Drone(Object.assign({}, settings, { transport, autoconnect: false }));
+        this.members[name] = { name, id: settings.id || null, drone };
+
+        drone.on('connected', () => this.emit('connected', name));
+        drone.on('disconnected', () => this.emit('disconnected', name));
+        drone.on('stateChange', (diff) => this.emit('stateChange', name, diff));
+        return drone;
+    }
+
+    /**
+     * Finds a drone of the fleet
+     * @param {String} name The name of the drone in the fleet
+     * @return {Drone} The drone, undefined if not in the fleet
+     */
+    get(name) {
+        return this.members[name] && this.members[name].drone;
+    }
+
+    /**
+     * The names of the drones in the fleet
+     * @return {Array} The names
+     */
+    getNames() {
+        return Object.keys(this.members);
+    }
+
+    /**
+     * Connects all the drones of the fleet at the same time
+     *
+     * @param {Object} options Connection options
+     * @param {Integer} options.timeout How long to wait for the drones in ms, default forever
+     * @return {Promise} Resolves once every drone connected, rejects once the timeout elapsed with an
+     *                   error listing the drones not found, their names are in its `missing`
+     */
+    connect(options) {
+        const settings = Object.assign({ timeout: null }, options);
+        // the connected listeners of the drones not connected yet, by name
+        const waiting = {};
+        const connections = Promise.all(this.getNames().map((name) => {
+            const member = this.members[name];
+            if (member.drone.network && member.drone.network.connected) {
+                return Promise.resolve(name);
+            }
+            return new Promise((resolve) => {
+                waiting[name] = () => {
+                    delete waiting[name];
+                    resolve(name);
+                };
+                member.drone.once('connected', waiting[name]);
+                member.drone.connect(member.id);
+            });
+        }));
+        if (!settings.timeout) {
+            return connections;
+        }
+
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const missing = Object.keys(waiting);
+                // the drones not found stop scanning
+                missing.forEach((name) => {
+                    const drone = this.members[name].drone;
+                    drone.removeListener('connected', waiting[name]);
+                    drone.disconnect();
+                });
+                const error = new Error(`Drones not found within ${settings.timeout}ms: ${missing.join(', ')}`);
+                error.missing = missing;
+                reject(error);
+            }, settings.timeout);
+        });
+        return Promise.race([connections, timeout]).then((names) => {
+            clearTimeout(timer);
+            return names;
+        });
+    }
+
+    /**
+     * Disconnects all the drones of the fleet
+     * @return {undefined}
+     */
+    disconnect() {
+        this.getNames().forEach((name) => this.members[name].drone.disconnect());
+    }
+
+    /**
+     * Looks for the drones around without connecting
+     *
+     * @param {Object} options Scan options
+     * @param {Integer} options.timeout How long to scan in ms, default 5000ms
+     * @return {Promise} Resolves with the drones found: name, id, rssi, manufacturer and model
+     */
+    scan(options) {
+        if (!this.discovery) {
+            this.discovery = new NobleTransport({ scanner: this });
+            this.discovery.on('discover', (drone) => this.emit('discover', drone));
+        }
+        return this.discovery.scan(options);
+    }
+
+    /**
+     * Takes off with all the drones
+     * @return {Promise} Resolves once every drone hovers, with the results by drone name
+     */
+    takeOff() {
+        return this.all('takeOff', (drone) => drone.takeOff());
+    }
+
+    /**
+     * Lands all the drones
+     * @return {Promise} Resolves once every drone landed, with the results by drone name
+     */
+    land() {
+        return this.all('land', (drone) => drone.land());
+    }
+
+    /**
+     * Cuts the rotors of all the drones
+     * @return {Promise} Resolves once every drone acked, with the results by drone name
+     */
+    emergency() {
+        return this.all('emergency', (drone) => drone.emergency());
+    }
+
+    /**
+     * Snapshots of the state of every drone
+     * @return {Object} The drone states by name, see Drone.getState()
+     */
+    getState() {
+        const states = {};
+        this.getNames().forEach((name) => {
+            states[name] = this.members[name].drone.getState();
+        });
+        return states;
+    }
+
+    /**
+     * Runs a command on every drone, all the commands are sent before any settles
+     *
+     * @param {String} command The command name, for the error messages
+     * @param {Function} run Runs the command on a drone, returns its promise
+     * @return {Promise} Resolves with the results by drone name, rejects when any drone failed
+     *                   with an error listing them, its `results` hold the results and errors by name
+     */
+    all(command, run) {
+        const names = this.getNames();
+        return Promise.all(names.map((name) => run(this.members[name].drone).then(
+            (value) => ({ name, value }),
+            (error) => ({ name, error })
+        ))).then((outcomes) => {
+            const results = {};
+            const failed = [];
+            outcomes.forEach((outcome) => {
+                results[outcome.name] = outcome.error || outcome.value;
+                if (outcome.error) {
+                    failed.push(`${outcome.name} (${outcome.error.message})`);
+                }
+            });
+            if (failed.length) {
+                const error = new Error(`${command} failed for ${failed.join(', ')}`);
+                error.results = results;
+                throw error;
+            }
+            return results;
+        });
+    }
+
+    /**
+     * The noble instance shared by the fleet's transports
+     * @return {Object} noble
+     */
+    getNoble() {
+        if (!this.noble) {
+            // noble is not a constructor
+            this.noble = require('noble');
+        }
+        return this.noble;
+    }
+
+    /**
+     * Scans for a transport until it stops, see NobleTransport.startScanning()
+     * @param {NobleTransport} transport The transport looking for a peripheral
+     * @return {undefined}
+     */
+    startScanning(transport) {
+        const noble = this.getNoble();
+        if (!this.nobleBound) {
+            this.nobleBound = true;
+            noble.on('stateChange', (state) => this.onNobleStateChange(state));
+            noble.on('discover', (peripheral) => this.onPeripheralDiscovery(peripheral));
+        }
+        if (this.scanningTransports.indexOf(transport) < 0) {
+            this.scanningTransports.push(transport);
+        }
+        if (noble.state === 'poweredOn') {
+            noble.startScanning();
+        }
+    }
+
+    /**
+     * Stops scanning for a transport, and stops scanning once no transport needs it
+     * @param {NobleTransport} transport The transport done with the scanning
+     * @return {undefined}
+     */
+    stopScanning(transport) {
+        this.scanningTransports = this.scanningTransports.filter((scanning) => scanning !== transport);
+        if (!this.scanningTransports.length) {
+            this.getNoble().stopScanning();
+        }
+    }
+
+    /**
+     * Event handler for when noble broadcasts a state change
+     * @param {String} state a string describing noble's state
+     * @return {undefined}
+     */
+    onNobleStateChange(state) {
+        if (state === 'poweredOn' && this.scanningTransports.length) {
+            Logger.info('Bluetooth dongle ready, start scanning');
+            this.getNoble().startScanning();
+        }
+        this.getNames().forEach((name) => {
+            const transport = this.members[name].drone.getTransport();
+            if (transport instanceof NobleTransport && state === 'poweredOff') {
+                transport.onNobleStateChange(state);
+            }
+        });
+    }
+
+    /**
+     * Event handler for when noble discovers a peripheral: routes it to the
+     * transports scanning, until one of them connects to it
+     * @param {Peripheral} peripheral a noble peripheral class
+     * @return {undefined}
+     */
+    onPeripheralDiscovery(peripheral) {
+        let claimed = this.getNames().some((name) => this.members[name].drone.getTransport().peripheral === peripheral);
+        this.scanningTransports.slice().forEach((transport) => {
+            // scans still list a drone somebody connected to
+            if (claimed && transport.connecting) {
+                return;
+            }
+            transport.onPeripheralDiscovery(peripheral);
+            claimed = claimed || transport.peripheral === peripheral;
+        });
+    }
+}
+
+module.exports = Fleet;
@@ -0,0 +1,290 @@
+const EventEmitter = require('events');
+
+// The flight statuses ending a flight
+const FLIGHT_ENDS = ['landed', 'emergency'];
+
+// The columns of the CSV report, in order, and the flight summary value of each
+const COLUMNS = {
+    pilot: (flight) => flight.pilot,
+    flight: (flight) => flight.flight,
+    startedAt: (flight) => flight.startedAt,
+    duration_s: (flight) => flight.duration,
+    max_altitude_m: (flight) => flight.maxAltitude,
+    mean_altitude_m: (flight) => flight.meanAltitude,
+    distance_m: (flight) => flight.distance,
+    max_speed_ms: (flight) => flight.maxSpeed,
+    battery_used: (flight) => flight.batteryUsed,
+    alerts: (flight) => flight.alerts.join(';'),
+    flips: (flight) => flight.flips,
+    end: (flight) => flight.end,
+};
+
+/**
+ * Rounds a value for the reports
+ * @param {Number} value The value
+ * @param {Integer} digits The decimals kept
+ * @return {Number} The rounded value, null when unknown
+ */
+const round = (value, digits) => {
+    if (value === null || value === undefined || isNaN(value)) {
+        return null;
+    }
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Quotes a CSV field when needed
+ * @param {*} value The value
+ * @return {String} The field
+ */
+const toField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes flight summaries as CSV, one line per flight under a header line
+ *
+ * @param {Array} flights The flight summaries, see FlightAnalytics#getFlights, of one or many pilots
+ * @return {String} The CSV
+ */
+const toCSV = (flights) => [Object.keys(COLUMNS).join(',')]
+    .concat(flights.map((flight) => Object.keys(COLUMNS).map((column) => toField(COLUMNS[column](flight))).join(',')))
+    .join('\n');
+
+/**
+ * FlightAnalytics Class
+ *
+ * Splits the activity of a drone into flights, from `taking off` to `landed`
+ * or `emergency`, and sums each one up: duration, altitude, distance, speed,
+ * battery, alerts and flips. It listens to the drone's events, so it works on
+ * a live drone as well as on a log played back by a ReplaySource.
+ *
+ * @fires FlightAnalytics#flight
+ */
+class FlightAnalytics extends EventEmitter {
+    /**
+     * Instantiates a new instance of the FlightAnalytics class
+     *
+     * @param {Drone} drone The drone
+     * @param {Object} options Configuration options object
+     * @param {String} options.pilot Who flew, in the reports (optional)
+     * @param {Function} options.clock Returns the time in ms, default Date.now, e.g. `() => replay.getTime()`
+     */
+    constructor(drone, options) {
+        super();
+        const defaults = {
+            pilot: null,
+            clock: () => Date.now(),
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.drone = drone;
+        // the completed flights' summaries, and the measures of the flight in progress
+        this.flights = [];
+        this.current = null;
+        // the last battery level and position known, the flights start from them
+        this.battery = null;
+        this.position = null;
+        this.subscriptions = [];
+    }
+
+    /**
+     * Starts listening to the drone
+     * @return {undefined}
+     */
+    start() {
+        this.subscriptions = [
+            { event: 'flightStatusChange', listener: (status) => this.onFlightStatus(status) },
+            { event: 'dronePositionChange', listener: (position) => this.onPosition(position) },
+            { event: 'droneSpeedChange', listener: (speed) => this.onSpeed(speed) },
+            { event: 'batteryStatusChange', listener: (battery) => this.onBattery(battery) },
+            { event: 'alertStateChange', listener: (alert) => this.onAlert(alert) },
+            { event: 'animationStarted', listener: (animation) => this.onAnimation(animation) },
+        ];
+        this.subscriptions.forEach((subscription) => this.drone.on(subscription.event, subscription.listener));
+    }
+
+    /**
+     * Stops listening, a flight in progress is left out of the reports
+     * @return {undefined}
+     */
+    stop() {
+        this.subscriptions.forEach((subscription) => this.drone.removeListener(subscription.event, subscription.listener));
+        this.subscriptions = [];
+        this.current = null;
+    }
+
+    /**
+     * Starts and ends the flights
+     * @param {String} status The flight status
+     * @return {undefined}
+     */
+    onFlightStatus(status) {
+        if (status === 'taking off' && !this.current) {
+            this.current = {
+                start: this.options.clock(),
+                batteryStart: this.battery,
+                batteryEnd: this.battery,
+                altitudes: [],
+                distance: 0,
+                position: this.position,
+                maxSpeed: null,
+                alerts: [],
+                flips: 0,
+            };
+        } else if (FLIGHT_ENDS.indexOf(status) >= 0 && this.current) {
+            this.endFlight(status);
+        }
+    }
+
+    /**
+     * Adds a position to the altitudes and the distance travelled
+     * @param {Object} position The position in cm, see Drone#dronePositionChange
+     * @return {undefined}
+     */
+    onPosition(position) {
+        if (!position || typeof position.z !== 'number') {
+            return;
+        }
+        const current = this.current;
+        if (current) {
+            current.altitudes.push(position.z / 100);
+            const previous = current.position;
+            if (previous) {
+                current.distance += Math.sqrt(
+                    Math.pow(position.x - previous.x, 2) + Math.pow(position.y - previous.y, 2) + Math.pow(position.z - previous.z, 2)
+                ) / 100;
+            }
+            current.position = position;
+        }
+        this.position = position;
+    }
+
+    /**
+     * Keeps the top speed
+     * @param {Object} speed The speed in m/s, see Drone#droneSpeedChange
+     * @return {undefined}
+     */
+    onSpeed(speed) {
+        if (!this.current || !speed || typeof speed.x !== 'number') {
+            return;
+        }
+        const norm = Math.sqrt(Math.pow(speed.x, 2) + Math.pow(speed.y, 2) + Math.pow(speed.z, 2));
+        this.current.maxSpeed = Math.max(this.current.maxSpeed || 0, norm);
+    }
+
+    /**
+     * Keeps the battery level
+     * @param {Integer} battery The battery level %
+     * @return {undefined}
+     */
+    onBattery(battery) {
+        this.battery = battery;
+        if (this.current) {
+            if (this.current.batteryStart === null) {
+                this.current.batteryStart = battery;
+            }
+            this.current.batteryEnd = battery;
+        }
+    }
+
+    /**
+     * Keeps the alerts raised
+     * @param {String} alert The alert state
+     * @return {undefined}
+     */
+    onAlert(alert) {
+        if (this.current && alert && alert !== 'none' && this.current.alerts.indexOf(alert) < 0) {
+            this.current.alerts.push(alert);
+        }
+    }
+
+    /**
+     * Counts the flips the drone acked, a refused or failed one is not flown
+     * @param {String} animation The animation, see Drone#animationStarted
+     * @return {undefined}
+     */
+    onAnimation(animation) {
+        if (this.current && /^flip/.test(animation)) {
+            this.current.flips += 1;
+        }
+    }
+
+    /**
+     * Sums the flight in progress up
+     * @param {String} status The status ending it, landed or emergency
+     * @return {undefined}
+     */
+    endFlight(status) {
+        const current = this.current;
+        const end = this.options.clock();
+        const altitudes = current.altitudes;
+        const summary = {
+            pilot: this.options.pilot,
+            flight: this.flights.length + 1,
+            startedAt: new Date(current.start).toISOString(),
+            duration: round((end - current.start) / 1000, 1),
+            maxAltitude: altitudes.length ? round(Math.max.apply(null, altitudes), 2) : null,
+            meanAltitude: altitudes.length ? round(altitudes.reduce((total, z) => total + z, 0) / altitudes.length, 2) : null,
+            distance: round(current.distance, 2),
+            maxSpeed: round(current.maxSpeed, 2),
+            batteryUsed: current.batteryStart === null ? null : current.batteryStart - current.batteryEnd,
+            alerts: current.alerts,
+            flips: current.flips,
+            end: status,
+        };
+        this.current = null;
+        this.flights.push(summary);
+
+        /**
+         * Fires when a flight ended, with its summary
+         *
+         * @event FlightAnalytics#flight
+         * @type {object}
+         */
+        this.emit('flight', summary);
+    }
+
+    /**
+     * The summaries of the completed flights
+     *
+     * @return {Array} For each flight: pilot, flight number, startedAt, duration in s, maxAltitude and meanAltitude in m,
+     *                 distance in m, maxSpeed in m/s, batteryUsed in %, alerts, flips and end (landed or emergency)
+     */
+    getFlights() {
+        return this.flights.slice();
+    }
+
+    /**
+     * The report as JSON
+     * @return {Object} The pilot, the flights and their totals
+     */
+    toJSON() {
+        const flights = this.getFlights();
+        const total = (key) => round(flights.reduce((sum, flight) => sum + (flight[key] || 0), 0), 2);
+        return {
+            pilot: this.options.pilot,
+            flights,
+            totals: {
+                flights: flights.length,
+                duration: total('duration'),
+                distance: total('distance'),
+                batteryUsed: total('batteryUsed'),
+                flips: total('flips'),
+                emergencies: flights.filter((flight) => flight.end === 'emergency').length,
+            },
+        };
+    }
+
+    /**
+     * The report as CSV, see toCSV()
+     * @return {String} The CSV
+     */
+    toCSV() {
+        return toCSV(this.getFlights());
+    }
+}
+
+module.exports = FlightAnalytics;
+module.exports.toCSV = toCSV;
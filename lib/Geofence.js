@@ -0,0 +1,146 @@
+const SHAPES = ['cylinder', 'box'];
+
+/**
+ * Dot product of two vectors
+ * @param {Object} a The first vector, x, y and z
+ * @param {Object} b The second vector, x, y and z
+ * @return {Float} The dot product
+ */
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+/**
+ * Geofence Class
+ *
+ * Virtual walls around the takeoff point, a cylinder or a box in meters.
+ * The flight params pushing the drone towards a wall fade out within `margin`
+ * of it, and are reversed past it, so the drone is pushed back inside.
+ * Positions are the DronePosition telemetry: cm relative to the takeoff point,
+ * x forward and y right at takeoff, heading (psi) in degrees.
+ */
+class Geofence {
+    /**
+     * Instantiates a new instance of the Geofence class
+     *
+     * @param {Object} options Configuration options object
+     * @param {String} options.shape `cylinder` or `box`, default cylinder
+     * @param {Float} options.radius The cylinder radius in m, default 2m
+     * @param {Float} options.height The cylinder height in m, default 2m
+     * @param {Array} options.x The box [min, max] along x in m, default [-2, 2]
+     * @param {Array} options.y The box [min, max] along y in m, default [-2, 2]
+     * @param {Array} options.z The box [min, max] altitude in m, default [0, 2]
+     * @param {Float} options.margin The distance to a wall in m from which the inputs towards it fade out, default 0.5m
+     * @param {Integer} options.returnSpeed The input from 0 to 100 pushing the drone back inside, default 30
+     * @param {String} options.breachAction What the drone does once past a wall, `hover` or `land`, default hover
+     */
+    constructor(options) {
+        const defaults = {
+            shape: 'cylinder',
+            radius: 2,
+            height: 2,
+            x: [-2, 2],
+            y: [-2, 2],
+            z: [0, 2],
+            margin: 0.5,
+            returnSpeed: 30,
+            breachAction: 'hover',
+        };
+        this.options = Object.assign({}, defaults, options);
+        if (SHAPES.indexOf(this.options.shape) < 0) {
+            throw new Error(`Unknown geofence shape ${this.options.shape}, expected one of ${SHAPES.join(', ')}`);
+        }
+    }
+
+    /**
+     * The walls around a point, with their outward normal and the distance
+     * to them, negative past the wall
+     *
+     * @param {Object} point The point in m, x, y and z
+     * @return {Array} The walls, `{ normal, distance }`
+     */
+    getWalls(point) {
+        const options = this.options;
+        if (options.shape === 'box') {
+            return [
+                { normal: { x: 1, y: 0, z: 0 }, distance: options.x[1] - point.x },
+                { normal: { x: -1, y: 0, z: 0 }, distance: point.x - options.x[0] },
+                { normal: { x: 0, y: 1, z: 0 }, distance: options.y[1] - point.y },
+                { normal: { x: 0, y: -1, z: 0 }, distance: point.y - options.y[0] },
+                { normal: { x: 0, y: 0, z: 1 }, distance: options.z[1] - point.z },
+                { normal: { x: 0, y: 0, z: -1 }, distance: point.z - options.z[0] },
+            ];
+        }
+        const walls = [{ normal: { x: 0, y: 0, z: 1 }, distance: options.height - point.z }];
+        const radial = Math.sqrt(point.x * point.x + point.y * point.y);
+        if (radial > 0) {
+            walls.push({ normal: { x: point.x / radial, y: point.y / radial, z: 0 }, distance: options.radius - radial });
+        }
+        return walls;
+    }
+
+    /**
+     * Converts a reported position to meters
+     * @param {Object} position The position in cm, see DroneState
+     * @return {Object} The point in m, null when the position is unknown
+     */
+    toPoint(position) {
+        if (!position || position.x === null || position.y === null || position.z === null) {
+            return null;
+        }
+        return { x: position.x / 100, y: position.y / 100, z: position.z / 100 };
+    }
+
+    /**
+     * If a position is within the walls, unknown positions are
+     *
+     * @param {Object} position The position in cm, see DroneState
+     * @return {Boolean} If the position is inside
+     */
+    contains(position) {
+        const point = this.toPoint(position);
+        return !point || this.getWalls(point).every((wall) => wall.distance >= 0);
+    }
+
+    /**
+     * Attenuates or reverses the flight params pushing the drone towards a wall,
+     * the other inputs are left as they are
+     *
+     * @param {Object} flightParams The roll, pitch, yaw and altitude inputs, -100 to 100
+     * @param {Object} position The position in cm and heading in degrees, see DroneState
+     * @return {Object} The flight params to send, unchanged while the position is unknown
+     */
+    limit(flightParams, position) {
+        const point = this.toPoint(position);
+        if (!point) {
+            return flightParams;
+        }
+        const params = Object.assign({ roll: 0, pitch: 0, yaw: 0, altitude: 0 }, flightParams);
+        const psi = (position.psi || 0) * Math.PI / 180;
+        const cos = Math.cos(psi);
+        const sin = Math.sin(psi);
+        // the inputs as a direction around the takeoff point
+        const input = {
+            x: params.pitch * cos - params.roll * sin,
+            y: params.pitch * sin + params.roll * cos,
+            z: params.altitude,
+        };
+
+        this.getWalls(point).forEach((wall) => {
+            const outward = dot(input, wall.normal);
+            if (outward <= 0 || wall.distance >= this.options.margin) {
+                return;
+            }
+            const allowed = wall.distance > 0 ? outward * wall.distance / this.options.margin : -this.options.returnSpeed;
+            input.x += wall.normal.x * (allowed - outward);
+            input.y += wall.normal.y * (allowed - outward);
+            input.z += wall.normal.z * (allowed - outward);
+        });
+
+        return Object.assign({}, params, {
+            roll: Math.round(input.y * cos - input.x * sin) || 0,
+            pitch: Math.round(input.x * cos + input.y * sin) || 0,
+            altitude: Math.round(input.z) || 0,
+        });
+    }
+}
+
+module.exports = Geofence;
@@ -0,0 +1,102 @@
+const AXES = ['roll', 'pitch', 'yaw', 'altitude'];
+
+// The shaping of an axis: deadzone in %, expo from 0 (linear) to 1 (cubic),
+// rate the largest change in % per second (0 unlimited), scale of the output and trim in %
+const AXIS_DEFAULTS = { deadzone: 0, expo: 0, rate: 0, scale: 1, trim: 0 };
+
+// The shaping presets, by name, the axis options override them
+const PRESETS = {
+    none: {},
+    beginner: {
+        roll: { deadzone: 5, expo: 0.5, rate: 150, scale: 0.5 },
+        pitch: { deadzone: 5, expo: 0.5, rate: 150, scale: 0.5 },
+        yaw: { deadzone: 5, expo: 0.3, rate: 200, scale: 0.5 },
+        altitude: { deadzone: 5, expo: 0.3, rate: 150, scale: 0.6 },
+    },
+};
+
+/**
+ * InputShaper Class
+ *
+ * Shapes the flight params on each axis before they are sent to the drone:
+ * deadzone, expo curve, scale, trim and rate limit, in that order.
+ */
+class InputShaper {
+    /**
+     * Instantiates a new instance of the InputShaper class
+     *
+     * @param {Object} options Configuration options object
+     * @param {String} options.preset A preset of the axes options, `none` or `beginner`, default none
+     * @param {Object} options.roll The roll shaping: deadzone, expo, rate, scale and trim
+     * @param {Object} options.pitch The pitch shaping
+     * @param {Object} options.yaw The yaw shaping
+     * @param {Object} options.altitude The altitude shaping
+     */
+    constructor(options) {
+        this.options = Object.assign({ preset: 'none' }, options);
+        const preset = PRESETS[this.options.preset];
+        if (!preset) {
+            throw new Error(`Unknown input shaping preset ${this.options.preset}, expected one of ${Object.keys(PRESETS).join(', ')}`);
+        }
+        this.axes = {};
+        AXES.forEach((axis) => {
+            this.axes[axis] = Object.assign({}, AXIS_DEFAULTS, preset[axis], this.options[axis]);
+        });
+        this.reset();
+    }
+
+    /**
+     * Forgets the previous output, the rate limits start from hovering again
+     * @return {undefined}
+     */
+    reset() {
+        this.output = { roll: 0, pitch: 0, yaw: 0, altitude: 0 };
+        this.lastShape = null;
+    }
+
+    /**
+     * Shapes one value, without the rate limit
+     *
+     * @param {String} axis The axis name, e.g. pitch
+     * @param {Float} value The raw value, -100 to 100
+     * @return {Float} The shaped value, -100 to 100
+     */
+    shapeValue(axis, value) {
+        const shaping = this.axes[axis];
+        const raw = Math.max(-100, Math.min(100, Number(value) || 0));
+        let input = raw;
+        if (shaping.deadzone) {
+            // past the deadzone the output starts from 0, to keep the response continuous
+            input = Math.abs(raw) <= shaping.deadzone ? 0 : Math.sign(raw) * (Math.abs(raw) - shaping.deadzone) * 100 / (100 - shaping.deadzone);
+        }
+        if (shaping.expo) {
+            const ratio = input / 100;
+            input = ((1 - shaping.expo) * ratio + shaping.expo * Math.pow(ratio, 3)) * 100;
+        }
+        return Math.max(-100, Math.min(100, input * shaping.scale + shaping.trim));
+    }
+
+    /**
+     * Shapes the flight params, run on every eventLoop tick
+     *
+     * @param {Object} flightParams The raw roll, pitch, yaw and altitude, -100 to 100
+     * @return {Object} The shaped flight params
+     */
+    shape(flightParams) {
+        const now = Date.now();
+        const dt = this.lastShape === null ? 0 : (now - this.lastShape) / 1000;
+        this.lastShape = now;
+        const shaped = {};
+        AXES.forEach((axis) => {
+            const target = this.shapeValue(axis, flightParams[axis]);
+            const rate = this.axes[axis].rate;
+            const previous = this.output[axis];
+            shaped[axis] = rate ? previous + Math.max(-rate * dt, Math.min(rate * dt, target - previous)) : target;
+        });
+        this.output = shaped;
+        return Object.assign({}, shaped);
+    }
+}
+
+module.exports = InputShaper;
+module.exports.PRESETS = PRESETS;
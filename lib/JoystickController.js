@@ -0,0 +1,209 @@
+const fs = require('fs');
+const Logger = require('winston');
+const Controller = require('./Controller');
+
+// Size of a Linux joystick API event: time u32, value i16, type u8, number u8
+const EVENT_SIZE = 8;
+const JS_EVENT_BUTTON = 0x01;
+const JS_EVENT_AXIS = 0x02;
+// set on the synthetic events reporting the initial state of the device
+const JS_EVENT_INIT = 0x80;
+const AXIS_MAX = 32767;
+
+// The default layout, a DualShock 3/4 on the hid-sony driver: stick axes to flight params
+const AXES = {
+    0: { param: 'roll' },
+    1: { param: 'pitch', invert: true },
+    3: { param: 'yaw' },
+    4: { param: 'altitude', invert: true },
+};
+
+// and buttons to actions, see Controller
+const BUTTONS = {
+    0: 'takePicture', // cross
+    1: 'emergency', // circle
+    2: 'takeoffOrLand', // triangle
+    3: 'trim', // square
+    4: 'flipLeft', // L1
+    5: 'flipRight', // R1
+    6: 'flipFront', // L2
+    7: 'flipBack', // R2
+};
+
+/**
+ * Decodes Linux joystick API events
+ *
+ * @param {Buffer} buffer The bytes read from a /dev/input/js* device, a whole number of events
+ * @return {Array} The events: time in ms, type (`button` or `axis`), number, value and init
+ */
+const parseEvents = (buffer) => {
+    const events = [];
+    for (let offset = 0; offset + EVENT_SIZE <= buffer.length; offset += EVENT_SIZE) {
+        const type = buffer.readUInt8(offset + 6);
+        const kind = type & ~JS_EVENT_INIT;
+        if (kind === JS_EVENT_BUTTON || kind === JS_EVENT_AXIS) {
+            events.push({
+                time: buffer.readUInt32LE(offset),
+                type: kind === JS_EVENT_BUTTON ? 'button' : 'axis',
+                number: buffer.readUInt8(offset + 7),
+                value: buffer.readInt16LE(offset + 4),
+                init: Boolean(type & JS_EVENT_INIT),
+            });
+        }
+    }
+    return events;
+};
+
+/**
+ * JoystickController Class
+ *
+ * Flies the drone with a gamepad through the Linux joystick API. The sticks
+ * set the flight params and the buttons run actions on press.
+ *
+ * The device only reports the axes that moved, so a stick held off center is
+ * sent again every `repeatMS`, the drone's watchdog does not take it for a hung controller.
+ *
+ * @fires Controller#action
+ * @fires JoystickController#error
+ */
+class JoystickController extends Controller {
+    /**
+     * Instantiates a new instance of the JoystickController class
+     *
+     * @param {Drone} drone The drone to fly
+     * @param {Object} options Configuration options object
+     * @param {String} options.device The joystick device, default /dev/input/js0
+     * @param {Stream} options.stream The stream of events to read instead of the device (optional)
+     * @param {Object} options.axes Axis numbers to `{ param, invert }`, merged over the default layout, null unmaps one
+     * @param {Object} options.buttons Button numbers to actions (see Controller), merged over the default layout, null unmaps one
+     * @param {Integer} options.repeatMS Time in ms between two sends of the held sticks, shorter than the drone's
+     *                                   watchdogTimeout, default 100ms, 0 disables it
+     */
+    constructor(drone, options) {
+        super(drone);
+        const defaults = {
+            device: '/dev/input/js0',
+            stream: null,
+            axes: {},
+            buttons: {},
+            repeatMS: 100,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.axes = Object.assign({}, AXES, this.options.axes);
+        this.buttons = Object.assign({}, BUTTONS, this.options.buttons);
+        this.stream = null;
+        // bytes of an event split across two reads
+        this.pending = new Buffer(0);
+        // the flight params of the sticks, sent again while one is off center
+        this.params = {};
+        this.repeat = null;
+        this.onData = (data) => this.onBytes(data);
+        this.onError = (error) => {
+            // the last stick values are stale, the drone's watchdog handles them
+            this.stopRepeat();
+            if (!this.listenerCount('error')) {
+                Logger.error(`Joystick error: ${error.message}`);
+                return;
+            }
+
+            /**
+             * Fires when the device could not be read, logged when nobody listens
+             *
+             * @event JoystickController#error
+             * @type {Error}
+             */
+            this.emit('error', error);
+        };
+    }
+
+    /**
+     * Starts reading the joystick
+     * @return {undefined}
+     */
+    start() {
+        this.stream = this.options.stream || fs.createReadStream(this.options.device);
+        this.stream.on('data', this.onData);
+        this.stream.on('error', this.onError);
+    }
+
+    /**
+     * Stops reading the joystick, the drone hovers
+     * @return {undefined}
+     */
+    stop() {
+        if (this.stream) {
+            this.stream.removeListener('data', this.onData);
+            this.stream.removeListener('error', this.onError);
+            if (!this.options.stream) {
+                this.stream.destroy();
+            }
+            this.stream = null;
+        }
+        this.pending = new Buffer(0);
+        this.params = {};
+        this.stopRepeat();
+        this.drone.setFlightParams({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+    }
+
+    /**
+     * Sends the held sticks again every `repeatMS` while one is off center
+     * @return {undefined}
+     */
+    updateRepeat() {
+        const held = Object.keys(this.params).some((param) => this.params[param] !== 0);
+        if (!held || !this.options.repeatMS) {
+            this.stopRepeat();
+        } else if (!this.repeat) {
+            this.repeat = setInterval(() => this.drone.setFlightParams(Object.assign({}, this.params)), this.options.repeatMS);
+        }
+    }
+
+    /**
+     * Stops sending the held sticks again
+     * @return {undefined}
+     */
+    stopRepeat() {
+        clearInterval(this.repeat);
+        this.repeat = null;
+    }
+
+    /**
+     * Handles the bytes read, which may end in the middle of an event
+     * @param {Buffer} data The bytes
+     * @return {undefined}
+     */
+    onBytes(data) {
+        const buffer = Buffer.concat([this.pending, data]);
+        const complete = buffer.length - (buffer.length % EVENT_SIZE);
+        this.pending = buffer.slice(complete);
+        parseEvents(buffer.slice(0, complete)).forEach((event) => this.onEvent(event));
+    }
+
+    /**
+     * Maps an event to the flight params or an action
+     * @param {Object} event The event, see parseEvents()
+     * @return {undefined}
+     */
+    onEvent(event) {
+        if (event.type === 'axis') {
+            const axis = this.axes[event.number];
+            if (axis) {
+                const value = Math.round(event.value / AXIS_MAX * 100) * (axis.invert ? -1 : 1);
+                this.params[axis.param] = value || 0;
+                this.drone.setFlightParams({ [axis.param]: value || 0 });
+                this.updateRepeat();
+            }
+            return;
+        }
+        // the initial button states are not presses
+        const action = this.buttons[event.number];
+        if (action && event.value === 1 && !event.init) {
+            this.runAction(action);
+        }
+    }
+}
+
+module.exports = JoystickController;
+module.exports.AXES = AXES;
+module.exports.BUTTONS = BUTTONS;
+module.exports.parseEvents = parseEvents;
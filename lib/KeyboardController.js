@@ -0,0 +1,220 @@
+const Controller = require('./Controller');
+
+// The escape sequences of the keys without a character, in normal and application cursor mode
+const SEQUENCES = {
+    '\u001b[A': 'up',
+    '\u001b[B': 'down',
+    '\u001b[C': 'right',
+    '\u001b[D': 'left',
+    '\u001bOA': 'up',
+    '\u001bOB': 'down',
+    '\u001bOC': 'right',
+    '\u001bOD': 'left',
+};
+
+// The default layout: key name to flight param, with its direction, or to action
+const KEYS = {
+    up: 'pitch+',
+    down: 'pitch-',
+    left: 'roll-',
+    right: 'roll+',
+    w: 'altitude+',
+    s: 'altitude-',
+    a: 'yaw-',
+    d: 'yaw+',
+    t: 'takeoffOrLand',
+    f: 'trim',
+    p: 'takePicture',
+    escape: 'emergency',
+};
+
+/**
+ * Measures the escape sequence starting at an index: CSI (`ESC [`, parameters
+ * and a final byte), SS3 (`ESC O` and a character), or Alt and a character
+ *
+ * @param {String} data The characters read
+ * @param {Integer} index The index of the ESC
+ * @return {Integer} The length of the sequence, 1 for a standalone ESC
+ */
+const sequenceLength = (data, index) => {
+    const next = data[index + 1];
+    if (next === '[') {
+        let end = index + 2;
+        // parameter and intermediate bytes, up to the final byte
+        while (end < data.length && data.charCodeAt(end) >= 0x20 && data.charCodeAt(end) <= 0x3f) {
+            end += 1;
+        }
+        const code = data.charCodeAt(end);
+        return end + (code >= 0x40 && code <= 0x7e ? 1 : 0) - index;
+    }
+    if (next === 'O') {
+        return Math.min(3, data.length - index);
+    }
+    // a control character, another ESC or Ctrl+C, follows a standalone ESC
+    return next && next >= ' ' ? 2 : 1;
+};
+
+/**
+ * Splits raw-mode terminal input into key names, the escape sequences
+ * of the keys without a name (F1, Delete, Ctrl+Up...) are dropped
+ *
+ * @param {String} data The characters read, e.g. `'\u001b[Aw'`
+ * @return {Array} The key names, e.g. `['up', 'w']`, `escape`, `ctrl-c` and the characters
+ */
+const parseKeys = (data) => {
+    const keys = [];
+    let index = 0;
+    while (index < data.length) {
+        const char = data[index];
+        if (char === '\u001b') {
+            const length = sequenceLength(data, index);
+            const sequence = data.substr(index, length);
+            if (length === 1) {
+                keys.push('escape');
+            } else if (SEQUENCES[sequence]) {
+                keys.push(SEQUENCES[sequence]);
+            }
+            index += length;
+        } else {
+            keys.push(char === '\u0003' ? 'ctrl-c' : char.toLowerCase());
+            index += 1;
+        }
+    }
+    return keys;
+};
+
+/**
+ * KeyboardController Class
+ *
+ * Flies the drone from the terminal, reading stdin in raw mode. Terminals do
+ * not report key releases: a flight param key holds its input while the key
+ * repeats, and releases it `releaseMS` after the last repeat.
+ *
+ * @fires Controller#action
+ * @fires KeyboardController#quit
+ */
+class KeyboardController extends Controller {
+    /**
+     * Instantiates a new instance of the KeyboardController class
+     *
+     * @param {Drone} drone The drone to fly
+     * @param {Object} options Configuration options object
+     * @param {Stream} options.input The terminal to read, default process.stdin
+     * @param {Object} options.keys Key names to flight params (e.g. `pitch+`) or actions (see Controller), merged
+     *                              over the default layout, null unmaps a key
+     * @param {Integer} options.power The input from 0 to 100 of the flight param keys, default 50
+     * @param {Integer} options.releaseMS Time in ms without repeat before a key is released, default 500ms
+     */
+    constructor(drone, options) {
+        super(drone);
+        const defaults = {
+            input: process.stdin,
+            keys: {},
+            power: 50,
+            releaseMS: 500,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.keys = Object.assign({}, KEYS, this.options.keys);
+        // release timers of the flight params held, by param
+        this.held = {};
+        this.onData = (data) => this.onKeys(parseKeys(data.toString()));
+    }
+
+    /**
+     * Starts reading the keys
+     * @return {undefined}
+     */
+    start() {
+        const input = this.options.input;
+        if (input.isTTY) {
+            input.setRawMode(true);
+        }
+        input.setEncoding('utf8');
+        input.on('data', this.onData);
+        input.resume();
+    }
+
+    /**
+     * Stops reading the keys, releases the flight params and restores the terminal
+     * @return {undefined}
+     */
+    stop() {
+        const input = this.options.input;
+        input.removeListener('data', this.onData);
+        input.pause();
+        if (input.isTTY) {
+            input.setRawMode(false);
+        }
+        Object.keys(this.held).forEach((param) => this.release(param));
+    }
+
+    /**
+     * Handles the keys read
+     * @param {Array} keys The key names
+     * @return {undefined}
+     */
+    onKeys(keys) {
+        keys.forEach((key) => {
+            if (key === 'ctrl-c') {
+                this.quit();
+                return;
+            }
+            const mapping = this.keys[key];
+            if (!mapping) {
+                return;
+            }
+            const param = mapping.match(/^(roll|pitch|yaw|altitude)([+-])$/);
+            if (param) {
+                this.hold(param[1], param[2] === '+' ? this.options.power : -this.options.power);
+            } else {
+                this.runAction(mapping);
+            }
+        });
+    }
+
+    /**
+     * Sets a flight param until the key is released
+     * @param {String} param The flight param, e.g. pitch
+     * @param {Integer} value The input
+     * @return {undefined}
+     */
+    hold(param, value) {
+        clearTimeout(this.held[param]);
+        this.held[param] = setTimeout(() => this.release(param), this.options.releaseMS);
+        this.drone.setFlightParams({ [param]: value });
+    }
+
+    /**
+     * Sets a flight param back to 0
+     * @param {String} param The flight param, e.g. pitch
+     * @return {undefined}
+     */
+    release(param) {
+        clearTimeout(this.held[param]);
+        delete this.held[param];
+        this.drone.setFlightParams({ [param]: 0 });
+    }
+
+    /**
+     * Ctrl+C in raw mode, interrupts the process when nobody listens to `quit`
+     * @return {undefined}
+     */
+    quit() {
+        this.stop();
+        if (!this.listenerCount('quit')) {
+            process.kill(process.pid, 'SIGINT');
+            return;
+        }
+
+        /**
+         * Fires on Ctrl+C, the controller stopped
+         *
+         * @event KeyboardController#quit
+         */
+        this.emit('quit');
+    }
+}
+
+module.exports = KeyboardController;
+module.exports.KEYS = KEYS;
+module.exports.parseKeys = parseKeys;
@@ -0,0 +1,120 @@
+const Transport = require('./Transport');
+
+/**
+ * In-memory transport
+ *
+ * Nothing leaves the process: frames written by the adapter are fired as
+ * `write` events for whatever plays the drone's side (a test, a simulator)
+ * and frames passed to notify() reach the adapter as if the drone sent them.
+ *
+ * @fires LoopbackTransport#write
+ */
+class LoopbackTransport extends Transport {
+    /**
+     * Instantiates a new instance of the LoopbackTransport class
+     *
+     * @param {Object} options Configuration options object
+     * @param {Integer} options.rssi The signal strength reported by updateRssi(), default -50
+     * @param {String} options.name The local name of the fake peripheral, default 'Loopback'
+     * @param {String} options.id The id of the fake peripheral, default 'loopback'
+     * @param {String} options.model The model scan() reports, default 'Simulator'
+     */
+    constructor(options) {
+        super();
+        const defaults = {
+            rssi: -50,
+            name: 'Loopback',
+            id: 'loopback',
+            model: 'Simulator',
+        };
+        this.options = Object.assign({}, defaults, options);
+    }
+
+    /**
+     * Opens the link on the next tick, there is only one drone to connect to
+     * @return {undefined}
+     */
+    connect() {
+        setImmediate(() => {
+            this.connected = true;
+            this.peripheralId = this.options.id;
+            this.emit('connected');
+        });
+    }
+
+    /**
+     * Closes the link
+     * @return {undefined}
+     */
+    disconnect() {
+        if (!this.connected) {
+            return;
+        }
+        this.connected = false;
+        this.emit('disconnected');
+    }
+
+    /**
+     * Hands a frame written by the adapter over to the drone's side
+     *
+     * @param  {String} channel The channel key, e.g. `fa0b`
+     * @param  {Buffer} buffer  The frame to write
+     * @return {undefined}
+     */
+    write(channel, buffer) {
+        if (!this.connected) {
+            return;
+        }
+
+        /**
+         * Fires for every frame the adapter writes
+         *
+         * @event LoopbackTransport#write
+         * @param {String} channel The channel key
+         * @param {Buffer} buffer The written frame
+         */
+        this.emit('write', channel, buffer);
+    }
+
+    /**
+     * Delivers a frame from the drone's side to the adapter
+     *
+     * @param  {String} channel The channel key, e.g. `fb0f`
+     * @param  {Buffer} buffer  The frame the drone sends
+     * @return {undefined}
+     */
+    notify(channel, buffer) {
+        if (!this.connected) {
+            return;
+        }
+        this.emit('data', channel, buffer);
+    }
+
+    /**
+     * Finds the fake peripheral on the next tick
+     * @return {Promise} Resolves with the fake peripheral
+     */
+    scan() {
+        return new Promise((resolve) => setImmediate(() => {
+            const drone = {
+                name: this.options.name,
+                id: this.options.id,
+                rssi: this.options.rssi,
+                manufacturer: null,
+                model: this.options.model,
+            };
+            this.emit('discover', drone);
+            resolve([drone]);
+        }));
+    }
+
+    /**
+     * Reports the configured signal strength on the next tick
+     * @return {undefined}
+     */
+    updateRssi() {
+        setImmediate(() => this.emit('rssiUpdate', this.options.rssi));
+    }
+}
+
+module.exports = LoopbackTransport;
@@ -1,77 +1,111 @@
 const Logger = require('winston');
 //Logger.level = 'debug'
 const EventEmitter = require('events');
+const NobleTransport = require('./NobleTransport');
+const ArsdkCodec = require('./ArsdkCodec');
 
-// MiniDrone Command classes and class methods
-// https://github.com/Parrot-Developers/libARCommands/blob/master/Xml/MiniDrone_commands.xml
-const MD_CLASSES = {
-    PILOTING: 0x00,
-    SPEED_SETTINGS: 0x01,
-    ANIMATION: 0x04,
-    MEDIA_RECORD: 0x06,
-    PILOTING_SETTINGS: 0x08,
-    NAVIGATION_DATA_STATE: 0x18,
-};
-const MD_METHODS = {
-    TRIM: 0x00,
-    TAKEOFF: 0x01,
-    LAND: 0x03,
-    EMERGENCY: 0x04,
-    PICTURE: 0x01,
-    FLIP: 0x00,
-    MAX_ALTITUDE: 0x00,
-    MAX_TILT: 0x01,
-    MAX_VERTICAL_SPEED: 0x00,
-    MAX_ROTATION_SPEED: 0x01,
-    DRONE_POSITION: 0x00,
-    DRONE_SPEED: 0x01,
-};
 const MD_DATA_TYPES = {
     ACK: 0x01,
     DATA: 0x02,
     LLD: 0x03,
     DATA_WITH_ACK: 0x04,
 };
+// Animation names and the matching Animations.Flip direction
 const animations = {
-            flipFront: 0x00,
-            flipBack: 0x01,
-            flipRight: 0x02,
-            flipLeft: 0x03,
-        };
-const pictureState = ['ready', 'busy', 'notAvailable']
-const pictureStateError = ['ok', 'unknown', 'cameraKO', 'memoryFull', 'lowBattery']
+    flipFront: 'front',
+    flipBack: 'back',
+    flipRight: 'right',
+    flipLeft: 'left',
+};
 
-// BTLE Characteristic keys
+// BTLE Characteristic keys, used as the transport channel names
 const RX_COMMAND_WITH_ACK   = 'fb0e';   // fb : Receive commands    - 0e : ACK_DRONE_DATA       # drone data that needs an ack (needs to be ack on 1e)
 const RX_COMMAND_NO_ACK     = 'fb0f';   // fb : Receive commands    - 0f : NO_ACK_DRONE_DATA    # data from drone (including battery and others), no ack
-                                        // fb : Receive commands    - 1b : ACK_COMMAND_SENT     # ack 0b channel, SEND_WITH_ACK
-                                        // fb : Receive commands    - 1c : ACK_HIGH_PRIORITY    # ack 0c channel, SEND_HIGH_PRIORITY
+const RX_ACK_COMMAND        = 'fb1b';   // fb : Receive commands    - 1b : ACK_COMMAND_SENT     # ack 0b channel, SEND_WITH_ACK
+const RX_ACK_EMERGENCY      = 'fb1c';   // fb : Receive commands    - 1c : ACK_HIGH_PRIORITY    # ack 0c channel, SEND_HIGH_PRIORITY
 
 const FLIGHT_PARAMS_KEY     = 'fa0a';   // fa : Send commands       - 0a : SEND_NO_ACK          # not-ack commandsandsensors (PCMD only)
 const COMMAND_KEY           = 'fa0b';   // fa : Send commands       - 0b : SEND_WITH_ACK        # ack commandsandsensors (all piloting commandsandsensors)
 const EMERGENCY_KEY         = 'fa0c';   // fa : Send commands       - 0c : SEND_HIGH_PRIORITY   # emergency commandsandsensors
-                                        // fa : Send commands       - 1e : ACK_COMMAND          # ack for data sent on 0e
-
-// TODO: need all these?
-const CHARACTERISTIC_MAP = [
-    RX_COMMAND_NO_ACK, RX_COMMAND_WITH_ACK, 'fb1b', 'fb1c', 'fd22', 'fd23', 'fd24', 'fd52', 'fd53', 'fd54',
-];
-
-// Drone IDs
-const MANUFACTURER_SERIALS = ['4300cf1900090100', '4300cf1909090100', '4300cf1907090100'];
-const DRONE_PREFIXES = ['RS_', 'Mars_', 'Travis_', 'Maclan_', 'Mambo_', 'Blaze_', 'NewZ_'];
+const ACK_KEY               = 'fa1e';   // fa : Send commands       - 1e : ACK_COMMAND          # ack for data sent on 0e
 
-const MD_DEVICE_TYPE = 0x02;
+// The channel the drone acks each of our channels on
+const ACK_CHANNELS = {};
+ACK_CHANNELS[COMMAND_KEY] = RX_ACK_COMMAND;
+ACK_CHANNELS[EMERGENCY_KEY] = RX_ACK_EMERGENCY;
 
-const FLIGHT_STATUSES = ['landed', 'taking off', 'hovering', 'flying',
-                         'landing', 'emergency', 'rolling', 'initializing'];
+/**
+ * Rounds and clamps a piloting input to the -100..100 range of the PCMD int8 fields
+ * @param {Number} value The input
+ * @return {Integer} The PCMD value, 0 when the input is not a number
+ */
+const toPercent = (value) => Math.max(-100, Math.min(100, Math.round(Number(value)) || 0));
+
+// The flight statuses fired for the FlyingStateChanged states
+const FLIGHT_STATUSES = {
+    landed: 'landed',
+    takingoff: 'taking off',
+    hovering: 'hovering',
+    flying: 'flying',
+    landing: 'landing',
+    emergency: 'emergency',
+    rolling: 'rolling',
+    init: 'initializing',
+};
 
-const ALERT_STATE_CHANGED = ['none', 'user', 'cut_out', 'critical_battery', 'low_battery'];
+// Decoders of the commands the drone sends, by `project.Class.Command` key:
+// the event fired, the value it is fired with (the decoded arguments by default)
+// and the adapter property keeping the last value. Every decoded command is
+// also fired as `state`, commands without a decoder are only fired that way.
+const DECODERS = {
+    'common.CommonState.BatteryStateChanged': {
+        event: 'batteryStatusChange',
+        property: 'batteryLevel',
+        value: (args) => args.percent,
+    },
+    'minidrone.PilotingState.FlatTrimChanged': {
+        event: 'flatTrimChange',
+    },
+    'minidrone.PilotingState.FlyingStateChanged': {
+        event: 'flightStatusChange',
+        property: 'flightStatus',
+        value: (args) => FLIGHT_STATUSES[args.state] || args.state,
+    },
+    'minidrone.PilotingState.AlertStateChanged': {
+        event: 'alertStateChange',
+        property: 'alertStatus',
+        value: (args) => args.state,
+    },
+    'minidrone.NavigationDataState.DronePosition': {
+        event: 'dronePositionChange',
+        value: (args) => ({ x: args.posx, y: args.posy, z: args.posz, psi: args.psi, ts: args.ts }),
+    },
+    'minidrone.NavigationDataState.DroneSpeed': {
+        event: 'droneSpeedChange',
+        value: (args) => ({ x: args.speed_x, y: args.speed_y, z: args.speed_z, ts: args.ts }),
+    },
+    'minidrone.SpeedSettingsState.MaxVerticalSpeedChanged': {
+        event: 'maxVerticalSpeedChange',
+        value: (args) => args.current,
+    },
+    'minidrone.SpeedSettingsState.MaxRotationSpeedChanged': {
+        event: 'maxRotationSpeedChange',
+        value: (args) => args.current,
+    },
+    'minidrone.PilotingSettingsState.MaxAltitudeChanged': {
+        event: 'maxAltitudeChange',
+        value: (args) => args.current,
+    },
+    'minidrone.PilotingSettingsState.MaxTiltChanged': {
+        event: 'maxTiltChange',
+        value: (args) => args.current,
+    },
+};
 
 /**
- * Network adapter between drone and Noble BTLE
- * Abstracts away all the characteristics, buffers
- * and steps bullshit.
+ * Network adapter between drone and a Transport
+ * Abstracts away all the buffers and steps bullshit,
+ * the transport moves the frames (Noble BTLE by default).
  *
  * @author Christopher Fetherston <chris@cfetherston.com>
  */
@@ -81,18 +115,26 @@ class MiniDroneBtAdapter extends EventEmitter {
      *
      * @param {Object} options Configuration options object
      * @param {String} options.droneFilter The name of the drone to restrict connection to
+     * @param {Transport} options.transport The link to the drone, default a new NobleTransport
+     * @param {Integer} options.ackTimeout Time in ms to wait for the drone's ack before sending a command again, default 150ms
+     * @param {Integer} options.maxRetries How many times a command is sent before giving up, default 5
+     * @param {ArsdkCodec} options.codec The command codec, default one for the common and minidrone projects
      */
     constructor(options) {
         super();
         const defaults = {
             droneFilter: '',
+            transport: null,
+            ackTimeout: 150,
+            maxRetries: 5,
+            codec: null,
         };
         this.options = Object.assign({}, defaults, options);
-        // noble is not a constructor
-        this.noble = require('noble');
+        this.codec = this.options.codec || new ArsdkCodec();
+        this.transport = this.options.transport || new NobleTransport({
+            droneFilter: this.options.droneFilter,
+        });
         this.connected = false;
-        this.peripheral = null;
-        this.characteristics = [];
         this.batteryLevel = 'Unknown';
         // Steps hold the command sequence, they increment with every new characteristic write
         // and should be reset once reaching 255
@@ -100,8 +142,14 @@ class MiniDroneBtAdapter extends EventEmitter {
         this.steps[FLIGHT_PARAMS_KEY] = 0;
         this.steps[COMMAND_KEY] = 0;
         this.steps[EMERGENCY_KEY] = 0;
+        this.steps[ACK_KEY] = 0;
+        // Commands waiting for the drone's ack, by channel and sequence number
+        this.pendingAcks = {};
+        // Sequence number of the last frame received on the ack channel, to skip the drone's retries
+        this.lastRXWithACK = null;
         this.flightStatus = null;
         this.alertStatus = 0;
+        this.decoders = Object.assign({}, DECODERS);
         // flight param cache to only send values that have changed
         this.flightParams = {
             roll: 0,
@@ -110,40 +158,104 @@ class MiniDroneBtAdapter extends EventEmitter {
             altitude: 0,
         };
 
-        // bind noble event handlers
-        this.noble.on('stateChange', (state) => this.onNobleStateChange(state));
-        this.noble.on('discover', (peripheral) => this.onPeripheralDiscovery(peripheral));
-        this.noble.on('scanStart', () => { Logger.debug('Noble scan started')})
-        this.noble.on('scanStop', () => { Logger.debug('Noble scan stopped')})
-        this.noble.on('warning', (message) => { Logger.debug('Noble warning : ' + message)})
+        // bind transport event handlers
+        this.transport.on('connected', () => this.onConnect());
+        this.transport.on('disconnected', () => this.onDisconnect());
+        this.transport.on('data', (channel, data) => this.onData(channel, data));
+        this.transport.on('rssiUpdate', (rssi) => this.emit('rssiUpdate', rssi));
+        this.transport.on('poweredOff', () => this.emit('poweredOff', true));
+        this.transport.on('error', (error) => this.emit('error', error));
     }
 
     /**
-     * Event handler for when noble broadcasts a state change
-     * @param  {String} state a string describing noble's state
+     * Opens the transport's link to the drone
+     * @param {String} id The id of the drone to connect to, as found by scan(), default the first drone found
      * @return {undefined}
      */
-    onNobleStateChange(state) {
-        if (state === 'poweredOn') {
-            Logger.info(`Bluetooth dongle ready, start scanning`);
-            this.noble.startScanning();
-        } else if (state === 'poweredOff') {
-          this.emit('poweredOff', true);
+    connect(id) {
+        this.transport.connect(id);
+    }
+
+    /**
+     * Looks for the drones around without connecting, see Transport#scan()
+     *
+     * @param {Object} options Scan options
+     * @param {Integer} options.timeout How long to scan in ms
+     * @return {Promise} Resolves with the drones found
+     */
+    scan(options) {
+        return this.transport.scan(options);
+    }
+
+    /**
+     * Closes the transport's link to the drone
+     * @return {undefined}
+     */
+    disconnect() {
+        this.transport.disconnect();
+    }
+
+    /**
+     * Event handler for when the transport opened the link
+     * @return {undefined}
+     */
+    onConnect() {
+        this.connected = true;
+        this.emit('connected');
+    }
+
+    /**
+     * Event handler for when the transport lost the link
+     * @return {undefined}
+     */
+    onDisconnect() {
+        this.connected = false;
+        this.lastRXWithACK = null;
+        Object.keys(this.pendingAcks).forEach((key) => {
+            this.failPending(key, new Error('Disconnected before the drone acknowledged the command'));
+        });
+        this.emit('disconnected');
+    }
+
+    /**
+     * Event handler for frames the drone notifies over the transport
+     * @param {String} channel The channel key the frame was received on
+     * @param {Buffer} data The received frame
+     * @return {undefined}
+     */
+    onData(channel, data) {
+        // the frames start with their data type and sequence number, the acks add the acknowledged one
+        const isAck = channel === RX_ACK_COMMAND || channel === RX_ACK_EMERGENCY;
+        if (data.length < (isAck ? 3 : 2)) {
+            Logger.warn(`Dropped a frame too short on ${channel}, ${data.length} bytes`);
+            return;
+        }
+        if (channel === RX_COMMAND_WITH_ACK) {
+            this.onRXCommandWithACK(data, true);
+        } else if (channel === RX_COMMAND_NO_ACK) {
+            this.onRXCommandNoACK(data, true);
+        } else if (isAck) {
+            this.onRXAck(channel, data);
         }
     }
 
     /**
-     * Writes a buffer to a BTLE peripheral characteristic
+     * Writes a buffer to one of the drone's channels through the transport
      * Most convince methods in this class point to this method
      *
-     * @param  {String} uuid   the characteristic's UUID
+     * Frames requesting an ack are sent again until the drone acks them, the returned
+     * promise resolves on the ack or rejects once `maxRetries` tries went unanswered.
+     *
+     * @param  {String} uuid   the channel's characteristic UUID
      * @param  {Buffer} buffer stream of binary data
-     * @return {undefined}
+     * @return {Promise|undefined} The ack promise for frames requesting an ack
      */
     write(uuid, buffer) {
-        if (!this.characteristics.length) {
-            Logger.warn('You must have bluetooth enabled and be connected to a drone before executing a command.');
-           return;
+        const needsAck = Boolean(ACK_CHANNELS[uuid]) && buffer.readUInt8(0) === MD_DATA_TYPES.DATA_WITH_ACK;
+
+        if (!this.transport.connected) {
+            Logger.warn('You must be connected to a drone before executing a command.');
+            return needsAck ? this.settle(Promise.reject(new Error('Not connected to a drone'))) : undefined;
         }
 
         // Sequence number can only be stored in one byte, so we must reset after 255
@@ -151,340 +263,303 @@ class MiniDroneBtAdapter extends EventEmitter {
             this.steps[uuid] = 0;
         }
 
-        this.getCharacteristic(uuid).write(buffer, true);
+        // track the frame first, the ack may arrive while it is written
+        const ack = needsAck ? this.settle(this.trackAck(uuid, buffer)) : undefined;
+        this.transport.write(uuid, buffer);
+        return ack;
+    }
+
+    /**
+     * Marks a promise as handled, a command nobody awaits must not
+     * crash the process, failures are fired as `commandFailed` anyway
+     * @param  {Promise} promise The promise
+     * @return {Promise} The same promise
+     */
+    settle(promise) {
+        promise.catch(() => {});
+        return promise;
     }
 
     /**
-     * Creates a buffer with the common values needed to write to the drone
-     * @param  {String} uuid The characteristic UUID
-     * @param  {Array}  args The buffer arguments, usually the above command constants
-     * @return {buffer}      A freshly created Buffer stream
+     * Keeps a frame until the drone acks it, sending it again every `ackTimeout`
+     * @param  {String} uuid   the channel's characteristic UUID
+     * @param  {Buffer} buffer the frame that was written
+     * @return {Promise} Resolves when the drone acks the frame
      */
-    createBuffer(uuid, args = []) {
-        const buffArray = [MD_DATA_TYPES.DATA_WITH_ACK, ++this.steps[uuid] & 0xFF, MD_DEVICE_TYPE];
-        return new Buffer(buffArray.concat(args));
+    trackAck(uuid, buffer) {
+        const key = `${uuid}:${buffer.readUInt8(1)}`;
+        if (this.pendingAcks[key]) {
+            this.failPending(key, new Error('Sequence number reused before the drone acknowledged the command'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const pending = { uuid, buffer, resolve, reject, tries: 1, timer: null };
+            const retry = () => {
+                if (pending.tries >= this.options.maxRetries) {
+                    this.failPending(key, new Error(`No ack from the drone after ${pending.tries} tries`));
+                    return;
+                }
+                pending.tries++;
+                Logger.debug(`Sending ${key} again, try ${pending.tries}`);
+                this.transport.write(uuid, buffer);
+                pending.timer = setTimeout(retry, this.options.ackTimeout);
+            };
+            pending.timer = setTimeout(retry, this.options.ackTimeout);
+            this.pendingAcks[key] = pending;
+        });
     }
 
     /**
-     * Writes the drones roll, pitch, yaw and altitude to the device
-     * TODO: This could be smarter and cache values and only update when changed
+     * Rejects a command waiting for its ack
+     * @param  {String} key   the pending ack key, channel and sequence number
+     * @param  {Error}  error the reason
+     * @return {undefined}
+     */
+    failPending(key, error) {
+        const pending = this.pendingAcks[key];
+        clearTimeout(pending.timer);
+        delete this.pendingAcks[key];
+        Logger.warn(`Command ${key} failed: ${error.message}`);
+        pending.reject(error);
+
+        /**
+         * Fires when a command requesting an ack was never acknowledged by the drone
+         *
+         * @event MiniDroneBtAdapter#commandFailed
+         * @param {Error} error The reason
+         * @param {Buffer} buffer The frame that failed
+         */
+        this.emit('commandFailed', error, pending.buffer);
+    }
+
+    /**
+     * Event handler for the drone's acks of the commands we sent
+     * @param {String} channel The channel the ack was received on
+     * @param {Buffer} data The ack frame, its payload is the acknowledged sequence number
+     * @return {undefined}
+     */
+    onRXAck(channel, data) {
+        const uuid = Object.keys(ACK_CHANNELS).filter((key) => ACK_CHANNELS[key] === channel)[0];
+        const key = `${uuid}:${data.readUInt8(2)}`;
+        const pending = this.pendingAcks[key];
+        if (!pending) {
+            return;
+        }
+        clearTimeout(pending.timer);
+        delete this.pendingAcks[key];
+        pending.resolve();
+    }
+
+    /**
+     * Acknowledges a frame the drone sent on the ack channel
+     * @param {Buffer} data The received frame
+     * @return {undefined}
+     */
+    writeAck(data) {
+        this.steps[ACK_KEY] = (this.steps[ACK_KEY] + 1) & 0xFF;
+        const buffer = new Buffer([MD_DATA_TYPES.ACK, this.steps[ACK_KEY], data.readUInt8(1)]);
+        this.write(ACK_KEY, buffer);
+    }
+
+    /**
+     * Creates a frame: data type and sequence number of the channel, followed by the command
+     * @param  {String} uuid    The characteristic UUID
+     * @param  {Buffer} payload The command, as encoded by the codec
+     * @return {buffer}         A freshly created Buffer stream
+     */
+    createBuffer(uuid, payload) {
+        const dataType = uuid === FLIGHT_PARAMS_KEY ? MD_DATA_TYPES.DATA : MD_DATA_TYPES.DATA_WITH_ACK;
+        return Buffer.concat([new Buffer([dataType, ++this.steps[uuid] & 0xFF]), payload]);
+    }
+
+    /**
+     * Writes any command known by the codec, on the channel it belongs to:
+     * the emergency channel for Emergency, the no ack channel for PCMD
+     * and the ack channel for everything else.
+     *
+     * @param  {String} project     The project name, e.g. minidrone
+     * @param  {String} className   The class name, e.g. PilotingSettings
+     * @param  {String} commandName The command name, e.g. MaxAltitude
+     * @param  {Object} args        The command arguments by name
+     * @return {Promise|undefined}  Resolves when the drone acks the command, undefined for PCMD
+     */
+    writeCommand(project, className, commandName, args) {
+        const payload = this.codec.encode(project, className, commandName, args);
+
+        /**
+         * Fires for every command written to the drone, once encoded
+         *
+         * @event MiniDroneBtAdapter#command
+         * @type {object}
+         * @property {String} project The project name, e.g. minidrone
+         * @property {String} class The class name, e.g. Piloting
+         * @property {String} command The command name, e.g. TakeOff
+         * @property {Object} args The arguments by name
+         */
+        this.emit('command', { project, class: className, command: commandName, args: args || {} });
+        let uuid = COMMAND_KEY;
+        if (commandName === 'Emergency') {
+            uuid = EMERGENCY_KEY;
+        } else if (commandName === 'PCMD') {
+            uuid = FLIGHT_PARAMS_KEY;
+        }
+        return this.write(uuid, this.createBuffer(uuid, payload));
+    }
+
+    /**
+     * Decodes a frame received from the drone
+     * @param  {Buffer} data The frame
+     * @return {Object}      The data type, sequence number and the command decoded by the codec
+     */
+    decodeFrame(data) {
+        return Object.assign({
+            dataType: data.readUInt8(0),
+            sequence: data.readUInt8(1),
+        }, this.codec.decode(data, 2));
+    }
+
+    /**
+     * Writes the drones roll, pitch, yaw and altitude to the device as a PCMD command.
+     * The values are clamped to -100..100, the drone only applies roll and pitch
+     * when the PCMD flag is set, so it is set when any of them is not 0.
      *
      * @param  {object} flightParams Object containing any roll, pitch, yaw and altitude
      * @return {undefined}
      */
     writeFlightParams(flightParams) {
-        const buffer = new Buffer(19);
-        this.flightParams = flightParams;
-
-        buffer.fill(0);
-        buffer.writeInt16LE(2, 0);                                  //dataType (1:ACK,2:Data_NO_ACK,3:LOW_LATENCY_DATA,4:DATA_WITH_ACK)
-        buffer.writeInt16LE(++this.steps[FLIGHT_PARAMS_KEY], 1);    //step
-        buffer.writeInt16LE(2, 2);                                  //project (0:COMMON,1:ARDRONE3,2:MINIDRONE)
-        buffer.writeInt16LE(0, 3);                                  //class (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(2, 4);                                  //command (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(0, 5);                                  //empty ?
-        buffer.writeInt16LE(1, 6); // roll and pitch bool           //Argument 1
-        buffer.writeInt16LE(this.flightParams.roll, 7);             //Argument 2
-        buffer.writeInt16LE(this.flightParams.pitch, 8);            //Argument 3
-        buffer.writeInt16LE(this.flightParams.yaw, 9);              //Argument 4
-        buffer.writeInt16LE(this.flightParams.altitude, 10);        //Argument 5
-        buffer.writeFloatLE(0, 11);                                 //Argument 6 (Timestamp)
-
-        this.write(FLIGHT_PARAMS_KEY, buffer);
+        const params = Object.assign({ roll: 0, pitch: 0, yaw: 0, altitude: 0 }, flightParams);
+        this.flightParams = {
+            roll: toPercent(params.roll),
+            pitch: toPercent(params.pitch),
+            yaw: toPercent(params.yaw),
+            altitude: toPercent(params.altitude),
+        };
+
+        this.writeCommand('minidrone', 'Piloting', 'PCMD', {
+            flag: this.flightParams.roll || this.flightParams.pitch ? 1 : 0,
+            roll: this.flightParams.roll,
+            pitch: this.flightParams.pitch,
+            yaw: this.flightParams.yaw,
+            gaz: this.flightParams.altitude,
+            timestamp: this.pcmdTimestamp(),
+        });
         this.emit('flightParamChange', this.flightParams);
     }
 
+    /**
+     * The PCMD timestamp: milliseconds in the low 24 bits,
+     * sequence number of the PCMD frame in the high 8 bits
+     * @return {Integer} The timestamp, an unsigned 32 bits integer
+     */
+    pcmdTimestamp() {
+        const sequence = (this.steps[FLIGHT_PARAMS_KEY] + 1) & 0xFF;
+        return ((sequence << 24) | (Date.now() & 0xFFFFFF)) >>> 0;
+    }
+
     /**
      * Convenience method for writing the flat trim command
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeTrim() {
-        const buffer = this.createBuffer(COMMAND_KEY, [MD_CLASSES.PILOTING, MD_METHODS.TRIM, 0x00]);
-        this.write(COMMAND_KEY, buffer);
         Logger.info('Trim command called');
+        return this.writeCommand('minidrone', 'Piloting', 'FlatTrim');
     }
 
     /**
      * Convenience method for writing the takeoff command
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeTakeoff() {
-        const buffer = this.createBuffer(COMMAND_KEY, [MD_CLASSES.PILOTING, MD_METHODS.TAKEOFF, 0x00]);
-        this.write(COMMAND_KEY, buffer);
         Logger.info('Takeoff command called');
+        return this.writeCommand('minidrone', 'Piloting', 'TakeOff');
     }
 
     /**
      * Convenience method for writing the land command
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeLand() {
-        const buffer = this.createBuffer(COMMAND_KEY, [MD_CLASSES.PILOTING, MD_METHODS.LAND, 0x00]);
-        this.write(COMMAND_KEY, buffer);
         Logger.info('Land command called');
+        return this.writeCommand('minidrone', 'Piloting', 'Landing');
     }
 
     /**
      * Convenience method for writing the emergency command
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeEmergency() {
-        const buffer = this.createBuffer(EMERGENCY_KEY, [MD_CLASSES.PILOTING, MD_METHODS.EMERGENCY, 0x00]);
-        this.write(EMERGENCY_KEY, buffer);
         Logger.info('Emergency command called');
+        return this.writeCommand('minidrone', 'Piloting', 'Emergency');
     }
 
     /**
      * Convenience method for writing the media take a picture command
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeTakePicture() {
-        const buffer = this.createBuffer(COMMAND_KEY, [MD_CLASSES.MEDIA_RECORD, MD_METHODS.PICTURE, 0x00]);
-        this.write(COMMAND_KEY, buffer);
         Logger.info('Take picture command called');
+        return this.writeCommand('minidrone', 'MediaRecord', 'PictureV2');
     }
 
     /**
      * Convenience method for writing animation class methods
      * @param {String} animation The animation direction
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeAnimation(animation) {
         if (typeof animations[animation] === 'undefined') {
-            return;
+            return this.settle(Promise.reject(new Error(`Unknown animation ${animation}`)));
         }
-        // this one is a little weird, don't understand the extra
-        // argument after the flip class constant ¯\_(ツ)_/¯
-        const buffer = this.createBuffer(COMMAND_KEY, [MD_CLASSES.ANIMATION, MD_METHODS.FLIP, 0x00, animations[animation], 0x00, 0x00, 0x00]);
-        this.write(COMMAND_KEY, buffer);
         Logger.info(`Animation command called with ${animation} argument`);
+        return this.writeCommand('minidrone', 'Animations', 'Flip', { direction: animations[animation] });
     }
 
     /**
      * Convenience method for setting the drone's altitude limitation
      * @param  {Integer} altitude the altitude in meters (2m-10m for Airborne Cargo / 2m - 25m for Mambo)
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeMaxAltitude(altitude) {
-        const buffer = new Buffer(19);
-        buffer.fill(0);
-        buffer.writeInt16LE(4, 0);                                  //dataType (1:ACK,2:Data_NO_ACK,3:LOW_LATENCY_DATA,4:DATA_WITH_ACK)
-        buffer.writeInt16LE(++this.steps[COMMAND_KEY], 1);          //step
-        buffer.writeInt16LE(2, 2);                                  //project (0:COMMON,1:ARDRONE3,2:MINIDRONE)
-        buffer.writeInt16LE(MD_CLASSES.PILOTING_SETTINGS, 3);       //class (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(MD_METHODS.MAX_ALTITUDE, 4);            //command (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(0, 5);                                  //empty ?
-        buffer.writeFloatLE(altitude, 6); // altitude               //Argument 1
-        buffer.writeFloatLE(0, 10);                                 //Argument 2 (Timestamp)
-
-        this.write(COMMAND_KEY, buffer);
-        this.emit('maxAltitudeChange', altitude);
         Logger.debug(`Setting max altitude to ${altitude}m`);
+        return this.writeCommand('minidrone', 'PilotingSettings', 'MaxAltitude', { current: altitude });
     }
 
     /**
      * Convenience method for setting the drone's max tilt limitation
      * @param  {integer} tilt The max tilt from 0-100 (0 = 5° - 100 = 20°)
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeMaxTilt(tilt) {
-        const buffer = new Buffer(19);
-
-        buffer.fill(0);
-        buffer.writeInt16LE(4, 0);                                  //dataType (1:ACK,2:Data_NO_ACK,3:LOW_LATENCY_DATA,4:DATA_WITH_ACK)
-        buffer.writeInt16LE(++this.steps[COMMAND_KEY], 1);          //step
-        buffer.writeInt16LE(2, 2);                                  //project (0:COMMON,1:ARDRONE3,2:MINIDRONE)
-        buffer.writeInt16LE(MD_CLASSES.PILOTING_SETTINGS, 3);       //class (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(MD_METHODS.MAX_TILT, 4);                //command (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(0, 5);                                  //empty ?
-        buffer.writeFloatLE(tilt, 6); // tilt                       //Argument 1
-        buffer.writeFloatLE(0, 10);                                 //Argument 2 (Timestamp)
-
-        this.write(COMMAND_KEY, buffer);
-
-        this.emit('maxTiltChange', tilt);
         Logger.debug(`Setting max tilt to ${tilt}% (20° max)`);
+        return this.writeCommand('minidrone', 'PilotingSettings', 'MaxTilt', { current: tilt });
     }
 
     /**
      * Convenience method for setting the drone's max vertical speed limitation
      * @param  {float} verticalSpeed The max vertical speed from 0.5m/s - 2m/s
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeMaxVerticalSpeed(verticalSpeed) {
-        const buffer = new Buffer(19);
-
-        buffer.fill(0);
-        buffer.writeInt16LE(4, 0);                                  //dataType (1:ACK,2:Data_NO_ACK,3:LOW_LATENCY_DATA,4:DATA_WITH_ACK)
-        buffer.writeInt16LE(++this.steps[COMMAND_KEY], 1);          //step
-        buffer.writeInt16LE(2, 2);                                  //project (0:COMMON,1:ARDRONE3,2:MINIDRONE)
-        buffer.writeInt16LE(MD_CLASSES.SPEED_SETTINGS, 3);          //class (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(MD_METHODS.MAX_VERTICAL_SPEED, 4);      //command (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(0, 5);                                  //empty ?
-        buffer.writeFloatLE(verticalSpeed, 6); // speed             //Argument 1
-        buffer.writeFloatLE(0, 10);                                 //Argument 2 (Timestamp)
-
-        this.write(COMMAND_KEY, buffer);
-
-        this.emit('maxVerticalSpeedChange', verticalSpeed);
         Logger.debug(`Setting max vertical speed to ${verticalSpeed} m/s`);
+        return this.writeCommand('minidrone', 'SpeedSettings', 'MaxVerticalSpeed', { current: verticalSpeed });
     }
 
     /**
      * Convenience method for setting the drone's max rotation speed limitation
      * @param  {float} rotationSpeed The max rotation speed from (50°-360° for Airborne Cargo / 50° - 180° for Mambo)
-     * @return {undefined}
+     * @return {Promise} Resolves when the drone acks the command
      */
     writeMaxRotationSpeed(rotationSpeed) {
-        const buffer = new Buffer(19);
-
-        buffer.fill(0);
-        buffer.writeInt16LE(4, 0);                                  //dataType (1:ACK,2:Data_NO_ACK,3:LOW_LATENCY_DATA,4:DATA_WITH_ACK)
-        buffer.writeInt16LE(++this.steps[COMMAND_KEY], 1);          //step
-        buffer.writeInt16LE(2, 2);                                  //project (0:COMMON,1:ARDRONE3,2:MINIDRONE)
-        buffer.writeInt16LE(MD_CLASSES.SPEED_SETTINGS, 3);          //class (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(MD_METHODS.MAX_ROTATION_SPEED, 4);      //command (see:https://github.com/Parrot-Developers/arsdk-xml/blob/master/xml/minidrone.xml)
-        buffer.writeInt16LE(0, 5);                                  //empty ?
-        buffer.writeFloatLE(rotationSpeed, 6); // rotationSpeed     //Argument 1
-        buffer.writeFloatLE(0, 10);                                 //Argument 2 (Timestamp)
-
-        this.write(COMMAND_KEY, buffer);
-
-        this.emit('maxRotationSpeedChange', rotationSpeed);
         Logger.debug(`Setting max rotation speed to ${rotationSpeed} °/s`);
-    }
-
-    /**
-     * Event handler for when noble discovers a peripheral
-     * Validates it is a drone and attempts to connect.
-     *
-     * @param {Peripheral} peripheral a noble peripheral class
-     * @return {undefined}
-     */
-    onPeripheralDiscovery(peripheral) {
-        if (!this.validatePeripheral(peripheral)) {
-            return;
-        }
-        Logger.info(`Peripheral ${peripheral.advertisement.localName} found, trying to connect...`);
-        this.noble.stopScanning();
-
-        this.peripheral = peripheral;
-
-        this.peripheral.connect((error) => {
-            if (error) {
-                throw error;
-            }
-            this.setupPeripheral();
-            this.peripheral.once('disconnect', () => this.onDisconnect());
-        });
-    }
-
-    /**
-     * Event handler for when noble disconnect from a peripheral
-     * Set connected state to false and start scanning
-     * @return {undefined}
-     */
-    onDisconnect() {
-        if (this.connected) {
-            Logger.info('Disconnected from drone');
-        }
-        this.characteristics = [];
-        this.peripheral = null;
-        this.connected = false;
-        this.emit('disconnected');
-        Logger.info("Start scanning")
-        this.noble.startScanning();
-    }
-
-    disconnect() {
-      this.peripheral.disconnect(function(error) {
-         Logger.info('disconnected from peripheral: ' + peripheral.uuid);
-      });
-    }
-
-    /**
-     * Sets up a peripheral and finds all of it's services and characteristics
-     * @return {undefined}
-     */
-    setupPeripheral() {
-        if (!this.peripheral) {
-            return;
-        }
-        this.peripheral.discoverAllServicesAndCharacteristics((err, services, characteristics) => {
-            if (err) {
-                throw err;
-            }
-            this.characteristics = characteristics;
-            
-            // subscribe to these keys
-            CHARACTERISTIC_MAP.forEach((key) => {
-                this.getCharacteristic(key).subscribe();
-            });
-
-            // Register listener for notifications without ack.
-            this.getCharacteristic(RX_COMMAND_NO_ACK).on('data', (data, isNotification) => {
-                this.onRXCommandNoACK(data, isNotification);
-            });
-
-            // Register a listener for flight status changes
-            this.getCharacteristic(RX_COMMAND_WITH_ACK).on('data', (data, isNotification) => {
-                this.onRXCommandWithACK(data, isNotification);
-            });
-
-            this.connected = true;
-            Logger.info(`Device connected ${this.peripheral.advertisement.localName}`);
-
-            // I don't know why this needs some time
-            setTimeout(() => this.emit('connected'), 200);
-        });
+        return this.writeCommand('minidrone', 'SpeedSettings', 'MaxRotationSpeed', { current: rotationSpeed });
     }
 
     /**
      * Updates Rssi to get signal strength
+     * @return {undefined}
      */
     updateRssi() {
-        if (!this.peripheral) {
-            return;
-        }
-        this.peripheral.updateRssi((error, rssi) => {
-            if (!error) {
-                this.emit('rssiUpdate', rssi);
-            }
-        });
-    }
-
-    /**
-     * Validates a noble Peripheral class is a Parrot MiniDrone
-     * @param {Peripheral} peripheral a noble peripheral object class
-     * @return {boolean} If the peripheral is a drone
-     */
-    validatePeripheral(peripheral) {
-        if (!peripheral) {
-            return false;
-        }
-        const localName = peripheral.advertisement.localName;
-        const manufacturer = peripheral.advertisement.manufacturerData;
-
-        var re = new RegExp(this.options.droneFilter);
-        const localNameMatch = (this.options.droneFilter == '' ? localName && DRONE_PREFIXES.some((prefix) => localName.indexOf(prefix) >= 0):re.test(localName));
-
-        const manufacturerMatch = manufacturer && (MANUFACTURER_SERIALS.indexOf(manufacturer) >= 0);
-
-          // Is TRUE according to droneFilter or if empty, for EITHER an "RS_" name OR manufacturer code.
-        return localNameMatch || manufacturerMatch;
-    }
-
-    /**
-     * Finds a Noble Characteristic class for the given characteristic UUID
-     * @param {String} uuid The characteristics UUID
-     * @return {Characteristic} The Noble Characteristic corresponding to that UUID
-     */
-    getCharacteristic(uuid) {
-        if (!this.characteristics.length) {
-            Logger.warn('BTLE Device must be connected before calling this method');
-            return false;
-        }
-        return this.characteristics.filter((c) => c.uuid.search(new RegExp(uuid)) !== -1)[0];
+        this.transport.updateRssi();
     }
 
     /**
@@ -494,6 +569,13 @@ class MiniDroneBtAdapter extends EventEmitter {
      * @return {undefined}
      */
     onRXCommandWithACK(data, isNotification) {
+        this.writeAck(data);
+        // the drone sends the frame again when our ack is lost, only decode it once
+        const seq = data.readUInt8(1);
+        if (seq === this.lastRXWithACK) {
+            return;
+        }
+        this.lastRXWithACK = seq;
         this.decodePacket(data);
     }
 
@@ -507,198 +589,71 @@ class MiniDroneBtAdapter extends EventEmitter {
         this.decodePacket(data);
     }
 
+    /**
+     * Decodes a frame the drone sent and fires its events
+     *
+     * @fires MiniDroneBtAdapter#state
+     * @param {Buffer} data The frame
+     * @return {undefined}
+     */
     decodePacket(data) {
-        var dataType = data.readUInt8(0);
-        /*
-        1 : Acknoledgment of previously received data
-        2 : Data (no ack requested)
-        3 : Low latency data
-        4 : Data with ack : Data requesting an ack
-        */
-        var steps = data.readUInt8(1);
-        /* counter for each interaction */ 
-        var project = data.readUInt8(2);
-        /*
-        0 : COMMON
-        1 : ARDRONE3
-        2 : MINIDRONE
-        */
-        var msgClass = data.readUInt8(3);
-        /* see https://github.com/Parrot-Developers/arsdk-xml/tree/master/xml
-        for class (common.xml, ardrone3.xml, minidrone.xml)
-        */
-        var commandKey = data.readUInt8(4);
-        /* see https://github.com/Parrot-Developers/arsdk-xml/tree/master/xml
-        for commands (common.xml, ardrone3.xml, minidrone.xml)
-        */
-        switch (dataType)
-        {
-            case 1:
-                //Logger.debug("ACK");
-            break;
-            case 2:
-                //Logger.debug("RX DATA NO ACK");
-            break;
-            case 3:
-                //Logger.debug("LOW LATENCY DATA");
-            break;
-            case 4:
-                //Logger.debug("DATA WITH ACK");
-            break;
-            default:
-                Logger.info("DataType missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-            break;
+        let frame;
+        try {
+            frame = this.decodeFrame(data);
+        } catch (error) {
+            Logger.warn(`Dropped a malformed frame: ${error.message}`);
+            return;
         }
-        switch (project)
-        {
-            case 0:
-                Logger.debug("COMMON");
-                switch (msgClass) {
-                    case 5:        // CommonState
-                        switch (commandKey)
-                        {
-                           case 1: // BatteryStateChanged
-                                this.batteryLevel = data.readUInt8(6);
-                                this.emit('batteryStatusChange', this.batteryLevel);
-                                Logger.debug(`Battery level: ${this.batteryLevel}%`);
-                            break;
-                            default:
-                                Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                            break;
-                        }
-                    break;
-                    case 30:        // RunState
-                        switch (commandKey)
-                        {
-                           case 0: // RunIdChanged
-                                Logger.debug("RunIdChanged : Used for Parrot Academy, no need to implement. Send a new unique number at TakeOff");
-                            break;
-                            default:
-                                Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                            break;
-                        }
-                    break;
-                    default:
-                        Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                    break;
-                }
-            break;
-            case 1:
-                Logger.info("ARDRONE3");
-            break;
-            case 2:
-                Logger.debug("MINIDRONE");
-                switch (msgClass) {
-                    case 18:        // NavigationDataState
-                        switch (commandKey)
-                        {
-                            case 0: // Drone Position
-                                var posx = data.readFloatLE(6);
-                                var posy = data.readFloatLE(10);
-                                var posz = data.readUInt16LE(14);
-                                var psi = data.readUInt16LE(16);
-                                var ts = data.readUInt16LE(18);
-                                var dronePosition = {
-                                    x: posx,
-                                    y: posy,
-                                    z: posz,
-                                    psi: psi,
-                                    ts: ts,
-                                };
-                                this.emit('dronePositionChange', dronePosition);
-                                Logger.debug(`Position : x=${posx} - y=${posy} - z=${posz} - psi=${psi} - timestamp=${ts}`);
-                            break;
-                            case 1: // DroneSpeed
-                                var speedx = data.readFloatLE(6);
-                                var speedy = data.readFloatLE(10);
-                                var speedz = data.readFloatLE(14);
-                                var ts = data.readUInt16LE(18);
-                                var droneSpeed = {
-                                    x: speedx,
-                                    y: speedy,
-                                    z: speedz,
-                                    ts: ts,
-                                };
-                                this.emit('droneSpeedChange', droneSpeed);
-                                Logger.debug(`Speed : x=${speedx} - y=${speedy} - z=${speedz} - timestamp=${ts}`);
-                            break;
-                            default:
-                                Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                            break;
-                        }
-                    break;
-                    case 3:         // Piloting state
-                        switch (commandKey)
-                        {
-                            case 1: // FlyingStateChanged
-                                this.flightStatus = FLIGHT_STATUSES[data.readUInt8(6)];
-                                this.emit('flightStatusChange', this.flightStatus);
-                                Logger.debug(`Flight status = ${this.flightStatus} - ${data.readUInt8(6)}`);
-                            break;
-                            case 2: // AlertStateChanged
-                                this.alertStatus = ALERT_STATE_CHANGED[data.readUInt8(6)];
-                                this.emit('alertStateChange', this.alertStatus);
-                                Logger.debug(`AlertStateChange = ${this.alertStatus} - ${data.readUInt8(6)}`);
-
-                            break;
-                            case 3: // AutoTakeOffModeChanged
-                                var autoTakeOffModeChanged = data.readUInt8(6);
-                                Logger.debug(`AutoTakeOffModeChanged = ${autoTakeOffModeChanged}`);
-                            break;
-                            default:
-                                Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                            break;
-                        }
-                    break;
-                    case 5:         // SpeedSettingsState
-                        switch (commandKey)
-                        {
-                            case 0: // MaxVerticalSpeedChanged
-                                Logger.info(`MaxVerticalSpeedChanged : current=${data.readFloatLE(6)} - min=${data.readFloatLE(10)} - max=${data.readFloatLE(14)}`);
-                            break;
-                            case 1: // MaxRotationSpeedChanged
-                                Logger.info(`MaxRotationSpeedChanged : current=${data.readFloatLE(6)} - min=${data.readFloatLE(10)} - max=${data.readFloatLE(14)}`);
-                            break;
-                            default:
-                                Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                            break;
-                        }
-                    break;
-                    case 7:         // MediaRecordState
-                        switch (commandKey)
-                        {
-                            case 1: // PictureStateChangedV2
-                                Logger.debug(`PictureStateChangedV2 : state= ${pictureState[data.readUInt8(6)]} - error=${pictureStateError[data.readUInt8(7)]}`);
-                            break;
-                            default:
-                                Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                            break;
-                        }
-                    break;
-                    case 9:         // PilotingSettingsState
-                        switch (commandKey)
-                        {
-                            case 0: // MaxAltitudeChanged
-                                Logger.info(`MaxAltitudeChanged : current=${data.readFloatLE(6)} - min=${data.readFloatLE(10)} - max=${data.readFloatLE(14)}`);
-                            break;
-                            case 1: // MaxTiltChanged
-                                Logger.info(`MaxTiltChanged : current=${data.readFloatLE(6)} - min=${data.readFloatLE(10)} - max=${data.readFloatLE(14)}`);
-                            break;
-                            default:
-                                Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                            break;
-                        }
-                    break;
-                    default:
-                        Logger.info("Packet implementation missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-                    break;
-                }
-            break;
-            default:
-                Logger.info("Project missing missing : dataType:" + dataType + " | project:" + project + " | class:" +  msgClass + " | command:" +  commandKey);
-            break;
+        if (!frame.command) {
+            const ids = frame.ids;
+            Logger.info(`Packet implementation missing : project:${ids.project} | class:${ids.class} | command:${ids.command}`);
+            return;
+        }
+        const key = `${frame.project}.${frame.class}.${frame.command}`;
+        Logger.debug(`${key} ${JSON.stringify(frame.args)}`);
+
+        const decoder = this.decoders[key];
+        const value = decoder && decoder.value ? decoder.value(frame.args) : frame.args;
+        if (decoder && decoder.property) {
+            this[decoder.property] = value;
+        }
+
+        /**
+         * Fires for every command the drone sends that has a definition,
+         * before the event of its decoder
+         *
+         * @event MiniDroneBtAdapter#state
+         * @type {object}
+         * @property {String} project The project name, e.g. minidrone
+         * @property {String} class The class name, e.g. PilotingState
+         * @property {String} command The command name, e.g. FlyingStateChanged
+         * @property {Object} args The decoded arguments by name
+         */
+        this.emit('state', { project: frame.project, class: frame.class, command: frame.command, args: frame.args });
+
+        if (decoder && decoder.event) {
+            this.emit(decoder.event, value);
         }
     }
+
+    /**
+     * Registers the decoder of a command, replacing the library's one if any
+     *
+     * @param {String|Object} command The `project.Class.Command` key of a known command,
+     *                                or the definition of a new one, see ArsdkCodec.addCommand()
+     * @param {Object} decoder The decoder
+     * @param {String} decoder.event The event fired when the drone sends the command
+     * @param {Function} decoder.value Maps the decoded arguments to the event value, default the arguments
+     * @param {String} decoder.property The adapter property keeping the last value (optional)
+     * @return {String} The `project.Class.Command` key of the command
+     */
+    registerDecoder(command, decoder) {
+        const key = typeof command === 'string' ? command : this.codec.addCommand(command);
+        this.decoders[key] = Object.assign({}, decoder);
+        return key;
+    }
 }
 
 module.exports = MiniDroneBtAdapter;
+module.exports.FLIGHT_STATUSES = FLIGHT_STATUSES;
+module.exports.ANIMATIONS = Object.keys(animations);
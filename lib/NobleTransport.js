@@ -0,0 +1,420 @@
+const Logger = require('winston');
+const Transport = require('./Transport');
+
+// Characteristics the drone notifies on, frames received on them are fired as `data`
+// fb : Receive commands    - 0e : ACK_DRONE_DATA       # drone data that needs an ack (needs to be ack on 1e)
+// fb : Receive commands    - 0f : NO_ACK_DRONE_DATA    # data from drone (including battery and others), no ack
+// fb : Receive commands    - 1b : ACK_COMMAND_SENT     # ack 0b channel, SEND_WITH_ACK
+// fb : Receive commands    - 1c : ACK_HIGH_PRIORITY    # ack 0c channel, SEND_HIGH_PRIORITY
+const RX_CHANNELS = ['fb0e', 'fb0f', 'fb1b', 'fb1c'];
+
+// TODO: need all these?
+const CHARACTERISTIC_MAP = RX_CHANNELS.concat(['fd22', 'fd23', 'fd24', 'fd52', 'fd53', 'fd54']);
+
+// Drone IDs
+const MANUFACTURER_SERIALS = ['4300cf1900090100', '4300cf1909090100', '4300cf1907090100'];
+
+// Models by local name prefix
+const MODEL_PREFIXES = {
+    RS_: 'Rolling Spider',
+    Mars_: 'Airborne Cargo',
+    Travis_: 'Airborne Cargo',
+    Maclan_: 'Airborne Night',
+    Blaze_: 'Airborne Night',
+    Mambo_: 'Mambo',
+    NewZ_: 'Hydrofoil',
+    Orak_: 'Hydrofoil',
+    Swing_: 'Swing',
+};
+const DRONE_PREFIXES = Object.keys(MODEL_PREFIXES);
+
+// Models by ARSDK product id, advertised in the manufacturer data after the
+// Bluetooth SIG (0x0043) and USB (0x19cf) ids of Parrot, all little endian
+const PRODUCT_MODELS = {
+    0x0900: 'Rolling Spider',
+    0x0907: 'Airborne Night',
+    0x0909: 'Airborne Cargo',
+    0x090a: 'Hydrofoil',
+    0x090b: 'Mambo',
+    0x0910: 'Swing',
+};
+const PARROT_IDS = '4300cf19';
+
+/**
+ * Transport between the adapter and Noble BTLE
+ * Abstracts away the scanning, peripherals and characteristics.
+ *
+ * @author Christopher Fetherston <chris@cfetherston.com>
+ *
+ * @fires NobleTransport#poweredOff
+ * @fires NobleTransport#discover
+ */
+class NobleTransport extends Transport {
+    /**
+     * Instantiates a new instance of the NobleTransport class
+     *
+     * @param {Object} options Configuration options object
+     * @param {String} options.droneFilter The name of the drone to restrict connection to
+     * @param {Object} options.noble The noble instance to use, default require('noble')
+     * @param {Fleet} options.scanner Shares the scanning with other transports and routes
+     *                                the peripherals it discovers, see Fleet (optional)
+     */
+    constructor(options) {
+        super();
+        const defaults = {
+            droneFilter: '',
+            noble: null,
+            scanner: null,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.scanner = this.options.scanner;
+        // noble is not a constructor
+        this.noble = this.options.noble || (this.scanner ? this.scanner.getNoble() : require('noble'));
+        this.peripheral = null;
+        this.characteristics = [];
+        this.nobleBound = false;
+        // if a drone is wanted, and which one
+        this.connecting = false;
+        this.targetId = null;
+        // peripherals found so far by id, to connect to a scan result without scanning again
+        this.discovered = {};
+        // drones found by the running scan by id, null when not scanning
+        this.scanResults = null;
+        this.scanning = null;
+    }
+
+    /**
+     * Scans for a drone and connects to it
+     * @param {String} id The peripheral id of the drone, as found by scan(), default the first drone found
+     * @return {undefined}
+     */
+    connect(id) {
+        this.connecting = true;
+        this.targetId = id || null;
+        const known = id && this.discovered[id];
+        if (known) {
+            this.connectPeripheral(known);
+            return;
+        }
+        this.startScanning();
+    }
+
+    /**
+     * Looks for the drones around without connecting
+     *
+     * @param {Object} options Scan options
+     * @param {Integer} options.timeout How long to scan in ms, default 5000ms
+     * @return {Promise} Resolves with the drones found, see NobleTransport#discover
+     */
+    scan(options) {
+        if (this.scanning) {
+            return this.scanning;
+        }
+        const settings = Object.assign({ timeout: 5000 }, options);
+        this.scanResults = {};
+        this.scanning = new Promise((resolve) => {
+            setTimeout(() => {
+                const drones = Object.keys(this.scanResults).map((id) => this.scanResults[id]);
+                this.scanResults = null;
+                this.scanning = null;
+                if (!this.connecting) {
+                    this.stopScanning();
+                }
+                resolve(drones);
+            }, settings.timeout);
+        });
+        this.startScanning();
+        return this.scanning;
+    }
+
+    /**
+     * Binds the noble event handlers and starts scanning
+     * as soon as the Bluetooth dongle is ready, or asks the scanner to
+     * @return {undefined}
+     */
+    startScanning() {
+        if (this.scanner) {
+            this.scanner.startScanning(this);
+            return;
+        }
+        if (!this.nobleBound) {
+            this.nobleBound = true;
+            this.noble.on('stateChange', (state) => this.onNobleStateChange(state));
+            this.noble.on('discover', (peripheral) => this.onPeripheralDiscovery(peripheral));
+            this.noble.on('scanStart', () => Logger.debug('Noble scan started'));
+            this.noble.on('scanStop', () => Logger.debug('Noble scan stopped'));
+            this.noble.on('warning', (message) => Logger.debug(`Noble warning : ${message}`));
+        }
+
+        if (this.noble.state === 'poweredOn') {
+            this.noble.startScanning();
+        }
+    }
+
+    /**
+     * Stops scanning, or tells the scanner this transport is done with it
+     * @return {undefined}
+     */
+    stopScanning() {
+        if (this.scanner) {
+            this.scanner.stopScanning(this);
+            return;
+        }
+        this.noble.stopScanning();
+    }
+
+    /**
+     * Event handler for when noble broadcasts a state change
+     * @param  {String} state a string describing noble's state
+     * @return {undefined}
+     */
+    onNobleStateChange(state) {
+        if (state === 'poweredOn' && (this.connecting || this.scanResults)) {
+            Logger.info('Bluetooth dongle ready, start scanning');
+            this.noble.startScanning();
+        } else if (state === 'poweredOff') {
+            /**
+             * Fires when poweredOff state is received from noble
+             *
+             * @event NobleTransport#poweredOff
+             */
+            this.emit('poweredOff', true);
+        }
+    }
+
+    /**
+     * Writes a buffer to a BTLE peripheral characteristic
+     *
+     * @param  {String} uuid   the characteristic's UUID
+     * @param  {Buffer} buffer stream of binary data
+     * @return {undefined}
+     */
+    write(uuid, buffer) {
+        const characteristic = this.getCharacteristic(uuid);
+        if (!characteristic) {
+            return;
+        }
+        characteristic.write(buffer, true);
+    }
+
+    /**
+     * Event handler for when noble discovers a peripheral
+     * Validates it is a drone, reports it to the running scan and
+     * attempts to connect when it is the drone wanted.
+     *
+     * @param {Peripheral} peripheral a noble peripheral class
+     * @return {undefined}
+     */
+    onPeripheralDiscovery(peripheral) {
+        if (!this.validatePeripheral(peripheral)) {
+            return;
+        }
+        const drone = this.describePeripheral(peripheral);
+        this.discovered[drone.id] = peripheral;
+
+        if (this.scanResults) {
+            const isNew = !this.scanResults[drone.id];
+            this.scanResults[drone.id] = drone;
+            if (isNew) {
+                /**
+                 * Fires for each drone found by scan()
+                 *
+                 * @event NobleTransport#discover
+                 * @type {object}
+                 */
+                this.emit('discover', drone);
+            }
+        }
+
+        if (!this.connecting || this.peripheral || (this.targetId && drone.id !== this.targetId)) {
+            return;
+        }
+        this.connectPeripheral(peripheral);
+    }
+
+    /**
+     * Stops scanning and connects to a drone
+     * @param {Peripheral} peripheral a noble peripheral class
+     * @return {undefined}
+     */
+    connectPeripheral(peripheral) {
+        Logger.info(`Peripheral ${peripheral.advertisement.localName} found, trying to connect...`);
+        this.stopScanning();
+
+        this.peripheral = peripheral;
+        this.peripheralId = peripheral.id || peripheral.uuid;
+
+        peripheral.connect((error) => {
+            if (error) {
+                this.emit('error', error);
+                // keep looking for the drone
+                this.peripheral = null;
+                if (this.connecting) {
+                    this.startScanning();
+                }
+                return;
+            }
+            this.setupPeripheral();
+            peripheral.once('disconnect', () => this.onDisconnect());
+        });
+    }
+
+    /**
+     * Event handler for when noble disconnect from a peripheral
+     * Set connected state to false, connecting again is up to the Drone
+     * so that it gets back to the same drone
+     * @return {undefined}
+     */
+    onDisconnect() {
+        if (this.connected) {
+            Logger.info('Disconnected from drone');
+        }
+        this.characteristics = [];
+        this.peripheral = null;
+        this.connected = false;
+        this.emit('disconnected');
+    }
+
+    /**
+     * Disconnects from the current peripheral, or stops looking for one
+     * @return {undefined}
+     */
+    disconnect() {
+        this.connecting = false;
+        if (!this.peripheral) {
+            this.stopScanning();
+            return;
+        }
+        const uuid = this.peripheral.uuid;
+        this.peripheral.disconnect(() => {
+            Logger.info(`disconnected from peripheral: ${uuid}`);
+        });
+    }
+
+    /**
+     * Sets up a peripheral and finds all of it's services and characteristics
+     * @return {undefined}
+     */
+    setupPeripheral() {
+        if (!this.peripheral) {
+            return;
+        }
+        this.peripheral.discoverAllServicesAndCharacteristics((err, services, characteristics) => {
+            if (err) {
+                this.emit('error', err);
+                this.disconnect();
+                return;
+            }
+            this.characteristics = characteristics;
+
+            // subscribe to these keys
+            CHARACTERISTIC_MAP.forEach((key) => {
+                this.getCharacteristic(key).subscribe();
+            });
+
+            // forward everything the drone notifies on the receive channels
+            RX_CHANNELS.forEach((key) => {
+                this.getCharacteristic(key).on('data', (data) => this.emit('data', key, data));
+            });
+
+            this.connected = true;
+            Logger.info(`Device connected ${this.peripheral.advertisement.localName}`);
+
+            // I don't know why this needs some time
+            setTimeout(() => this.emit('connected'), 200);
+        });
+    }
+
+    /**
+     * Updates Rssi to get signal strength
+     * @return {undefined}
+     */
+    updateRssi() {
+        if (!this.peripheral) {
+            return;
+        }
+        this.peripheral.updateRssi((error, rssi) => {
+            if (!error) {
+                this.emit('rssiUpdate', rssi);
+            }
+        });
+    }
+
+    /**
+     * Validates a noble Peripheral class is a Parrot MiniDrone
+     * @param {Peripheral} peripheral a noble peripheral object class
+     * @return {boolean} If the peripheral is a drone
+     */
+    validatePeripheral(peripheral) {
+        if (!peripheral) {
+            return false;
+        }
+        const localName = peripheral.advertisement.localName;
+        const manufacturer = this.getManufacturerSerial(peripheral);
+
+        const re = new RegExp(this.options.droneFilter);
+        const localNameMatch = this.options.droneFilter === '' ?
+            localName && DRONE_PREFIXES.some((prefix) => localName.indexOf(prefix) >= 0) :
+            re.test(localName);
+
+        const manufacturerMatch = manufacturer && (MANUFACTURER_SERIALS.indexOf(manufacturer) >= 0);
+
+        // Is TRUE according to droneFilter or if empty, for EITHER an "RS_" name OR manufacturer code.
+        return Boolean(localNameMatch || manufacturerMatch);
+    }
+
+    /**
+     * Reads the manufacturer data a peripheral advertises
+     * @param {Peripheral} peripheral a noble peripheral object class
+     * @return {String} The manufacturer data as an hex string, null if none
+     */
+    getManufacturerSerial(peripheral) {
+        const data = peripheral.advertisement.manufacturerData;
+        if (!data) {
+            return null;
+        }
+        return Buffer.isBuffer(data) ? data.toString('hex') : String(data);
+    }
+
+    /**
+     * Describes a drone found while scanning
+     * @param {Peripheral} peripheral a noble peripheral object class
+     * @return {Object} The local name, peripheral id, RSSI, matched manufacturer serial and model
+     */
+    describePeripheral(peripheral) {
+        const name = peripheral.advertisement.localName || null;
+        const serial = this.getManufacturerSerial(peripheral);
+        let model = null;
+        if (serial && serial.indexOf(PARROT_IDS) === 0 && serial.length >= 12) {
+            // the product id is little endian
+            const productId = parseInt(serial.substr(10, 2) + serial.substr(8, 2), 16);
+            model = PRODUCT_MODELS[productId] || null;
+        }
+        if (!model && name) {
+            const prefix = DRONE_PREFIXES.filter((key) => name.indexOf(key) === 0)[0];
+            model = prefix ? MODEL_PREFIXES[prefix] : null;
+        }
+        return {
+            name,
+            id: peripheral.id || peripheral.uuid,
+            rssi: typeof peripheral.rssi === 'number' ? peripheral.rssi : null,
+            manufacturer: MANUFACTURER_SERIALS.indexOf(serial) >= 0 ? serial : null,
+            model,
+        };
+    }
+
+    /**
+     * Finds a Noble Characteristic class for the given characteristic UUID
+     * @param {String} uuid The characteristics UUID
+     * @return {Characteristic} The Noble Characteristic corresponding to that UUID
+     */
+    getCharacteristic(uuid) {
+        if (!this.characteristics.length) {
+            Logger.warn('BTLE Device must be connected before calling this method');
+            return false;
+        }
+        return this.characteristics.filter((c) => c.uuid.search(new RegExp(uuid)) !== -1)[0];
+    }
+}
+
+module.exports = NobleTransport;
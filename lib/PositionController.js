@@ -0,0 +1,244 @@
+/**
+ * Clamps a value to a symmetric range
+ * @param {Float} value The value
+ * @param {Float} max The bound
+ * @return {Float} The value within -max and max
+ */
+const clamp = (value, max) => Math.max(-max, Math.min(max, value));
+
+/**
+ * Wraps an angle in degrees to -180..180
+ * @param {Float} angle The angle in degrees
+ * @return {Float} The wrapped angle
+ */
+const wrapAngle = (angle) => ((((angle + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * PID controller of one axis
+ */
+class Pid {
+    /**
+     * Instantiates a new instance of the Pid class
+     *
+     * @param {Object} gains The gains
+     * @param {Float} gains.p Proportional gain, input % per unit of error
+     * @param {Float} gains.i Integral gain, input % per unit of error and second
+     * @param {Float} gains.d Derivative gain, input % per unit of error per second
+     * @param {Float} gains.max The largest input % the controller outputs
+     */
+    constructor(gains) {
+        this.gains = Object.assign({ p: 0, i: 0, d: 0, max: 100 }, gains);
+        this.reset();
+    }
+
+    /**
+     * Forgets the accumulated error, before a new target
+     * @return {undefined}
+     */
+    reset() {
+        this.integral = 0;
+        this.previous = null;
+    }
+
+    /**
+     * Computes the output for an error
+     *
+     * @param {Float} error The target minus the measure
+     * @param {Float} dt Elapsed time in s since the last update
+     * @param {Float} rate The error's rate of change when measured, e.g. minus the speed,
+     *                     derived from the previous errors when omitted
+     * @return {Float} The output, within -max and max
+     */
+    update(error, dt, rate) {
+        const gains = this.gains;
+        let derivative = rate;
+        if (typeof derivative !== 'number') {
+            derivative = this.previous === null || !dt ? 0 : (error - this.previous) / dt;
+        }
+        this.previous = error;
+        // anti windup, the integral term alone never exceeds the output range
+        this.integral += error * dt;
+        if (gains.i) {
+            this.integral = clamp(this.integral, gains.max / gains.i);
+        }
+        return clamp(gains.p * error + gains.i * this.integral + gains.d * derivative, gains.max);
+    }
+}
+
+/**
+ * PositionController Class
+ *
+ * Closed loop on the position, altitude and heading the drone reports: each
+ * eventLoop tick turns the distance to the target into flight params. Targets
+ * are in meters relative to the takeoff point and the heading in degrees,
+ * as in the DronePosition telemetry.
+ */
+class PositionController {
+    /**
+     * Instantiates a new instance of the PositionController class
+     *
+     * @param {Drone} drone The drone to fly
+     * @param {Object} options Configuration options object
+     * @param {Object} options.horizontal The gains of the x and y axes, see Pid, default p 60, i 5, d 30, max 50
+     * @param {Object} options.vertical The gains of the altitude, see Pid, default p 60, i 5, d 15, max 60
+     * @param {Object} options.heading The gains of the heading, see Pid, default p 2, i 0, d 0.1, max 60
+     * @param {Float} options.positionTolerance Distance in m from the target considered arrived, default 0.1m
+     * @param {Float} options.altitudeTolerance Altitude difference in m considered arrived, default 0.1m
+     * @param {Float} options.headingTolerance Heading difference in ° considered arrived, default 5°
+     * @param {Integer} options.timeout Time in ms to reach the target before the move rejects, default 30000ms
+     */
+    constructor(drone, options) {
+        const defaults = {
+            horizontal: { p: 60, i: 5, d: 30, max: 50 },
+            vertical: { p: 60, i: 5, d: 15, max: 60 },
+            heading: { p: 2, i: 0, d: 0.1, max: 60 },
+            positionTolerance: 0.1,
+            altitudeTolerance: 0.1,
+            headingTolerance: 5,
+            timeout: 30000,
+        };
+        this.drone = drone;
+        this.options = Object.assign({}, defaults, options);
+        this.pids = {
+            x: new Pid(this.options.horizontal),
+            y: new Pid(this.options.horizontal),
+            z: new Pid(this.options.vertical),
+            psi: new Pid(this.options.heading),
+        };
+        // the target { x, y, z, psi }, an axis left null is not controlled
+        this.target = null;
+        // the move waiting for the arrival: { name, resolve, reject, timer }
+        this.move = null;
+        this.lastUpdate = null;
+    }
+
+    /**
+     * If the controller flies the drone
+     * @return {Boolean} If a target is set
+     */
+    isActive() {
+        return this.target !== null;
+    }
+
+    /**
+     * The reported position in m and the heading in degrees
+     * @return {Object} The position, null while unknown
+     */
+    getPosition() {
+        const state = this.drone.getState();
+        const position = state.position;
+        if (position.x === null || position.y === null || position.z === null) {
+            return null;
+        }
+        return {
+            x: position.x / 100,
+            y: position.y / 100,
+            z: position.z / 100,
+            psi: position.psi || 0,
+            speed: {
+                x: state.speed.x || 0,
+                y: state.speed.y || 0,
+                z: state.speed.z || 0,
+            },
+        };
+    }
+
+    /**
+     * Sets a new target, the previous move is cancelled
+     *
+     * @param {String} name The move name, for the error messages
+     * @param {Object} target The target x, y, z in m and psi in degrees, null axes are not controlled
+     * @return {Promise} Resolves with the position once within the tolerances of the target
+     */
+    start(name, target) {
+        this.cancel(new Error(`${this.move && this.move.name} was cancelled by ${name}`));
+        this.target = target;
+        this.lastUpdate = null;
+        Object.keys(this.pids).forEach((axis) => this.pids[axis].reset());
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.stop(new Error(`The drone did not reach the ${name} target within ${this.options.timeout}ms`));
+            }, this.options.timeout);
+            this.move = { name, resolve, reject, timer };
+        });
+    }
+
+    /**
+     * Rejects the move waiting for its arrival, the target is kept
+     * @param {Error} error The rejection
+     * @return {undefined}
+     */
+    cancel(error) {
+        const move = this.move;
+        if (!move) {
+            return;
+        }
+        this.move = null;
+        clearTimeout(move.timer);
+        move.reject(error);
+    }
+
+    /**
+     * Stops controlling the drone, the flight params are zeroed to hover
+     * @param {Error} error The rejection of the move waiting for its arrival (optional)
+     * @return {undefined}
+     */
+    stop(error) {
+        this.cancel(error || new Error(`${this.move && this.move.name} was stopped`));
+        if (!this.target) {
+            return;
+        }
+        this.target = null;
+        this.drone.setFlightParams({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+    }
+
+    /**
+     * Computes the flight params towards the target, run on every eventLoop tick
+     * @return {undefined}
+     */
+    update() {
+        const position = this.getPosition();
+        if (!this.target || !position) {
+            return;
+        }
+        const now = Date.now();
+        const dt = this.lastUpdate === null ? 0 : (now - this.lastUpdate) / 1000;
+        this.lastUpdate = now;
+        const target = this.target;
+        const params = { roll: 0, pitch: 0, yaw: 0, altitude: 0 };
+        let arrived = true;
+
+        if (target.x !== null && target.y !== null) {
+            const error = { x: target.x - position.x, y: target.y - position.y };
+            // outputs around the takeoff point, turned to the drone's heading
+            const ux = this.pids.x.update(error.x, dt, -position.speed.x);
+            const uy = this.pids.y.update(error.y, dt, -position.speed.y);
+            const psi = position.psi * Math.PI / 180;
+            params.pitch = ux * Math.cos(psi) + uy * Math.sin(psi);
+            params.roll = uy * Math.cos(psi) - ux * Math.sin(psi);
+            arrived = Math.sqrt(error.x * error.x + error.y * error.y) <= this.options.positionTolerance;
+        }
+        if (target.z !== null) {
+            const error = target.z - position.z;
+            params.altitude = this.pids.z.update(error, dt, -position.speed.z);
+            arrived = arrived && Math.abs(error) <= this.options.altitudeTolerance;
+        }
+        if (target.psi !== null) {
+            const error = wrapAngle(target.psi - position.psi);
+            params.yaw = this.pids.psi.update(error, dt);
+            arrived = arrived && Math.abs(error) <= this.options.headingTolerance;
+        }
+        this.drone.setFlightParams(params);
+
+        if (arrived && this.move) {
+            const move = this.move;
+            this.move = null;
+            clearTimeout(move.timer);
+            move.resolve({ x: position.x, y: position.y, z: position.z, psi: position.psi });
+        }
+    }
+}
+
+module.exports = PositionController;
+module.exports.Pid = Pid;
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const repl = require('repl');
+const util = require('util');
+const readline = require('readline');
+const EventEmitter = require('events');
+const ANIMATIONS = require('./MiniDroneBtAdapter').ANIMATIONS;
+
+// The drone methods available at the prompt
+const COMMANDS = [
+    'takeOff', 'land', 'takeoffOrLand', 'trim', 'emergency', 'takePicture', 'animate',
+    'setFlightParams', 'setMaxAltitude', 'setMaxTilt', 'setMaxVerticalSpeed', 'setMaxRotationSpeed',
+    'goTo', 'holdPosition', 'setHeading', 'releaseControl', 'setGeofence', 'setInputShaping',
+    'sendCommand', 'requestSettings', 'isFlying', 'getBatteryLevel', 'getRssi', 'connect', 'disconnect',
+];
+
+// The telemetry events printed as they come by default
+const EVENTS = ['flightStatusChange', 'batteryStatusChange', 'alertStateChange'];
+
+/**
+ * Repl Class
+ *
+ * An interactive session on a connected drone: its methods and a live `state`
+ * are available at the prompt, the promises print their result once settled
+ * and the telemetry prints above the line being typed.
+ *
+ * @fires Repl#exit
+ */
+class Repl extends EventEmitter {
+    /**
+     * Instantiates a new instance of the Repl class
+     *
+     * @param {Drone} drone The drone
+     * @param {Object} options Configuration options object
+     * @param {Stream} options.input Where the commands are read, default process.stdin
+     * @param {Stream} options.output Where the prompt and the results are written, default process.stdout
+     * @param {String} options.prompt The prompt, default 'minidrone> '
+     * @param {Array} options.events The drone events printed, default flightStatusChange, batteryStatusChange and alertStateChange
+     */
+    constructor(drone, options) {
+        super();
+        const defaults = {
+            input: process.stdin,
+            output: process.stdout,
+            prompt: 'minidrone> ',
+            events: EVENTS,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.drone = drone;
+        this.server = null;
+        // the node REPL's own eval, which the session's one wraps
+        this.evaluate = null;
+        // the commands evaluated, for .record
+        this.history = [];
+        this.subscriptions = [];
+    }
+
+    /**
+     * Shows the prompt
+     * @return {undefined}
+     */
+    start() {
+        const output = this.options.output;
+        this.server = repl.start({
+            prompt: this.options.prompt,
+            input: this.options.input,
+            output,
+            terminal: Boolean(output.isTTY),
+            ignoreUndefined: true,
+            completer: (line) => this.complete(line),
+        });
+
+        const context = this.server.context;
+        context.drone = this.drone;
+        COMMANDS.forEach((name) => {
+            context[name] = (...args) => this.drone[name](...args);
+        });
+        Object.defineProperty(context, 'state', { get: () => this.drone.getState(), enumerable: true, configurable: true });
+
+        this.evaluate = this.server.eval;
+        this.server.eval = (code, evalContext, file, callback) => this.evaluate.call(this.server, code, evalContext, file, (error, result) => {
+            if (!error && code.trim()) {
+                this.history.push(code.trim().replace(/\s*\n\s*/g, ' '));
+            }
+            if (!error && result && typeof result.then === 'function') {
+                this.printSettled(result);
+                callback(null, undefined);
+                return;
+            }
+            callback(error, result);
+        });
+
+        this.server.defineCommand('record', {
+            help: 'Save the commands of the session as a script for .replay',
+            action: (file) => {
+                this.record(file.trim());
+                this.server.displayPrompt();
+            },
+        });
+        this.server.defineCommand('replay', {
+            help: 'Run the commands of a recorded script, one after the other',
+            action: (file) => {
+                this.replay(file.trim())
+                    .then(() => this.print(`Replayed ${file.trim()}`), (error) => this.print(`! ${error.message}`));
+                this.server.displayPrompt();
+            },
+        });
+
+        this.subscriptions = this.options.events.map((event) => {
+            const listener = (value) => this.print(`[${event}] ${util.inspect(value)}`);
+            this.drone.on(event, listener);
+            return { event, listener };
+        });
+
+        this.server.on('exit', () => {
+            this.unsubscribe();
+            this.server = null;
+
+            /**
+             * Fires when the session ended, with .exit or the end of the input
+             *
+             * @event Repl#exit
+             */
+            this.emit('exit');
+        });
+    }
+
+    /**
+     * Ends the session
+     * @return {undefined}
+     */
+    stop() {
+        if (this.server) {
+            this.server.close();
+        }
+    }
+
+    /**
+     * Stops printing the drone events
+     * @return {undefined}
+     */
+    unsubscribe() {
+        this.subscriptions.forEach((subscription) => this.drone.removeListener(subscription.event, subscription.listener));
+        this.subscriptions = [];
+    }
+
+    /**
+     * Writes a line above the prompt, keeping what is being typed
+     * @param {String} text The line
+     * @return {undefined}
+     */
+    print(text) {
+        const output = this.options.output;
+        if (!this.server) {
+            output.write(`${text}\n`);
+            return;
+        }
+        if (this.server.terminal) {
+            readline.clearLine(output, 0);
+            readline.cursorTo(output, 0);
+        }
+        output.write(`${text}\n`);
+        this.server.displayPrompt(true);
+    }
+
+    /**
+     * Prints the result of a command once the drone confirmed or failed it
+     * @param {Promise} promise The command's promise
+     * @return {Promise} Resolves once printed
+     */
+    printSettled(promise) {
+        return promise.then((value) => this.print(`= ${util.inspect(value)}`), (error) => this.print(`! ${error.message}`));
+    }
+
+    /**
+     * Tab completion of the commands, the animation names, the state and the REPL commands
+     *
+     * @param {String} line The line typed so far
+     * @return {Array} The completions and the part of the line they complete
+     */
+    complete(line) {
+        const starting = (names, partial) => [names.filter((name) => name.indexOf(partial) === 0), partial];
+
+        if (/^\.\w*$/.test(line)) {
+            return starting(Object.keys(this.server.commands).map((command) => `.${command}`), line);
+        }
+        const animation = line.match(/animate\(\s*['"](\w*)$/);
+        if (animation) {
+            return starting(ANIMATIONS, animation[1]);
+        }
+        const path = line.match(/\bstate\.([\w.]*)$/);
+        if (path) {
+            const keys = path[1].split('.');
+            const partial = keys.pop();
+            const value = keys.reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), this.drone.getState());
+            return starting(value && typeof value === 'object' ? Object.keys(value) : [], partial);
+        }
+        return starting(COMMANDS.concat(['state', 'drone']), line.match(/[\w$]*$/)[0]);
+    }
+
+    /**
+     * Saves the commands of the session, one per line, prints why it could not
+     * @param {String} file The script to write
+     * @return {undefined}
+     */
+    record(file) {
+        if (!file) {
+            this.print('! .record needs a file name');
+            return;
+        }
+        const script = [`// minidrone session of ${new Date().toISOString()}, run it with .replay ${file}`].concat(this.history);
+        try {
+            fs.writeFileSync(file, `${script.join('\n')}\n`);
+        } catch (error) {
+            this.print(`! ${error.message}`);
+            return;
+        }
+        this.print(`Recorded ${this.history.length} commands to ${file}`);
+    }
+
+    /**
+     * Runs the commands of a recorded script, each once the previous one settled
+     *
+     * @param {String} file The script, see record()
+     * @return {Promise} Resolves once all ran, rejects when the script cannot be read or on the first failure
+     */
+    replay(file) {
+        let lines;
+        try {
+            lines = fs.readFileSync(file, 'utf8').split('\n')
+                .map((line) => line.trim())
+                .filter((line) => line && line.indexOf('//') !== 0);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return lines.reduce((previous, line) => previous.then(() => this.run(line)), Promise.resolve());
+    }
+
+    /**
+     * Evaluates a command at the prompt and waits for its result
+     * @param {String} line The command
+     * @return {Promise} Resolves with the result, settled when the result is a promise
+     */
+    run(line) {
+        this.print(`> ${line}`);
+        return new Promise((resolve, reject) => {
+            this.evaluate.call(this.server, line, this.server.context, 'replay', (error, result) => (error ? reject(error) : resolve(result)));
+        }).then((result) => {
+            this.history.push(line);
+            if (result && typeof result.then === 'function') {
+                return result.then((value) => {
+                    this.print(`= ${util.inspect(value)}`);
+                    return value;
+                });
+            }
+            return result;
+        });
+    }
+}
+
+module.exports = Repl;
+module.exports.COMMANDS = COMMANDS;
+module.exports.EVENTS = EVENTS;
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const Logger = require('winston');
+const EventEmitter = require('events');
+
+// What each recorded event changes in the drone state
+const STATE_UPDATES = {
+    connected: () => ({ connected: true }),
+    disconnected: () => ({ connected: false }),
+    flightStatusChange: (flightStatus) => ({ flightStatus }),
+    alertStateChange: (alertState) => ({ alertState }),
+    batteryStatusChange: (battery) => ({ battery }),
+    rssiUpdate: (rssi) => ({ rssi }),
+    dronePositionChange: (position) => ({ position }),
+    droneSpeedChange: (speed) => ({ speed }),
+    maxAltitudeChange: (current) => ({ settings: { maxAltitude: { current } } }),
+    maxTiltChange: (current) => ({ settings: { maxTilt: { current } } }),
+    maxVerticalSpeedChange: (current) => ({ settings: { maxVerticalSpeed: { current } } }),
+    maxRotationSpeedChange: (current) => ({ settings: { maxRotationSpeed: { current } } }),
+};
+
+// The events recorded with all their arguments, see TelemetryRecorder
+const MULTIPLE_ARGS = ['commandFailed'];
+
+const MODES = ['telemetry', 'commands'];
+
+/**
+ * Reads NDJSON flight logs
+ *
+ * @param {String|Array} paths The log, or the logs of consecutive flights of a recording
+ * @return {Array} The records, in the order of the files
+ */
+const readLogs = (paths) => [].concat(paths).reduce((records, file) => records.concat(
+    fs.readFileSync(file, 'utf8').split('\n')
+        .map((line, index) => {
+            if (!line.trim()) {
+                return null;
+            }
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid record at ${file}:${index + 1}: ${error.message}`);
+            }
+        })
+        .filter((record) => record)
+), []);
+
+/**
+ * Turns a recorded event argument back into its value
+ * @param {*} value The recorded argument
+ * @return {*} The value, errors as errors
+ */
+const deserialize = (value) => {
+    if (value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.error === 'string') {
+        return new Error(value.error);
+    }
+    return value;
+};
+
+/**
+ * ReplaySource Class
+ *
+ * Plays a flight log written by the TelemetryRecorder back, at the recorded
+ * pace or faster. In `telemetry` mode the recorded events are fired by the
+ * drone and update its state, as if the drone sent them again, and the recorded
+ * commands are fired as `command` events without being sent, so whatever
+ * listens to it (dashboards, failsafes, the geofence...) sees the past flight.
+ * In `commands` mode the recorded commands and flight params are sent to the
+ * drone instead, a simulator or a real one.
+ *
+ * @fires ReplaySource#record
+ * @fires ReplaySource#end
+ */
+class ReplaySource extends EventEmitter {
+    /**
+     * Instantiates a new instance of the ReplaySource class
+     *
+     * @param {Drone} drone The drone firing the telemetry, or receiving the commands
+     * @param {Object} options Configuration options object
+     * @param {String|Array} options.path The log, or the logs of the consecutive flights of a recording
+     * @param {Array} options.records The records to play instead of reading the logs (optional)
+     * @param {Number} options.speed The pace, 1 as recorded, 10 ten times faster, default 1
+     * @param {String} options.mode `telemetry` or `commands`, default telemetry
+     */
+    constructor(drone, options) {
+        super();
+        const defaults = {
+            path: null,
+            records: null,
+            speed: 1,
+            mode: 'telemetry',
+        };
+        this.options = Object.assign({}, defaults, options);
+        if (MODES.indexOf(this.options.mode) < 0) {
+            throw new Error(`Unknown replay mode ${this.options.mode}, expected one of ${MODES.join(', ')}`);
+        }
+        if (!(this.options.speed > 0)) {
+            throw new Error(`The replay speed must be above 0, got ${this.options.speed}`);
+        }
+        this.drone = drone;
+        this.records = [];
+        // the next record to play
+        this.index = 0;
+        this.timer = null;
+        this.startedAt = null;
+        this.finish = null;
+        // when the recording started, from the session header, and the time of the last record played
+        this.epoch = 0;
+        this.time = 0;
+    }
+
+    /**
+     * Starts playing the log
+     * @return {Promise} Resolves with the number of records played, once all were or stop() was called,
+     *                   rejects when the logs cannot be read
+     */
+    start() {
+        this.stop();
+        try {
+            this.records = this.options.records || readLogs(this.options.path);
+        } catch (error) {
+            this.records = [];
+            return Promise.reject(error);
+        }
+        this.index = 0;
+        this.epoch = 0;
+        this.time = 0;
+        this.startedAt = Date.now();
+        return new Promise((resolve) => {
+            this.finish = resolve;
+            this.schedule();
+        });
+    }
+
+    /**
+     * Stops playing
+     * @return {undefined}
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.finish) {
+            const finish = this.finish;
+            this.finish = null;
+            finish(this.index);
+        }
+    }
+
+    /**
+     * The time the record played last was recorded at, e.g. as the clock of the FlightAnalytics
+     * @return {Number} The time in ms since the epoch, since the start of the recording when the log has no session header
+     */
+    getTime() {
+        return this.epoch + this.time;
+    }
+
+    /**
+     * When a record is due
+     * @param {Object} record The record
+     * @return {Number} The due time in ms since the epoch
+     */
+    getDueTime(record) {
+        return this.startedAt + (record.t - this.records[0].t) / this.options.speed;
+    }
+
+    /**
+     * Waits for the next record
+     * @return {undefined}
+     */
+    schedule() {
+        if (this.index >= this.records.length) {
+            /**
+             * Fires once all the records were played
+             *
+             * @event ReplaySource#end
+             */
+            this.emit('end');
+            this.stop();
+            return;
+        }
+        const delay = Math.max(0, this.getDueTime(this.records[this.index]) - Date.now());
+        this.timer = setTimeout(() => {
+            // every record due by now is played, the timers may be late
+            while (this.finish && this.index < this.records.length && this.getDueTime(this.records[this.index]) <= Date.now()) {
+                this.index += 1;
+                this.play(this.records[this.index - 1]);
+            }
+            if (this.finish) {
+                this.schedule();
+            }
+        }, delay);
+    }
+
+    /**
+     * Plays a record
+     * @param {Object} record The record
+     * @return {undefined}
+     */
+    play(record) {
+        if (record.type === 'session') {
+            this.epoch = Date.parse(record.startedAt) || 0;
+        }
+        this.time = record.t;
+        if (this.options.mode === 'telemetry') {
+            this.playTelemetry(record);
+        } else {
+            this.playCommand(record);
+        }
+
+        /**
+         * Fires for each record played
+         *
+         * @event ReplaySource#record
+         * @type {object}
+         */
+        this.emit('record', record);
+    }
+
+    /**
+     * Fires a recorded event from the drone, its state updated first, and a recorded command as a `command` event
+     * @param {Object} record The record
+     * @return {undefined}
+     */
+    playTelemetry(record) {
+        if (record.type === 'session') {
+            this.drone.state.update({
+                product: { name: record.drone.name, model: record.drone.model },
+                settings: record.settings,
+            });
+            return;
+        }
+        if (record.type === 'command') {
+            const name = record.command.split('.');
+            this.drone.emit('command', { project: name[0], class: name[1], command: name[2], args: record.args });
+            return;
+        }
+        if (record.type !== 'event') {
+            return;
+        }
+        const args = MULTIPLE_ARGS.indexOf(record.event) >= 0 ? record.data.map(deserialize) : [deserialize(record.data)];
+        const update = STATE_UPDATES[record.event];
+        if (update) {
+            this.drone.state.update(update(args[0]));
+        }
+        this.drone.emit(record.event, ...args);
+    }
+
+    /**
+     * Sends a recorded command or flight params to the drone
+     * @param {Object} record The record
+     * @return {undefined}
+     */
+    playCommand(record) {
+        if (record.type === 'event' && record.event === 'flightParamChange') {
+            // the recorded params were shaped when they were flown
+            this.drone.setFlightParams(record.data, true);
+        } else if (record.type === 'command') {
+            const name = record.command.split('.');
+            this.drone.sendCommand(name[0], name[1], name[2], record.args)
+                .catch((error) => Logger.warn(`Replayed ${record.command} failed: ${error.message}`));
+        }
+    }
+}
+
+module.exports = ReplaySource;
+module.exports.readLogs = readLogs;
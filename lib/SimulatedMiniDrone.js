@@ -0,0 +1,498 @@
+const Logger = require('winston');
+const EventEmitter = require('events');
+const ArsdkCodec = require('./ArsdkCodec');
+
+// Channels the simulator listens on and notifies on, see the MiniDroneBtAdapter
+const RX_COMMAND_WITH_ACK = 'fb0e';
+const RX_COMMAND_NO_ACK = 'fb0f';
+
+// The channel the simulator acks each of the adapter's channels on
+const ACK_CHANNELS = {
+    fa0b: 'fb1b',
+    fa0c: 'fb1c',
+};
+
+const DATA_TYPES = {
+    ACK: 0x01,
+    DATA: 0x02,
+    LLD: 0x03,
+    DATA_WITH_ACK: 0x04,
+};
+
+// Settings the simulator accepts, with the ranges it echoes back
+const SETTINGS = {
+    maxAltitude: { command: 'PilotingSettings.MaxAltitude', echo: ['PilotingSettingsState', 'MaxAltitudeChanged'], min: 2, max: 10 },
+    maxTilt: { command: 'PilotingSettings.MaxTilt', echo: ['PilotingSettingsState', 'MaxTiltChanged'], min: 5, max: 25 },
+    maxVerticalSpeed: { command: 'SpeedSettings.MaxVerticalSpeed', echo: ['SpeedSettingsState', 'MaxVerticalSpeedChanged'], min: 0.5, max: 2 },
+    maxRotationSpeed: { command: 'SpeedSettings.MaxRotationSpeed', echo: ['SpeedSettingsState', 'MaxRotationSpeedChanged'], min: 50, max: 360 },
+};
+
+/**
+ * Software MiniDrone
+ *
+ * Plays the drone's side of a LoopbackTransport: decodes the frames the adapter
+ * writes and notifies the state packets a MiniDrone would, driven by a simple
+ * flight model. Positions are notified in cm relative to the takeoff point,
+ * speeds in m/s and the heading (psi) in degrees.
+ *
+ * @fires SimulatedMiniDrone#command
+ * @fires SimulatedMiniDrone#tick
+ */
+class SimulatedMiniDrone extends EventEmitter {
+    /**
+     * Instantiates a new instance of the SimulatedMiniDrone class
+     *
+     * @param {Object} options Configuration options object
+     * @param {LoopbackTransport} options.transport The transport the adapter is connected to
+     * @param {Integer} options.tickMS Frequency of the physics loop in ms, default 50ms
+     * @param {Integer} options.telemetryMS Frequency of the position and speed packets in ms, default 200ms
+     * @param {Integer} options.battery The initial battery level %, default 100
+     * @param {Integer} options.flightTime Seconds of flight on a full battery, default 480
+     * @param {Float} options.maxHorizontalSpeed Horizontal speed in m/s at full tilt, default 2
+     * @param {Float} options.takeOffAltitude Altitude in m reached by the takeoff command, default 1
+     * @param {Integer} options.takeOffMS Duration of the takeoff in ms, default 1500ms
+     * @param {Float} options.responseTime Time constant of the speed response in s, default 0.3
+     * @param {Boolean} options.autostart Start the physics loop when the transport connects, default true
+     */
+    constructor(options) {
+        super();
+        const defaults = {
+            transport: null,
+            tickMS: 50,
+            telemetryMS: 200,
+            battery: 100,
+            flightTime: 480,
+            maxHorizontalSpeed: 2,
+            takeOffAltitude: 1,
+            takeOffMS: 1500,
+            responseTime: 0.3,
+            autostart: true,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.transport = this.options.transport;
+        this.codec = new ArsdkCodec();
+        this.steps = {};
+        this.steps[RX_COMMAND_WITH_ACK] = 0;
+        this.steps[RX_COMMAND_NO_ACK] = 0;
+        Object.keys(ACK_CHANNELS).forEach((channel) => {
+            this.steps[ACK_CHANNELS[channel]] = 0;
+        });
+        // sequence number of the last command received on each channel, to skip retries
+        this.lastSteps = {};
+        this.interval = null;
+        this.elapsed = 0;
+        this.sinceTelemetry = 0;
+        this.reset();
+
+        this.transport.on('write', (channel, buffer) => this.onWrite(channel, buffer));
+        this.transport.on('connected', () => this.onConnect());
+        this.transport.on('disconnected', () => this.stop());
+    }
+
+    /**
+     * Puts the drone back on the ground, with a fresh flight model
+     * @return {undefined}
+     */
+    reset() {
+        this.flightStatus = 'landed';
+        this.alertState = 'none';
+        this.battery = this.options.battery;
+        this.position = { x: 0, y: 0, z: 0, psi: 0 };
+        this.speed = { x: 0, y: 0, z: 0 };
+        this.pcmd = { flag: 0, roll: 0, pitch: 0, yaw: 0, gaz: 0 };
+        this.settings = {
+            maxAltitude: 2,
+            maxTilt: 15,
+            maxVerticalSpeed: 1,
+            maxRotationSpeed: 180,
+        };
+        this.stateTime = 0;
+    }
+
+    /**
+     * Starts the physics loop
+     * @return {undefined}
+     */
+    start() {
+        if (this.interval) {
+            return;
+        }
+        this.interval = setInterval(() => this.tick(this.options.tickMS), this.options.tickMS);
+    }
+
+    /**
+     * Stops the physics loop
+     * @return {undefined}
+     */
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    /**
+     * Event handler for when the adapter connects, notifies the initial state
+     * @return {undefined}
+     */
+    onConnect() {
+        this.notifyBattery();
+        this.notifyFlightStatus();
+        this.notifyAlertState();
+        Object.keys(SETTINGS).forEach((name) => this.notifySetting(name));
+        if (this.options.autostart) {
+            this.start();
+        }
+    }
+
+    /**
+     * Event handler for the frames the adapter writes
+     * @param {String} channel The channel key the frame was written on
+     * @param {Buffer} buffer The frame
+     * @return {undefined}
+     */
+    onWrite(channel, buffer) {
+        if (buffer.length < 6 || buffer.readUInt8(0) === DATA_TYPES.ACK) {
+            return;
+        }
+        if (buffer.readUInt8(0) === DATA_TYPES.DATA_WITH_ACK && ACK_CHANNELS[channel]) {
+            this.ack(channel, buffer);
+            // the adapter sends the command again when our ack is lost, only apply it once
+            if (this.lastSteps[channel] === buffer.readUInt8(1)) {
+                return;
+            }
+        }
+        this.lastSteps[channel] = buffer.readUInt8(1);
+        let decoded;
+        try {
+            decoded = this.codec.decode(buffer, 2);
+        } catch (error) {
+            Logger.warn(`Simulator dropped a malformed frame: ${error.message}`);
+            return;
+        }
+
+        /**
+         * Fires for every command the simulator receives
+         *
+         * @event SimulatedMiniDrone#command
+         * @type {object}
+         */
+        this.emit('command', Object.assign({ channel }, decoded));
+
+        const name = `${decoded.class}.${decoded.command}`;
+        const setting = Object.keys(SETTINGS).filter((key) => SETTINGS[key].command === name)[0];
+        if (setting) {
+            this.applySetting(setting, decoded.args.current);
+            return;
+        }
+
+        switch (name) {
+        case 'Settings.AllSettings':
+            Object.keys(SETTINGS).forEach((key) => this.notifySetting(key));
+            this.notify(RX_COMMAND_WITH_ACK, 'SettingsState', 'AllSettingsChanged', {}, 'common');
+            break;
+        case 'Piloting.FlatTrim':
+            this.notify(RX_COMMAND_WITH_ACK, 'PilotingState', 'FlatTrimChanged');
+            break;
+        case 'Piloting.TakeOff':
+            if (this.flightStatus === 'landed' && this.alertState !== 'critical_battery') {
+                this.setFlightStatus('takingoff');
+            }
+            break;
+        case 'Piloting.PCMD':
+            this.pcmd = decoded.args;
+            break;
+        case 'Piloting.Landing':
+            if (this.isAirborne()) {
+                this.setFlightStatus('landing');
+            }
+            break;
+        case 'Piloting.Emergency':
+            if (this.flightStatus !== 'landed') {
+                this.setFlightStatus('emergency');
+            }
+            break;
+        default:
+            Logger.debug(`Simulator ignores ${name}`);
+            break;
+        }
+    }
+
+    /**
+     * Stores a setting clamped to its range and echoes it back
+     * @param {String} name The setting name, one of the SETTINGS keys
+     * @param {Float} value The requested value
+     * @return {undefined}
+     */
+    applySetting(name, value) {
+        const range = SETTINGS[name];
+        this.settings[name] = Math.min(range.max, Math.max(range.min, value));
+        this.notifySetting(name);
+    }
+
+    /**
+     * If the drone is off the ground and under control
+     * @return {Boolean} If the drone is airborne
+     */
+    isAirborne() {
+        return ['takingoff', 'hovering', 'flying'].indexOf(this.flightStatus) >= 0;
+    }
+
+    /**
+     * Changes the flight status and notifies it
+     * @param {String} status One of the FlyingStateChanged states
+     * @return {undefined}
+     */
+    setFlightStatus(status) {
+        if (this.flightStatus === status) {
+            return;
+        }
+        this.flightStatus = status;
+        this.stateTime = 0;
+        this.notifyFlightStatus();
+    }
+
+    /**
+     * Advances the flight model
+     * @param {Integer} ms Elapsed time in ms
+     * @return {undefined}
+     */
+    tick(ms) {
+        const dt = ms / 1000;
+        this.elapsed += ms;
+        this.stateTime += ms;
+
+        this.updateFlightStatus();
+        this.updateKinematics(dt);
+        this.updateBattery(dt);
+
+        this.sinceTelemetry += ms;
+        if (this.sinceTelemetry >= this.options.telemetryMS) {
+            this.sinceTelemetry = 0;
+            this.notifyPosition();
+            this.notifySpeed();
+        }
+
+        /**
+         * Fires after every step of the flight model
+         *
+         * @event SimulatedMiniDrone#tick
+         * @type {number}
+         */
+        this.emit('tick', ms);
+    }
+
+    /**
+     * Moves the flight status along the takeoff, landing and emergency sequences
+     * @return {undefined}
+     */
+    updateFlightStatus() {
+        const moving = this.pcmd.roll || this.pcmd.pitch || this.pcmd.yaw || this.pcmd.gaz;
+        switch (this.flightStatus) {
+        case 'takingoff':
+            if (this.stateTime >= this.options.takeOffMS) {
+                this.setFlightStatus('hovering');
+            }
+            break;
+        case 'hovering':
+            if (moving) {
+                this.setFlightStatus('flying');
+            }
+            break;
+        case 'flying':
+            if (!moving) {
+                this.setFlightStatus('hovering');
+            }
+            break;
+        case 'landing':
+        case 'emergency':
+            if (this.position.z <= 0) {
+                this.setFlightStatus('landed');
+            }
+            break;
+        default:
+            break;
+        }
+    }
+
+    /**
+     * Integrates speeds and position from the piloting inputs
+     * @param {Float} dt Elapsed time in s
+     * @return {undefined}
+     */
+    updateKinematics(dt) {
+        const target = { x: 0, y: 0, z: 0 };
+        let yawRate = 0;
+
+        if (this.flightStatus === 'hovering' || this.flightStatus === 'flying') {
+            // roll and pitch are only applied when the drone is told so
+            const tilt = this.pcmd.flag ? this.settings.maxTilt / SETTINGS.maxTilt.max : 0;
+            const forward = (this.pcmd.pitch / 100) * tilt * this.options.maxHorizontalSpeed;
+            const right = (this.pcmd.roll / 100) * tilt * this.options.maxHorizontalSpeed;
+            const psi = this.position.psi * Math.PI / 180;
+            target.x = forward * Math.cos(psi) - right * Math.sin(psi);
+            target.y = forward * Math.sin(psi) + right * Math.cos(psi);
+            target.z = (this.pcmd.gaz / 100) * this.settings.maxVerticalSpeed;
+            yawRate = (this.pcmd.yaw / 100) * this.settings.maxRotationSpeed;
+        } else if (this.flightStatus === 'takingoff') {
+            target.z = this.options.takeOffAltitude / (this.options.takeOffMS / 1000);
+        } else if (this.flightStatus === 'landing') {
+            target.z = -0.5;
+        } else if (this.flightStatus === 'emergency') {
+            // rotors are off, the drone falls
+            this.speed.x = 0;
+            this.speed.y = 0;
+            this.speed.z -= 9.81 * dt;
+        }
+
+        if (this.flightStatus !== 'emergency') {
+            const response = Math.min(1, dt / this.options.responseTime);
+            this.speed.x += (target.x - this.speed.x) * response;
+            this.speed.y += (target.y - this.speed.y) * response;
+            this.speed.z += (target.z - this.speed.z) * response;
+        }
+        if (this.flightStatus === 'landed') {
+            this.speed = { x: 0, y: 0, z: 0 };
+        }
+
+        this.position.x += this.speed.x * dt;
+        this.position.y += this.speed.y * dt;
+        this.position.z += this.speed.z * dt;
+        this.position.psi = (((this.position.psi + yawRate * dt + 180) % 360) + 360) % 360 - 180;
+
+        if (this.position.z >= this.settings.maxAltitude) {
+            this.position.z = this.settings.maxAltitude;
+            this.speed.z = Math.min(0, this.speed.z);
+        }
+        if (this.position.z <= 0) {
+            this.position.z = 0;
+            this.speed.z = Math.max(0, this.speed.z);
+        }
+    }
+
+    /**
+     * Drains the battery, faster in flight, and raises the matching alerts
+     * @param {Float} dt Elapsed time in s
+     * @return {undefined}
+     */
+    updateBattery(dt) {
+        const previous = Math.ceil(this.battery);
+        const flying = this.isAirborne() || this.flightStatus === 'landing';
+        // the drone idles for about ten times its flight time
+        const drain = (100 / this.options.flightTime) * (flying ? 1 : 0.1);
+        this.battery = Math.max(0, this.battery - drain * dt);
+
+        if (Math.ceil(this.battery) !== previous) {
+            this.notifyBattery();
+        }
+
+        let alert = 'none';
+        if (this.battery <= 0 && (flying || this.alertState === 'cut_out')) {
+            alert = 'cut_out';
+        } else if (this.battery <= 5) {
+            alert = 'critical_battery';
+        } else if (this.battery <= 20) {
+            alert = 'low_battery';
+        }
+        if (alert !== this.alertState) {
+            this.alertState = alert;
+            this.notifyAlertState();
+        }
+        if (alert === 'cut_out') {
+            this.setFlightStatus('emergency');
+        }
+    }
+
+    /**
+     * Sends a minidrone or common command to the adapter
+     * @param {String} channel The channel key to notify on
+     * @param {String} className The command class name
+     * @param {String} commandName The command name
+     * @param {Object} args The command arguments by name
+     * @param {String} project The command project, default minidrone
+     * @return {undefined}
+     */
+    notify(channel, className, commandName, args, project) {
+        const dataType = channel === RX_COMMAND_WITH_ACK ? DATA_TYPES.DATA_WITH_ACK : DATA_TYPES.DATA;
+        this.steps[channel] = (this.steps[channel] + 1) & 0xFF;
+        const payload = this.codec.encode(project || 'minidrone', className, commandName, args);
+        this.transport.notify(channel, Buffer.concat([new Buffer([dataType, this.steps[channel]]), payload]));
+    }
+
+    /**
+     * Acknowledges a command the adapter sent
+     * @param {String} channel The channel the command was written on
+     * @param {Buffer} buffer The command frame
+     * @return {undefined}
+     */
+    ack(channel, buffer) {
+        const ackChannel = ACK_CHANNELS[channel];
+        this.steps[ackChannel] = (this.steps[ackChannel] + 1) & 0xFF;
+        this.transport.notify(ackChannel, new Buffer([DATA_TYPES.ACK, this.steps[ackChannel], buffer.readUInt8(1)]));
+    }
+
+    /**
+     * Notifies common CommonState BatteryStateChanged
+     * @return {undefined}
+     */
+    notifyBattery() {
+        this.notify(RX_COMMAND_NO_ACK, 'CommonState', 'BatteryStateChanged', { percent: Math.ceil(this.battery) }, 'common');
+    }
+
+    /**
+     * Notifies MiniDrone PilotingState FlyingStateChanged
+     * @return {undefined}
+     */
+    notifyFlightStatus() {
+        this.notify(RX_COMMAND_WITH_ACK, 'PilotingState', 'FlyingStateChanged', { state: this.flightStatus });
+    }
+
+    /**
+     * Notifies MiniDrone PilotingState AlertStateChanged
+     * @return {undefined}
+     */
+    notifyAlertState() {
+        this.notify(RX_COMMAND_WITH_ACK, 'PilotingState', 'AlertStateChanged', { state: this.alertState });
+    }
+
+    /**
+     * Notifies the SpeedSettingsState or PilotingSettingsState echo of a setting
+     * @param {String} name The setting name, one of the SETTINGS keys
+     * @return {undefined}
+     */
+    notifySetting(name) {
+        const range = SETTINGS[name];
+        this.notify(RX_COMMAND_WITH_ACK, range.echo[0], range.echo[1], {
+            current: this.settings[name],
+            min: range.min,
+            max: range.max,
+        });
+    }
+
+    /**
+     * Notifies MiniDrone NavigationDataState DronePosition
+     * @return {undefined}
+     */
+    notifyPosition() {
+        this.notify(RX_COMMAND_NO_ACK, 'NavigationDataState', 'DronePosition', {
+            posx: this.position.x * 100,
+            posy: this.position.y * 100,
+            posz: Math.round(this.position.z * 100),
+            psi: Math.round(this.position.psi),
+            ts: this.elapsed & 0x7FFF,
+        });
+    }
+
+    /**
+     * Notifies MiniDrone NavigationDataState DroneSpeed
+     * @return {undefined}
+     */
+    notifySpeed() {
+        this.notify(RX_COMMAND_NO_ACK, 'NavigationDataState', 'DroneSpeed', {
+            speed_x: this.speed.x,
+            speed_y: this.speed.y,
+            speed_z: this.speed.z,
+            ts: this.elapsed & 0x7FFF,
+        });
+    }
+}
+
+module.exports = SimulatedMiniDrone;
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('winston');
+const EventEmitter = require('events');
+
+// The drone events recorded by default
+const EVENTS = [
+    'connected', 'disconnected', 'dronePositionChange', 'droneSpeedChange', 'flightStatusChange',
+    'batteryStatusChange', 'alertStateChange', 'rssiUpdate', 'flightParamChange', 'flatTrimChange',
+    'maxAltitudeChange', 'maxTiltChange', 'maxVerticalSpeedChange', 'maxRotationSpeedChange', 'limitsApplied',
+    'commandFailed', 'reconnecting', 'reconnected', 'reconnectFailed', 'watchdogTriggered',
+    'failsafeTriggered', 'geofenceBreach', 'poweredOff', 'animationStarted',
+];
+
+// The flight statuses between a takeoff and the landing
+const AIRBORNE = ['taking off', 'hovering', 'flying', 'landing', 'emergency'];
+
+// The version of the log format, in the session header
+const FORMAT_VERSION = 1;
+
+/**
+ * Makes an event argument JSON friendly
+ * @param {*} value The argument
+ * @return {*} The value, errors as their message and buffers as hex
+ */
+const serialize = (value) => {
+    if (value instanceof Error) {
+        return { error: value.message };
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString('hex');
+    }
+    return value === undefined ? null : value;
+};
+
+/**
+ * TelemetryRecorder Class
+ *
+ * Records the events of a drone and the commands written to it as NDJSON, one
+ * JSON object per line, each with `t`, the milliseconds since the recording
+ * started on a monotonic clock. Every file starts with a `session` header.
+ *
+ * A file is written for each flight: it is opened by the takeoff command, or
+ * the takeoff when the drone was not told to, and closed when the drone lands, the next flights go to `<name>-2.ndjson`, `<name>-3.ndjson`...
+ * The records on the ground, between the flights, are left out.
+ * The PCMD commands are not recorded as commands, the `flightParamChange`
+ * events hold the flight params written.
+ *
+ * @fires TelemetryRecorder#file
+ */
+class TelemetryRecorder extends EventEmitter {
+    /**
+     * Instantiates a new instance of the TelemetryRecorder class
+     *
+     * @param {Drone} drone The drone
+     * @param {Object} options Configuration options object
+     * @param {String} options.path The log of the first flight, e.g. logs/bench.ndjson
+     * @param {Array} options.events The drone events recorded, see EVENTS
+     * @param {Boolean} options.rotate Write a file for each flight, from the takeoff to the landing, default true,
+     *                                 false writes everything to a single file
+     */
+    constructor(drone, options) {
+        super();
+        const defaults = {
+            path: 'flight.ndjson',
+            events: EVENTS,
+            rotate: true,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.drone = drone;
+        this.flight = 1;
+        // in a flight, from the takeoff command to the landing
+        this.airborne = false;
+        // the open log, opened on the first record of a flight, and why it failed
+        this.stream = null;
+        this.failure = null;
+        // the closing of the previous flight's log
+        this.closing = Promise.resolve();
+        this.files = [];
+        this.startedAt = null;
+        this.subscriptions = [];
+    }
+
+    /**
+     * Starts recording
+     * @return {undefined}
+     */
+    start() {
+        this.startedAt = process.hrtime();
+        this.airborne = AIRBORNE.indexOf(this.drone.getState().flightStatus) >= 0;
+        this.subscriptions = this.options.events.map((event) => {
+            const listener = (...args) => {
+                const record = { type: 'event', event, data: args.length > 1 ? args.map(serialize) : serialize(args[0]) };
+                if (event === 'flightStatusChange') {
+                    this.onFlightStatus(args[0], record);
+                } else {
+                    this.write(record);
+                }
+            };
+            return { event, listener };
+        });
+        this.subscriptions.push({
+            event: 'command',
+            listener: (command) => {
+                if (command.command === 'TakeOff') {
+                    // the flight starts with the command
+                    this.airborne = true;
+                }
+                if (command.command !== 'PCMD') {
+                    this.write({ type: 'command', command: `${command.project}.${command.class}.${command.command}`, args: command.args });
+                }
+            },
+        });
+        this.subscriptions.forEach((subscription) => this.drone.on(subscription.event, subscription.listener));
+    }
+
+    /**
+     * Stops recording and closes the log
+     * @return {Promise} Resolves once the logs are written, rejects when the last one could not be
+     */
+    stop() {
+        this.subscriptions.forEach((subscription) => this.drone.removeListener(subscription.event, subscription.listener));
+        this.subscriptions = [];
+        return this.closing.then(() => this.close());
+    }
+
+    /**
+     * The milliseconds since the recording started, on a monotonic clock
+     * @return {Number} The time, to the microsecond
+     */
+    now() {
+        const elapsed = process.hrtime(this.startedAt);
+        return Math.round(elapsed[0] * 1e6 + elapsed[1] / 1e3) / 1e3;
+    }
+
+    /**
+     * The log of a flight
+     * @param {Integer} flight The flight number, from 1
+     * @return {String} The path
+     */
+    getPath(flight) {
+        if (flight === 1) {
+            return this.options.path;
+        }
+        const extension = path.extname(this.options.path);
+        return `${this.options.path.slice(0, this.options.path.length - extension.length)}-${flight}${extension}`;
+    }
+
+    /**
+     * Appends a record to the log of the flight, opening it with its header,
+     * the records on the ground are left out of the flight logs
+     * @param {Object} record The record, without its time
+     * @return {undefined}
+     */
+    write(record) {
+        const t = this.now();
+        if (!this.stream && this.options.rotate && !this.airborne) {
+            return;
+        }
+        if (!this.stream) {
+            this.open(t);
+        }
+        this.stream.write(`${JSON.stringify(Object.assign({ t }, record))}\n`);
+    }
+
+    /**
+     * Opens the log of the flight and writes the session header
+     * @param {Number} t The time of the header
+     * @return {undefined}
+     */
+    open(t) {
+        const file = this.getPath(this.flight);
+        const state = this.drone.getState();
+        const transport = this.drone.network && this.drone.network.transport;
+        this.stream = fs.createWriteStream(file);
+        this.failure = null;
+        this.stream.on('error', (error) => {
+            this.failure = error;
+            Logger.error(`Could not write the flight log ${file}: ${error.message}`);
+        });
+        this.files.push(file);
+        this.stream.write(`${JSON.stringify({
+            t,
+            type: 'session',
+            version: FORMAT_VERSION,
+            startedAt: new Date(Date.now() - t).toISOString(),
+            flight: this.flight,
+            drone: {
+                name: state.product.name,
+                model: state.product.model,
+                id: transport ? transport.peripheralId : null,
+                software: state.product.software,
+            },
+            limits: {
+                maxAltitude: this.drone.options.maxAltitude,
+                maxTilt: this.drone.options.maxTilt,
+                maxVerticalSpeed: this.drone.options.maxVerticalSpeed,
+                maxRotationSpeed: this.drone.options.maxRotationSpeed,
+            },
+            settings: state.settings,
+        })}\n`);
+
+        /**
+         * Fires when a log was opened, with its path
+         *
+         * @event TelemetryRecorder#file
+         * @type {string}
+         */
+        this.emit('file', file);
+    }
+
+    /**
+     * Closes the log of the flight
+     * @return {Promise} Resolves once it is written, rejects when it could not be
+     */
+    close() {
+        const stream = this.stream;
+        const failure = this.failure;
+        this.stream = null;
+        this.failure = null;
+        if (!stream) {
+            return Promise.resolve();
+        }
+        // a stream that failed already fires nothing more
+        if (failure) {
+            stream.destroy();
+            return Promise.reject(failure);
+        }
+        return new Promise((resolve, reject) => {
+            stream.once('error', reject);
+            stream.end((error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    /**
+     * Writes the flight status, the log of a flight starts with its takeoff and ends with its landing
+     * @param {String} status The flight status
+     * @param {Object} record The record of the status change
+     * @return {undefined}
+     */
+    onFlightStatus(status, record) {
+        if (AIRBORNE.indexOf(status) >= 0) {
+            this.airborne = true;
+        }
+        this.write(record);
+        if (status === 'landed' && this.airborne) {
+            this.airborne = false;
+            if (this.options.rotate) {
+                // the failures are logged already
+                this.closing = this.close().catch(() => {});
+                this.flight += 1;
+            }
+        }
+    }
+}
+
+module.exports = TelemetryRecorder;
+module.exports.EVENTS = EVENTS;
+module.exports.FORMAT_VERSION = FORMAT_VERSION;
@@ -0,0 +1,126 @@
+const EventEmitter = require('events');
+
+/**
+ * Transport base class
+ *
+ * Documents the link between the MiniDroneBtAdapter and a drone. A transport
+ * only moves raw ARSDK frames over named channels, the channel names being the
+ * BTLE characteristic keys used by the MiniDrones (`fa0a`, `fa0b`, `fb0f`...).
+ * It knows nothing about the commands inside the frames.
+ *
+ * Implementations extend this class and override every method below, the
+ * parameters are only documented here.
+ *
+ * @fires Transport#connected
+ * @fires Transport#disconnected
+ * @fires Transport#data
+ * @fires Transport#rssiUpdate
+ * @fires Transport#discover
+ * @fires Transport#error
+ */
+class Transport extends EventEmitter {
+    /**
+     * Instantiates a new instance of the Transport class
+     */
+    constructor() {
+        super();
+        this.connected = false;
+        // id of the last drone connected to, to connect to the same one again
+        this.peripheralId = null;
+    }
+
+    /**
+     * Opens the link to the drone, fires `connected` once frames can be written
+     * @param {String} id The id of the drone to connect to, as found by scan(), default the first drone found
+     * @return {undefined}
+     */
+    connect() {
+        throw new Error(`${this.constructor.name} must implement connect()`);
+    }
+
+    /**
+     * Closes the link to the drone, fires `disconnected` once closed
+     * @return {undefined}
+     */
+    disconnect() {
+        throw new Error(`${this.constructor.name} must implement disconnect()`);
+    }
+
+    /**
+     * Writes a frame to one of the drone's channels
+     *
+     * @param  {String} channel The channel key, e.g. `fa0b`
+     * @param  {Buffer} buffer  The frame to write
+     * @return {undefined}
+     */
+    write() {
+        throw new Error(`${this.constructor.name} must implement write()`);
+    }
+
+    /**
+     * Looks for the drones around without connecting, fires `discover` for each new one
+     *
+     * @param {Object} options Scan options
+     * @param {Integer} options.timeout How long to scan in ms
+     * @return {Promise} Resolves with the drones found, see Transport#discover
+     */
+    scan() {
+        throw new Error(`${this.constructor.name} must implement scan()`);
+    }
+
+    /**
+     * Requests the link's signal strength, fires `rssiUpdate` with the value
+     * @return {undefined}
+     */
+    updateRssi() {
+        throw new Error(`${this.constructor.name} must implement updateRssi()`);
+    }
+}
+
+/**
+ * Fires when the link is open and frames can be written
+ *
+ * @event Transport#connected
+ */
+
+/**
+ * Fires when the link was closed, by either side
+ *
+ * @event Transport#disconnected
+ */
+
+/**
+ * Fires when the drone notifies a frame on one of its channels
+ *
+ * @event Transport#data
+ * @param {String} channel The channel key, e.g. `fb0f`
+ * @param {Buffer} buffer The received frame
+ */
+
+/**
+ * Fires with the signal strength after updateRssi() was called
+ *
+ * @event Transport#rssiUpdate
+ * @param {Integer} rssi The signal strength in dBm
+ */
+
+/**
+ * Fires for each drone found by scan()
+ *
+ * @event Transport#discover
+ * @type {object}
+ * @property {String} name The drone's local name
+ * @property {String} id The id to connect to the drone with
+ * @property {Integer} rssi The signal strength in dBm
+ * @property {String} manufacturer The manufacturer serial the drone matched, null if none
+ * @property {String} model The drone model, e.g. Mambo, null when unknown
+ */
+
+/**
+ * Fires when the link failed, instead of throwing from the BTLE callbacks
+ *
+ * @event Transport#error
+ * @type {Error}
+ */
+
+module.exports = Transport;
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Appended to the client's key to prove the server speaks WebSocket, RFC 6455 section 1.3
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa,
+};
+
+/**
+ * Encodes a frame, a whole message
+ *
+ * @param {Integer} opcode The frame opcode, see OPCODES
+ * @param {Buffer|String} payload The payload
+ * @param {Buffer} mask The masking key, clients must mask their frames (optional)
+ * @return {Buffer} The frame
+ */
+const encodeFrame = (opcode, payload, mask) => {
+    const data = Buffer.isBuffer(payload) ? payload : new Buffer(payload || '');
+    let header;
+    if (data.length < 126) {
+        header = new Buffer(2);
+        header.writeUInt8(data.length, 1);
+    } else if (data.length < 0x10000) {
+        header = new Buffer(4);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = new Buffer(10);
+        header.writeUInt8(127, 1);
+        header.writeUInt32BE(Math.floor(data.length / 0x100000000), 2);
+        header.writeUInt32BE(data.length % 0x100000000, 6);
+    }
+    header.writeUInt8(0x80 | opcode, 0);
+    if (!mask) {
+        return Buffer.concat([header, data]);
+    }
+    header.writeUInt8(header.readUInt8(1) | 0x80, 1);
+    const masked = new Buffer(data.length);
+    for (let index = 0; index < data.length; index += 1) {
+        masked[index] = data[index] ^ mask[index % 4];
+    }
+    return Buffer.concat([header, mask, masked]);
+};
+
+/**
+ * Decodes the complete frames at the start of a buffer
+ *
+ * @param {Buffer} buffer The bytes received
+ * @return {Object} The frames (fin, opcode and the unmasked payload) and the rest of the bytes, an incomplete frame
+ */
+const parseFrames = (buffer) => {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const first = buffer.readUInt8(offset);
+        const second = buffer.readUInt8(offset + 1);
+        const masked = Boolean(second & 0x80);
+        let length = second & 0x7f;
+        let position = offset + 2;
+        if (length === 126) {
+            if (buffer.length < position + 2) {
+                break;
+            }
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) {
+                break;
+            }
+            length = buffer.readUInt32BE(position) * 0x100000000 + buffer.readUInt32BE(position + 4);
+            position += 8;
+        }
+        const mask = masked ? buffer.slice(position, position + 4) : null;
+        position += masked ? 4 : 0;
+        if (buffer.length < position + length) {
+            break;
+        }
+        const payload = new Buffer(length);
+        buffer.copy(payload, 0, position, position + length);
+        if (mask) {
+            for (let index = 0; index < length; index += 1) {
+                payload[index] ^= mask[index % 4];
+            }
+        }
+        frames.push({ fin: Boolean(first & 0x80), opcode: first & 0x0f, payload });
+        offset = position + length;
+    }
+    return { frames, rest: buffer.slice(offset) };
+};
+
+/**
+ * WebSocket Class
+ *
+ * The server side of a WebSocket connection (RFC 6455) over the socket of an
+ * HTTP upgrade request: text messages, ping and close. Extensions such as
+ * compression are not negotiated.
+ *
+ * @fires WebSocket#message
+ * @fires WebSocket#close
+ */
+class WebSocket extends EventEmitter {
+    /**
+     * Instantiates a new instance of the WebSocket class, see accept()
+     *
+     * @param {net.Socket} socket The upgraded socket
+     * @param {Object} options Configuration options object
+     * @param {Integer} options.maxPayload The largest message accepted in bytes, default 64KB
+     */
+    constructor(socket, options) {
+        super();
+        const defaults = {
+            maxPayload: 65536,
+        };
+        this.options = Object.assign({}, defaults, options);
+        this.socket = socket;
+        this.open = true;
+        // bytes of a frame split across reads
+        this.pending = new Buffer(0);
+        // payloads of a fragmented message
+        this.fragments = [];
+
+        socket.setNoDelay(true);
+        socket.on('data', (data) => this.onBytes(data));
+        socket.on('close', () => this.onClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Completes the opening handshake of an HTTP upgrade request
+     *
+     * @param {http.IncomingMessage} request The upgrade request
+     * @param {net.Socket} socket Its socket
+     * @param {Object} options See the constructor
+     * @return {WebSocket} The connection, null when the request was not a WebSocket one and got a 400
+     */
+    static accept(request, socket, options) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return null;
+        }
+        const accept = crypto.createHash('sha1').update(`${key}${GUID}`).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            '',
+        ].join('\r\n'));
+        return new WebSocket(socket, options);
+    }
+
+    /**
+     * Sends a text message
+     * @param {String} text The message
+     * @return {undefined}
+     */
+    send(text) {
+        if (this.open) {
+            this.socket.write(encodeFrame(OPCODES.text, text));
+        }
+    }
+
+    /**
+     * Starts the closing handshake
+     * @param {Integer} code The status code, default 1000 normal closure
+     * @return {undefined}
+     */
+    close(code) {
+        if (!this.open) {
+            return;
+        }
+        const payload = new Buffer(2);
+        payload.writeUInt16BE(code || 1000, 0);
+        this.socket.end(encodeFrame(OPCODES.close, payload));
+        this.open = false;
+    }
+
+    /**
+     * Handles the bytes read, which may end in the middle of a frame
+     * @param {Buffer} data The bytes
+     * @return {undefined}
+     */
+    onBytes(data) {
+        const parsed = parseFrames(Buffer.concat([this.pending, data]));
+        this.pending = parsed.rest;
+        if (this.pending.length > this.options.maxPayload + 14) {
+            this.close(1009);
+            return;
+        }
+        parsed.frames.forEach((frame) => this.onFrame(frame));
+    }
+
+    /**
+     * Handles a frame
+     * @param {Object} frame The frame, see parseFrames()
+     * @return {undefined}
+     */
+    onFrame(frame) {
+        if (frame.opcode === OPCODES.ping) {
+            this.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        } else if (frame.opcode === OPCODES.close) {
+            this.close(1000);
+        } else if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.continuation) {
+            this.fragments.push(frame.payload);
+            const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+            if (size > this.options.maxPayload) {
+                this.close(1009);
+            } else if (frame.fin) {
+                const message = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+
+                /**
+                 * Fires for each text message received
+                 *
+                 * @event WebSocket#message
+                 * @type {string}
+                 */
+                this.emit('message', message);
+            }
+        } else if (frame.opcode === OPCODES.binary) {
+            // only text messages are spoken
+            this.close(1003);
+        }
+    }
+
+    /**
+     * Handles the socket closing
+     * @return {undefined}
+     */
+    onClose() {
+        this.open = false;
+
+        /**
+         * Fires once the connection closed
+         *
+         * @event WebSocket#close
+         */
+        this.emit('close');
+    }
+}
+
+module.exports = WebSocket;
+module.exports.OPCODES = OPCODES;
+module.exports.encodeFrame = encodeFrame;
+module.exports.parseFrames = parseFrames;
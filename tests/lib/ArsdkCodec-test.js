@@ -0,0 +1,95 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const ArsdkCodec = require('./../../lib/ArsdkCodec');
+const bufferEqual = require('./helpers/bufferEqual');
+
+describe('ArsdkCodec', () => {
+    it('should encode a command without arguments', () => {
+        const codec = new ArsdkCodec();
+        const buffer = codec.encode('minidrone', 'Piloting', 'TakeOff');
+        expect(bufferEqual(buffer, new Buffer([0x02, 0x00, 0x01, 0x00]))).to.equal(true);
+    });
+
+    it('should encode float arguments', () => {
+        const codec = new ArsdkCodec();
+        const buffer = codec.encode('minidrone', 'PilotingSettings', 'MaxAltitude', { current: 2.5 });
+        expect(buffer.length).to.equal(8);
+        expect(buffer.readUInt8(1)).to.equal(0x08);
+        expect(buffer.readFloatLE(4)).to.equal(2.5);
+    });
+
+    it('should encode enums by name or index', () => {
+        const codec = new ArsdkCodec();
+        const byName = codec.encode('minidrone', 'Animations', 'Flip', { direction: 'back' });
+        const byIndex = codec.encode('minidrone', 'Animations', 'Flip', { direction: 1 });
+        expect(byName.readInt32LE(4)).to.equal(1);
+        expect(bufferEqual(byName, byIndex)).to.equal(true);
+        expect(() => codec.encode('minidrone', 'Animations', 'Flip', { direction: 'sideways' }))
+            .to.throw(/^Unknown value sideways for direction/);
+    });
+
+    it('should encode and decode strings', () => {
+        const codec = new ArsdkCodec();
+        const buffer = codec.encode('common', 'SettingsState', 'ProductVersionChanged', { software: '3.0.6', hardware: 'HW_01' });
+        expect(buffer.length).to.equal(4 + 6 + 6);
+        expect(codec.decode(buffer).args).to.deep.equal({ software: '3.0.6', hardware: 'HW_01' });
+    });
+
+    it('should decode a frame from an offset', () => {
+        const codec = new ArsdkCodec();
+        const frame = new Buffer([0x04, 0x07, 0x02, 0x03, 0x01, 0x00, 0x02, 0x00, 0x00, 0x00]);
+        expect(codec.decode(frame, 2)).to.deep.equal({
+            project: 'minidrone',
+            class: 'PilotingState',
+            command: 'FlyingStateChanged',
+            args: { state: 'hovering' },
+            ids: { project: 2, class: 3, command: 1 },
+        });
+    });
+
+    it('should round trip the navigation data', () => {
+        const codec = new ArsdkCodec();
+        const args = { posx: 12.5, posy: -3.25, posz: 150, psi: -90, ts: 1200 };
+        const buffer = codec.encode('minidrone', 'NavigationDataState', 'DronePosition', args);
+        expect(codec.decode(buffer).args).to.deep.equal(args);
+    });
+
+    it('should decode unknown commands without names', () => {
+        const codec = new ArsdkCodec();
+        const decoded = codec.decode(new Buffer([0x02, 0x7F, 0x01, 0x00]));
+        expect(decoded.command).to.equal(null);
+        expect(decoded.ids).to.deep.equal({ project: 2, class: 0x7F, command: 1 });
+    });
+
+    it('should refuse the frames too short for their command', () => {
+        const codec = new ArsdkCodec();
+        expect(() => codec.decode(new Buffer([0x04, 0x07, 0x02]), 2)).to.throw('Frame too short for a command, 3 bytes');
+        expect(() => codec.decode(new Buffer([0x02, 0x03, 0x01, 0x00, 0x02])))
+            .to.throw('Frame too short for minidrone.PilotingState.FlyingStateChanged, 5 bytes');
+    });
+
+    it('should add command definitions', () => {
+        const codec = new ArsdkCodec();
+        const key = codec.addCommand({
+            project: 'minidrone',
+            class: 'LightsState',
+            command: 'LightsChanged',
+            ids: { project: 2, class: 0x7F, command: 0 },
+            args: [{ name: 'intensity', type: 'u8' }],
+        });
+        const buffer = codec.encode('minidrone', 'LightsState', 'LightsChanged', { intensity: 50 });
+        expect(key).to.equal('minidrone.LightsState.LightsChanged');
+        expect(bufferEqual(buffer, new Buffer([0x02, 0x7F, 0x00, 0x00, 0x32]))).to.equal(true);
+        expect(codec.decode(buffer).args).to.deep.equal({ intensity: 50 });
+        expect(codec.getCommand('minidrone', 'Piloting', 'TakeOff').id).to.equal(1);
+    });
+
+    it('should throw on unknown commands and missing arguments', () => {
+        const codec = new ArsdkCodec();
+        expect(() => codec.encode('minidrone', 'Piloting', 'Teleport'))
+            .to.throw('Unknown command minidrone.Piloting.Teleport');
+        expect(() => codec.encode('minidrone', 'PilotingSettings', 'MaxTilt', {}))
+            .to.throw('Missing argument current for minidrone.PilotingSettings.MaxTilt');
+    });
+});
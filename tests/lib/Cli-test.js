@@ -0,0 +1,160 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const Cli = require('./../../lib/Cli');
+const Drone = require('./../../lib/Drone');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+describe('Cli', () => {
+    let out;
+    let err;
+    let simulator;
+    let created;
+
+    /**
+     * A cli flying a fast simulator, its output collected
+     * @param {Object} simulatorOptions More simulator options
+     * @return {Cli} The cli
+     */
+    const createCli = (simulatorOptions) => new Cli({
+        stdout: { write: (text) => { out += text; } },
+        stderr: { write: (text) => { err += text; } },
+        createDrone: (options) => {
+            const transport = new LoopbackTransport({ name: 'Mars_123456', id: 'e01430bc' });
+            simulator = new SimulatedMiniDrone(Object.assign({ transport, tickMS: 5, takeOffMS: 20, takeOffAltitude: 0.1 }, simulatorOptions));
+            created = new Drone(Object.assign({ transport }, options));
+            return created;
+        },
+    });
+
+    beforeEach(() => {
+        out = '';
+        err = '';
+    });
+
+    it('should print the usage with exit code 2 on a usage error', () =>
+        Promise.all([
+            createCli().run([]),
+            createCli().run(['fly']),
+            createCli().run(['flip', 'up']),
+            createCli().run(['set', 'max-altitude']),
+            createCli().run(['status', '--timeout', 'soon']),
+            createCli().run(['status', '--drone']),
+        ]).then((codes) => {
+            expect(codes).to.deep.equal([2, 2, 2, 2, 2, 2]);
+            expect(err).to.contain('Unknown command fly');
+            expect(err).to.contain('flip needs a direction: front, back, left, right');
+            expect(err).to.contain('Missing value for --drone');
+            expect(out).to.contain('Usage: minidrone <command> [options]');
+        }));
+
+    it('should list the drones found as JSON', () =>
+        createCli().run(['scan', '--json', '--timeout', '100']).then((code) => {
+            expect(code).to.equal(0);
+            const drones = JSON.parse(out);
+            expect(drones).to.have.length(1);
+            expect(drones[0]).to.include({ name: 'Mars_123456', id: 'e01430bc' });
+        }));
+
+    it('should connect to a drone by name without changing its flight limits', () =>
+        createCli().run(['connect', 'Mars_123456', '--json']).then((code) => {
+            expect(code).to.equal(0);
+            const state = JSON.parse(out);
+            expect(state.battery).to.equal(100);
+            expect(created.options.maxAltitude).to.equal(null);
+            expect(simulator.settings.maxAltitude).to.equal(2);
+            expect(created.network.connected).to.equal(false);
+        }));
+
+    it('should exit with code 3 when the drone is not found', () =>
+        createCli().run(['takeoff', '--drone', 'Mambo_654321', '--json']).then((code) => {
+            expect(code).to.equal(3);
+            expect(JSON.parse(err)).to.deep.equal({ error: 'No drone Mambo_654321 found', code: 3 });
+        }));
+
+    it('should run a command and print the result', () =>
+        createCli().run(['set', 'max-altitude', '5', '--drone', 'e01430bc']).then((code) => {
+            expect(code).to.equal(0);
+            expect(out).to.equal('set max-altitude 5: 5\n');
+            expect(simulator.settings.maxAltitude).to.equal(5);
+        }));
+
+    it('should exit with code 1 when the drone refuses the command', () =>
+        createCli({ battery: 10 }).run(['takeoff', '--json']).then((code) => {
+            expect(code).to.equal(1);
+            expect(JSON.parse(err)).to.deep.equal({ error: 'Cannot takeOff, refused by the takeOffBattery failsafe', code: 1 });
+            expect(simulator.flightStatus).to.equal('landed');
+        }));
+
+    it('should take off and flip', () =>
+        createCli().run(['takeoff', '--json'])
+            .then((code) => {
+                expect(code).to.equal(0);
+                expect(JSON.parse(out).command).to.equal('takeoff');
+                expect(simulator.flightStatus).to.equal('hovering');
+                out = '';
+                return createCli().run(['flip', 'front']);
+            })
+            .then((code) => {
+                expect(code).to.equal(0);
+                expect(out).to.match(/^flip front: /);
+            }));
+
+    it('should disconnect the drone when interrupted', () => {
+        const cli = createCli();
+        const drone = cli.createDrone();
+        return new Promise((resolve) => {
+            drone.once('limitsApplied', resolve);
+            drone.connect();
+        })
+            .then(() => cli.interrupt(1000))
+            .then((watching) => {
+                expect(watching).to.equal(false);
+                expect(drone.network.connected).to.equal(false);
+                expect(simulator.flightStatus).to.equal('landed');
+            });
+    });
+
+    it('should not wait more than the timeout for the drone to disconnect', () => {
+        const cli = createCli();
+        const drone = cli.createDrone();
+        return new Promise((resolve) => {
+            drone.once('limitsApplied', resolve);
+            drone.connect();
+        })
+            .then(() => {
+                sinon.stub(drone, 'disconnect');
+                return cli.interrupt(20);
+            })
+            .then((watching) => {
+                expect(watching).to.equal(false);
+                expect(drone.disconnect).to.have.callCount(1);
+                drone.disconnect.restore();
+                drone.disconnect();
+            });
+    });
+
+    it('should print the state changes until stopped with status --watch', () => {
+        const cli = createCli();
+        const run = cli.run(['status', '--watch', '--json']);
+        const wait = () => new Promise((resolve) => setTimeout(resolve, 5));
+        const waitForDrone = () => (created && created.network && created.network.connected && out ? Promise.resolve() : wait().then(waitForDrone));
+        return waitForDrone()
+            .then(() => created.setMaxAltitude(3))
+            .then(() => {
+                const lines = out.trim().split('\n').map((line) => JSON.parse(line));
+                expect(lines[0].flightStatus).to.equal('landed');
+                expect(lines.slice(1).some((diff) => diff.settings && diff.settings.maxAltitude)).to.equal(true);
+                expect(cli.stop()).to.equal(true);
+                return run;
+            })
+            .then((code) => {
+                expect(code).to.equal(0);
+                expect(cli.stop()).to.equal(false);
+            });
+    });
+});
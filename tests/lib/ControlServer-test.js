@@ -0,0 +1,200 @@
+/* eslint no-undef: 0 */
+const http = require('http');
+const crypto = require('crypto');
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const ControlServer = require('./../../lib/ControlServer');
+const WebSocket = require('./../../lib/WebSocket');
+const Drone = require('./../../lib/Drone');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+describe('ControlServer', () => {
+    let simulator;
+    let drone;
+    let server;
+    let port;
+    let sockets;
+
+    /**
+     * Calls a route
+     * @param {String} method The HTTP method
+     * @param {String} path The path
+     * @param {Object} body The JSON body (optional)
+     * @param {Object} headers More headers (optional)
+     * @return {Promise} Resolves with the status and the parsed body
+     */
+    const call = (method, path, body, headers) => new Promise((resolve, reject) => {
+        const request = http.request({ port, method, path, headers: Object.assign({ 'Content-Type': 'application/json' }, headers) }, (response) => {
+            let text = '';
+            response.on('data', (chunk) => { text += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+        });
+        request.on('error', reject);
+        request.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+
+    /**
+     * Opens a WebSocket, its messages are collected
+     * @return {Promise} Resolves with the client once it got its hello
+     */
+    const connectClient = () => new Promise((resolve, reject) => {
+        const request = http.request({
+            port,
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64') },
+        });
+        request.on('upgrade', (response, socket, head) => {
+            sockets.push(socket);
+            const client = { socket, messages: [], pending: new Buffer(0) };
+            client.send = (message) => socket.write(WebSocket.encodeFrame(WebSocket.OPCODES.text, JSON.stringify(message), crypto.randomBytes(4)));
+            client.waitFor = (isWanted) => new Promise((found) => {
+                const check = () => {
+                    const message = client.messages.filter(isWanted)[0];
+                    return message ? found(message) : setTimeout(check, 5);
+                };
+                check();
+            });
+            socket.on('data', (data) => {
+                const parsed = WebSocket.parseFrames(Buffer.concat([client.pending, data]));
+                client.pending = parsed.rest;
+                parsed.frames.forEach((frame) => client.messages.push(JSON.parse(frame.payload.toString())));
+            });
+            socket.emit('data', head);
+            client.waitFor((message) => message.type === 'hello').then((hello) => {
+                client.id = hello.id;
+                resolve(client);
+            });
+        });
+        request.on('error', reject);
+        request.end();
+    });
+
+    beforeEach((done) => {
+        sockets = [];
+        const transport = new LoopbackTransport();
+        simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 20, takeOffAltitude: 0.1 });
+        drone = new Drone({ transport });
+        server = new ControlServer(drone, { port: 0, heartbeatTimeout: 1000 });
+        drone.once('limitsApplied', () => server.listen().then((address) => {
+            port = address.port;
+            done();
+        }, done));
+        drone.connect();
+    });
+
+    afterEach(() => {
+        sockets.forEach((socket) => socket.destroy());
+        drone.disconnect();
+        return server.close();
+    });
+
+    it('should serve the state and run the commands', () =>
+        call('GET', '/state')
+            .then((response) => {
+                expect(response.status).to.equal(200);
+                expect(response.body.result.flightStatus).to.equal('landed');
+                return call('POST', '/takeoff');
+            })
+            .then((response) => {
+                expect(response.status).to.equal(200);
+                expect(drone.getState().flightStatus).to.equal('hovering');
+                expect(simulator.flightStatus).to.equal('hovering');
+                return call('POST', '/barrel-roll');
+            })
+            .then((response) => {
+                expect(response).to.deep.equal({ status: 404, body: { error: 'No route POST /barrel-roll' } });
+            }));
+
+    it('should refuse the requests other sites can send from a browser', () =>
+        call('POST', '/takeoff', undefined, { 'Content-Type': 'text/plain' })
+            .then((response) => {
+                expect(response).to.deep.equal({
+                    status: 415,
+                    body: { error: 'Expected a Content-Type: application/json or an X-Controller-Id header' },
+                });
+                return call('PUT', '/settings', { maxAltitude: 4 }, { Origin: 'http://example.com' });
+            })
+            .then((response) => {
+                expect(response).to.deep.equal({ status: 403, body: { error: 'Origin http://example.com not allowed' } });
+                return new Promise((resolve) => {
+                    http.request({
+                        port,
+                        headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': 'a2V5', Origin: 'http://example.com' },
+                    }).on('response', resolve).end();
+                });
+            })
+            .then((response) => {
+                expect(response.statusCode).to.equal(403);
+                expect(drone.getState().flightStatus).to.equal('landed');
+                expect(simulator.settings.maxAltitude).to.equal(2);
+                server.options.cors = 'http://example.com';
+                return call('POST', '/trim', undefined, { 'Content-Type': 'text/plain', 'X-Controller-Id': 'web', Origin: 'http://example.com' });
+            })
+            .then((response) => expect(response.status).to.equal(200)));
+
+    it('should change the settings', () =>
+        call('PUT', '/settings', { maxAltitude: 4, maxTilt: 10 })
+            .then((response) => {
+                expect(response).to.deep.equal({ status: 200, body: { result: { maxAltitude: 4, maxTilt: 10 } } });
+                return call('PUT', '/settings', { maxSpeed: 4 });
+            })
+            .then((response) => {
+                expect(response.status).to.equal(400);
+                expect(response.body.error).to.contain('Unknown setting maxSpeed');
+            }));
+
+    it('should answer the failures of the drone with a 500', () => {
+        drone.disconnect();
+        return call('POST', '/trim').then((response) => {
+            expect(response.status).to.equal(500);
+            expect(response.body.error).to.equal('Cannot trim, not connected to a drone');
+        });
+    });
+
+    it('should stream the telemetry', () =>
+        connectClient().then((client) => {
+            call('POST', '/takeoff');
+            return client.waitFor((message) => message.event === 'flightStatusChange' && message.data === 'hovering');
+        }));
+
+    it('should feed the flight params of the controller holding the lock', () =>
+        Promise.all([connectClient(), connectClient()]).then((clients) => {
+            const pilot = clients[0];
+            const other = clients[1];
+            pilot.send({ type: 'flightParams', pitch: 40, yaw: -20, roll: 'fast' });
+            return other.waitFor((message) => message.type === 'lock' && message.owner === pilot.id)
+                .then(() => {
+                    expect(drone.flightParams).to.include({ pitch: 40, yaw: -20, roll: 0 });
+                    other.send({ type: 'flightParams', pitch: -100 });
+                    return other.waitFor((message) => message.type === 'error');
+                })
+                .then((message) => {
+                    expect(message.error).to.equal(`Controller ${pilot.id} holds the lock`);
+                    expect(drone.flightParams.pitch).to.equal(40);
+                    return Promise.all([call('POST', '/takeoff'), call('POST', '/takeoff', undefined, { 'X-Controller-Id': pilot.id })]);
+                })
+                .then((responses) => {
+                    expect(responses[0].status).to.equal(409);
+                    expect(responses[1].status).to.equal(200);
+                    pilot.send({ type: 'release' });
+                    return other.waitFor((message) => message.type === 'lock' && message.owner === null);
+                })
+                .then(() => expect(drone.flightParams.pitch).to.equal(0));
+        }));
+
+    it('should release the lock and hover when the controller goes silent', () =>
+        connectClient().then((pilot) => {
+            const locks = [];
+            server.options.heartbeatTimeout = 100;
+            server.on('lockChange', (owner) => locks.push(owner));
+            pilot.send({ type: 'acquire' });
+            const beat = setInterval(() => pilot.send({ type: 'heartbeat' }), 50);
+            setTimeout(() => clearInterval(beat), 250);
+            return pilot.waitFor((message) => message.type === 'lock' && message.owner === null).then(() => {
+                expect(locks).to.deep.equal([pilot.id, null]);
+                expect(drone.flightParams.pitch).to.equal(0);
+            });
+        }));
+});
@@ -2,8 +2,11 @@
 const chai = require('chai');
 const expect = chai.expect;
 const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
 const Drone = require('./../../lib/Drone');
 const MiniDroneBtAdapter = require('./../../lib/MiniDroneBtAdapter');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
 chai.use(SinonChai);
 
 describe('Drone', () => {
@@ -71,4 +74,471 @@ describe('Drone', () => {
         drone.connect();
         expect(drone.network).to.be.an.instanceof(MiniDroneBtAdapter);
     });
+
+    it('should connect through the given transport', (done) => {
+        const transport = new LoopbackTransport();
+        const drone = new Drone({ transport });
+        drone.on('connected', () => {
+            expect(drone.network.transport).to.equal(transport);
+            expect(drone.network.connected).to.equal(true);
+            done();
+        });
+        drone.connect();
+    });
+
+    it('should scan and connect to a drone it found', (done) => {
+        const transport = new LoopbackTransport();
+        const drone = new Drone({ transport });
+        const discover = sinon.spy();
+        drone.on('discover', discover);
+        drone.scan({ timeout: 100 }).then((drones) => {
+            expect(discover).to.have.callCount(1);
+            drone.once('connected', () => done());
+            drone.connect(drones[0].id);
+        }, done);
+    });
+
+    it('should fire the events of the decoders registered before connecting', (done) => {
+        const transport = new LoopbackTransport();
+        const drone = new Drone({ transport });
+        const state = sinon.spy();
+        drone.on('state', state);
+        drone.registerDecoder('minidrone.PilotingState.AutoTakeOffModeChanged', {
+            event: 'autoTakeOffChange',
+            value: (args) => args.state === 1,
+        });
+        drone.on('autoTakeOffChange', (enabled) => {
+            expect(enabled).to.equal(true);
+            expect(state).to.have.callCount(1);
+            done();
+        });
+        drone.once('connected', () => transport.notify('fb0f', new Buffer([0x02, 0x01, 0x02, 0x03, 0x03, 0x00, 0x01])));
+        drone.connect();
+    });
+
+    describe('commands', () => {
+        /**
+         * Connects a drone to a fast simulator
+         * @param {Object} options The drone options
+         * @return {Promise} Resolves with the drone and the simulator once connected and configured
+         */
+        const connectSimulator = (options) => new Promise((resolve) => {
+            const transport = new LoopbackTransport();
+            const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 50, takeOffAltitude: 0.1 });
+            const drone = new Drone(Object.assign({ transport }, options));
+            drone.once('limitsApplied', () => resolve({ drone, simulator }));
+            drone.connect();
+        });
+
+        it('should resolve takeOff and land once the drone confirms the flight status', () =>
+            connectSimulator().then(({ drone }) =>
+                drone.takeOff()
+                    .then((status) => {
+                        expect(status).to.equal('hovering');
+                        expect(drone.isFlying()).to.equal(true);
+                        return drone.land();
+                    })
+                    .then((status) => expect(status).to.equal('landed'))
+            )
+        );
+
+        it('should resolve the settings with the value the drone echoes', () =>
+            connectSimulator().then(({ drone }) =>
+                drone.setMaxAltitude(5)
+                    .then((altitude) => {
+                        expect(altitude).to.equal(5);
+                        return drone.setMaxRotationSpeed(1000);
+                    })
+                    .then((speed) => expect(speed).to.equal(360))
+            )
+        );
+
+        it('should resolve trim and animate once the drone confirms them', () =>
+            connectSimulator().then(({ drone }) => {
+                const started = sinon.spy();
+                drone.on('animationStarted', started);
+                return drone.trim().then(() => drone.animate('flipFront')).then(() => {
+                    expect(started).to.have.been.calledWith('flipFront');
+                });
+            })
+        );
+
+        it('should reject an unknown animation', () =>
+            connectSimulator().then(({ drone }) => {
+                const started = sinon.spy();
+                drone.on('animationStarted', started);
+                return drone.animate('barrelRoll').then(() => {
+                    throw new Error('should have been rejected');
+                }, (error) => {
+                    expect(error.message).to.equal('Unknown animation barrelRoll');
+                    expect(started).to.have.callCount(0);
+                });
+            })
+        );
+
+        it('should reject when the drone enters the emergency state', () =>
+            connectSimulator().then(({ drone }) => {
+                const takeOff = drone.takeOff();
+                drone.emergency();
+                return takeOff.then(() => {
+                    throw new Error('should have been rejected');
+                }, (error) => expect(error.message).to.match(/emergency state during takeOff$/));
+            })
+        );
+
+        it('should reject when the drone disconnects', () =>
+            connectSimulator().then(({ drone }) => {
+                const takeOff = drone.takeOff();
+                drone.network.disconnect();
+                return takeOff.then(() => {
+                    throw new Error('should have been rejected');
+                }, (error) => expect(error.message).to.match(/^Disconnected/));
+            })
+        );
+
+        it('should reject when the drone does not confirm in time', (done) => {
+            const transport = new LoopbackTransport();
+            const drone = new Drone({ transport, commandTimeout: 20 });
+            drone.once('connected', () => {
+                drone.takeOff().then(() => done(new Error('should have been rejected')), (error) => {
+                    expect(error.message).to.equal('The drone did not confirm takeOff within 20ms');
+                    // the settings request and then the flight limits time out as well
+                    setTimeout(() => {
+                        expect(drone.listenerCount('flightStatusChange')).to.equal(0);
+                        done();
+                    }, 50);
+                });
+            });
+            drone.connect();
+        });
+
+        it('should send any command from the definitions once acked', () =>
+            connectSimulator().then(({ drone, simulator }) => {
+                const spy = sinon.spy();
+                simulator.on('command', spy);
+                return drone.sendCommand('minidrone', 'PilotingSettings', 'MaxTilt', { current: 20 }).then(() => {
+                    expect(spy).to.have.been.calledWith(sinon.match({ class: 'PilotingSettings', command: 'MaxTilt', args: { current: 20 } }));
+                    expect(simulator.settings.maxTilt).to.equal(20);
+                });
+            })
+        );
+
+        it('should keep the state the drone reports', () =>
+            connectSimulator().then(({ drone }) => {
+                const spy = sinon.spy();
+                drone.on('stateChange', spy);
+                const state = drone.getState();
+                expect(state.connected).to.equal(true);
+                expect(state.battery).to.equal(100);
+                expect(state.flightStatus).to.equal('landed');
+                expect(state.settings.maxRotationSpeed).to.deep.equal({ current: 120, min: 50, max: 360 });
+
+                return drone.setMaxTilt(20).then(() => {
+                    expect(spy).to.have.been.calledWith({ settings: { maxTilt: { current: 20 } } });
+                    expect(drone.getState().settings.maxTilt.current).to.equal(20);
+                });
+            })
+        );
+
+        it('should reject when not connected', () => {
+            const drone = new Drone();
+            return drone.takeOff().then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => expect(error.message).to.equal('Cannot takeOff, not connected to a drone'));
+        });
+    });
+
+    describe('flight limits', () => {
+        const limits = { maxAltitude: 4, maxTilt: 10, maxVerticalSpeed: 0.7, maxRotationSpeed: 90 };
+
+        /**
+         * Creates a drone and a fast simulator sharing a loopback transport
+         * @param {Object} options The drone options
+         * @return {Object} The drone and the simulator, not connected yet
+         */
+        const createSimulated = (options) => {
+            const transport = new LoopbackTransport();
+            const simulator = new SimulatedMiniDrone({ transport, tickMS: 5 });
+            const drone = new Drone(Object.assign({ transport }, options));
+            return { drone, simulator };
+        };
+
+        it('should push the configured limits once connected', (done) => {
+            const { drone, simulator } = createSimulated(limits);
+            drone.once('limitsApplied', (applied) => {
+                expect(applied).to.include({ maxAltitude: 4, maxTilt: 10, maxRotationSpeed: 90 });
+                expect(applied.maxVerticalSpeed).to.be.closeTo(0.7, 0.001);
+                expect(simulator.settings.maxAltitude).to.equal(4);
+                expect(simulator.settings.maxRotationSpeed).to.equal(90);
+                done();
+            });
+            drone.connect();
+        });
+
+        it('should queue the setters called before connecting', () => {
+            const { drone, simulator } = createSimulated(limits);
+            const tilt = drone.setMaxTilt(20);
+            drone.connect();
+            return tilt.then((value) => {
+                expect(value).to.equal(20);
+                expect(simulator.settings.maxTilt).to.equal(20);
+            });
+        });
+
+        it('should clamp the limits to the range the drone reports', (done) => {
+            const { drone, simulator } = createSimulated({ maxAltitude: 25 });
+            drone.once('limitsApplied', (applied) => {
+                expect(applied.maxAltitude).to.equal(10);
+                expect(drone.options.maxAltitude).to.equal(10);
+                drone.setMaxTilt(2).then((tilt) => {
+                    expect(tilt).to.equal(5);
+                    expect(simulator.settings.maxTilt).to.equal(5);
+                    done();
+                }, done);
+            });
+            drone.connect();
+        });
+
+        it('should reject the limits out of range with the reject policy', (done) => {
+            const { drone, simulator } = createSimulated({ rangePolicy: 'reject' });
+            drone.once('limitsApplied', () => {
+                drone.setMaxRotationSpeed(1000).then(() => done(new Error('should have been rejected')), (error) => {
+                    expect(error).to.be.an.instanceof(RangeError);
+                    expect(error.message).to.equal('maxRotationSpeed 1000 is out of the drone\'s range 50 to 360');
+                    expect(drone.options.maxRotationSpeed).to.equal(120);
+                    expect(simulator.settings.maxRotationSpeed).to.equal(120);
+                    done();
+                });
+            });
+            drone.connect();
+        });
+
+        it('should fire the events once when the same drone connects again', () => {
+            const { drone } = createSimulated();
+            const connected = sinon.spy();
+            const applied = sinon.spy();
+            drone.on('connected', connected);
+            drone.on('limitsApplied', applied);
+            const connect = () => new Promise((resolve) => {
+                drone.once('limitsApplied', resolve);
+                drone.connect();
+            });
+            return connect()
+                .then(() => {
+                    const network = drone.network;
+                    drone.disconnect();
+                    return connect().then(() => expect(drone.network).to.equal(network));
+                })
+                .then(() => {
+                    expect(connected).to.have.callCount(2);
+                    expect(applied).to.have.callCount(2);
+                    expect(drone.getTransport().listenerCount('data')).to.equal(1);
+                    drone.disconnect();
+                });
+        });
+
+        it('should forget the ranges of the previous drone on a new connection', () => {
+            const { drone } = createSimulated();
+            drone.state.update({
+                settings: { maxAltitude: { current: 2, min: 0.5, max: 2 } },
+                position: { x: 120, y: 0, z: 80, psi: 0, ts: 10 },
+            });
+            drone.connect();
+            expect(drone.getState().settings.maxAltitude).to.deep.equal({ current: null, min: null, max: null });
+            expect(drone.getState().position.x).to.equal(null);
+            return new Promise((resolve) => drone.once('limitsApplied', resolve))
+                .then(() => drone.setMaxAltitude(4))
+                .then((altitude) => {
+                    expect(altitude).to.equal(4);
+                    drone.disconnect();
+                });
+        });
+
+        it('should apply the limits again after a reconnection', (done) => {
+            const { drone, simulator } = createSimulated(Object.assign({ reconnectDelay: 5 }, limits));
+            drone.once('limitsApplied', () => {
+                // the link drops, the drone restarts with its default settings
+                drone.getTransport().disconnect();
+                simulator.reset();
+                expect(simulator.settings.maxAltitude).to.equal(2);
+
+                drone.once('limitsApplied', () => {
+                    expect(simulator.settings.maxAltitude).to.equal(4);
+                    done();
+                });
+            });
+            drone.connect();
+        });
+    });
+
+    describe('reconnection', () => {
+        /**
+         * Connects a drone to a fast simulator and takes off
+         * @param {Object} options The drone options
+         * @return {Promise} Resolves with the hovering drone, its simulator and transport
+         */
+        const takeOffSimulator = (options) => new Promise((resolve) => {
+            const transport = new LoopbackTransport();
+            const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 20, takeOffAltitude: 0.1 });
+            const drone = new Drone(Object.assign({ transport, reconnectDelay: 5 }, options));
+            drone.once('limitsApplied', () => drone.takeOff().then(() => resolve({ drone, simulator, transport })));
+            drone.connect();
+        });
+
+        it('should reconnect to the same drone and hover once the link is back', () =>
+            takeOffSimulator().then(({ drone, transport }) => new Promise((resolve) => {
+                const reconnecting = sinon.spy();
+                const connect = sinon.spy(transport, 'connect');
+                drone.on('reconnecting', reconnecting);
+                drone.setFlightParams({ pitch: 50, yaw: 20 });
+                drone.once('reconnected', (result) => {
+                    expect(result).to.deep.equal({ attempts: 1 });
+                    expect(reconnecting).to.have.been.calledWith({ attempt: 1, delay: 5 });
+                    expect(connect).to.have.been.calledWith('loopback');
+                    expect(drone.flightParams).to.deep.equal({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+                    resolve();
+                });
+                transport.disconnect();
+            }))
+        );
+
+        it('should keep flying the flight params with the resume policy', () =>
+            takeOffSimulator({ linkLossPolicy: 'resume' }).then(({ drone, transport }) => new Promise((resolve) => {
+                drone.setFlightParams({ pitch: 50 });
+                drone.once('reconnected', () => {
+                    expect(drone.flightParams.pitch).to.equal(50);
+                    resolve();
+                });
+                transport.disconnect();
+            }))
+        );
+
+        it('should back off between attempts and give up', (done) => {
+            const transport = new LoopbackTransport();
+            const drone = new Drone({ transport, reconnectAttempts: 3, reconnectDelay: 5, reconnectTimeout: 5 });
+            const reconnecting = sinon.spy();
+            drone.on('reconnecting', reconnecting);
+            drone.once('connected', () => {
+                // the drone is gone
+                transport.connect = sinon.spy();
+                transport.disconnect();
+            });
+            drone.once('reconnectFailed', (result) => {
+                expect(result).to.deep.equal({ attempts: 3 });
+                expect(reconnecting.args.map((args) => args[0].delay)).to.deep.equal([5, 10, 20]);
+                expect(transport.connect).to.have.callCount(3);
+                done();
+            });
+            drone.connect();
+        });
+
+        it('should not reconnect after disconnect()', (done) => {
+            const transport = new LoopbackTransport();
+            const drone = new Drone({ transport, reconnectDelay: 5 });
+            const reconnecting = sinon.spy();
+            drone.on('reconnecting', reconnecting);
+            drone.once('connected', () => {
+                drone.disconnect();
+                setTimeout(() => {
+                    expect(reconnecting).to.have.callCount(0);
+                    expect(transport.connected).to.equal(false);
+                    done();
+                }, 30);
+            });
+            drone.connect();
+        });
+
+        it('should surface the link errors as error events', () => {
+            const transport = new LoopbackTransport();
+            const drone = new Drone({ transport });
+            drone.connect();
+            // nothing listens yet, logged only
+            transport.emit('error', new Error('Connection refused'));
+
+            const error = sinon.spy();
+            drone.on('error', error);
+            transport.emit('error', new Error('Connection refused'));
+            expect(error).to.have.callCount(1);
+            expect(error.args[0][0].message).to.equal('Connection refused');
+        });
+    });
+
+    describe('watchdog', () => {
+        let clock;
+
+        /**
+         * Creates a flying drone with a stand-in network adapter
+         * @param {Object} options The drone options
+         * @return {Drone} The drone
+         */
+        const createFlying = (options) => {
+            const drone = new Drone(Object.assign({ updateMS: 100 }, options));
+            drone.network = { connected: true, flightStatus: 'flying', writeFlightParams: sinon.spy() };
+            drone.land = sinon.spy();
+            return drone;
+        };
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('should zero the stale flight params to hover', () => {
+            const drone = createFlying({ watchdogTimeout: 500 });
+            const triggered = sinon.spy();
+            drone.on('watchdogTriggered', triggered);
+            drone.setFlightParams({ pitch: 60, yaw: -20 });
+
+            clock.tick(400);
+            expect(drone.network.writeFlightParams).to.have.been.calledWith({ roll: 0, pitch: 60, yaw: -20, altitude: 0 });
+            expect(triggered).to.have.callCount(0);
+
+            clock.tick(100);
+            expect(drone.flightParams).to.deep.equal({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+            expect(drone.network.writeFlightParams.lastCall).to.have.been.calledWith(drone.flightParams);
+            expect(triggered).to.have.been.calledWith({ action: 'hover', idle: 500 });
+
+            clock.tick(1000);
+            expect(triggered).to.have.callCount(1);
+            expect(drone.land).to.have.callCount(0);
+        });
+
+        it('should restart on every new input', () => {
+            const drone = createFlying({ watchdogTimeout: 500 });
+            const triggered = sinon.spy();
+            drone.on('watchdogTriggered', triggered);
+            for (let i = 0; i < 5; i += 1) {
+                drone.setFlightParams({ roll: 30 });
+                clock.tick(300);
+            }
+            expect(triggered).to.have.callCount(0);
+            expect(drone.flightParams.roll).to.equal(30);
+        });
+
+        it('should land after the longer timeout', () => {
+            const drone = createFlying({ watchdogTimeout: 500, watchdogLandTimeout: 2000 });
+            const triggered = sinon.spy();
+            drone.on('watchdogTriggered', triggered);
+            drone.setFlightParams({ altitude: 50 });
+
+            clock.tick(2000);
+            expect(triggered).to.have.callCount(2);
+            expect(triggered.secondCall).to.have.been.calledWith({ action: 'land', idle: 2000 });
+            expect(drone.land).to.have.callCount(1);
+
+            clock.tick(2000);
+            expect(drone.land).to.have.callCount(1);
+        });
+
+        it('should stay disabled by default', () => {
+            const drone = createFlying();
+            drone.setFlightParams({ pitch: 60 });
+            clock.tick(60000);
+            expect(drone.flightParams.pitch).to.equal(60);
+            expect(drone.land).to.have.callCount(0);
+        });
+    });
 });
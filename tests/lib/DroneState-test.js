@@ -0,0 +1,71 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const DroneState = require('./../../lib/DroneState');
+chai.use(SinonChai);
+
+describe('DroneState', () => {
+    it('should start with an unknown state', () => {
+        const state = new DroneState();
+        const snapshot = state.snapshot();
+        expect(snapshot.connected).to.equal(false);
+        expect(snapshot.battery).to.equal(null);
+        expect(snapshot.settings.maxTilt).to.deep.equal({ current: null, min: null, max: null });
+    });
+
+    it('should update the state from the decoded commands', () => {
+        const state = new DroneState();
+        state.apply({ project: 'common', class: 'CommonState', command: 'BatteryStateChanged', args: { percent: 87 } });
+        state.apply({ project: 'minidrone', class: 'PilotingState', command: 'FlyingStateChanged', args: { state: 'takingoff' } });
+        state.apply({
+            project: 'minidrone',
+            class: 'PilotingSettingsState',
+            command: 'MaxAltitudeChanged',
+            args: { current: 3, min: 2, max: 10 },
+        });
+
+        const snapshot = state.snapshot();
+        expect(snapshot.battery).to.equal(87);
+        expect(snapshot.flightStatus).to.equal('taking off');
+        expect(snapshot.settings.maxAltitude).to.deep.equal({ current: 3, min: 2, max: 10 });
+    });
+
+    it('should fire the values that changed only', () => {
+        const state = new DroneState();
+        const spy = sinon.spy();
+        state.on('stateChange', spy);
+        const position = {
+            project: 'minidrone',
+            class: 'NavigationDataState',
+            command: 'DronePosition',
+            args: { posx: 10, posy: 0, posz: 50, psi: 0, ts: 100 },
+        };
+
+        state.apply(position);
+        position.args = { posx: 10, posy: 0, posz: 60, psi: 0, ts: 300 };
+        state.apply(position);
+        state.apply(position);
+        expect(spy).to.have.callCount(2);
+        expect(spy.secondCall.args[0]).to.deep.equal({ position: { z: 60, ts: 300 } });
+    });
+
+    it('should ignore the commands it does not model', () => {
+        const state = new DroneState();
+        const spy = sinon.spy();
+        state.on('stateChange', spy);
+
+        const diff = state.apply({ project: 'minidrone', class: 'PilotingState', command: 'AutoTakeOffModeChanged', args: { state: 1 } });
+        expect(diff).to.deep.equal({});
+        expect(spy).to.have.callCount(0);
+    });
+
+    it('should return snapshots the caller cannot modify', () => {
+        const state = new DroneState();
+        state.update({ product: { serial: { high: '0123' } } });
+        const snapshot = state.snapshot();
+        snapshot.product.serial.high = 'changed';
+        expect(state.snapshot().product.serial).to.deep.equal({ high: '0123', low: null });
+    });
+});
@@ -0,0 +1,146 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const Failsafe = require('./../../lib/Failsafe');
+const Drone = require('./../../lib/Drone');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+/**
+ * Creates a stand-in for the drone, its state changes with setState()
+ * @return {EventEmitter} The fake drone
+ */
+const createDrone = () => {
+    const drone = new EventEmitter();
+    let state = { battery: null, alertState: null };
+    drone.getState = () => state;
+    drone.setState = (patch) => {
+        state = Object.assign({}, state, patch);
+        drone.emit('stateChange', patch);
+    };
+    drone.overrideLimit = sinon.spy((name, value) => Promise.resolve(value));
+    drone.restoreLimit = sinon.spy(() => Promise.resolve(null));
+    drone.land = sinon.spy(() => Promise.resolve('landed'));
+    return drone;
+};
+
+describe('Failsafe', () => {
+    it('should limit the altitude and vertical speed on low battery, once', () => {
+        const drone = createDrone();
+        const failsafe = new Failsafe(drone);
+        const triggered = sinon.spy();
+        drone.on('failsafeTriggered', triggered);
+
+        drone.setState({ battery: 21 });
+        drone.setState({ battery: 20 });
+        drone.setState({ battery: 19 });
+        expect(triggered).to.have.callCount(1);
+        expect(triggered).to.have.been.calledWith({ name: 'lowBattery', battery: 20, alertState: null });
+        expect(failsafe.active.lowBattery).to.equal(true);
+        return Promise.resolve().then(() => {
+            expect(drone.overrideLimit).to.have.been.calledWith('maxAltitude', 2);
+            expect(drone.overrideLimit).to.have.been.calledWith('maxVerticalSpeed', 0.5);
+        });
+    });
+
+    it('should restore the limits once the battery is no longer low', () => {
+        const drone = createDrone();
+        const failsafe = new Failsafe(drone);
+        drone.setState({ battery: 18 });
+        drone.setState({ battery: 17 });
+        expect(drone.restoreLimit).to.have.callCount(0);
+        drone.setState({ battery: 100 });
+        expect(failsafe.active.lowBattery).to.equal(false);
+        return Promise.resolve().then(() => {
+            expect(drone.restoreLimit).to.have.callCount(2);
+            expect(drone.restoreLimit).to.have.been.calledWith('maxAltitude');
+            expect(drone.restoreLimit).to.have.been.calledWith('maxVerticalSpeed');
+        });
+    });
+
+    it('should land on critical battery', () => {
+        const drone = createDrone();
+        const failsafe = new Failsafe(drone);
+        drone.setState({ battery: 5, alertState: 'critical_battery' });
+        expect(failsafe.active.criticalBattery).to.equal(true);
+        return Promise.resolve().then(() => expect(drone.land).to.have.callCount(1));
+    });
+
+    it('should refuse takeOff below 15%', () => {
+        const drone = createDrone();
+        const failsafe = new Failsafe(drone);
+        const triggered = sinon.spy();
+        drone.on('failsafeTriggered', triggered);
+
+        drone.setState({ battery: 16 });
+        expect(failsafe.refusal('takeOff')).to.equal(null);
+        drone.setState({ battery: 15 });
+        expect(failsafe.refusal('land')).to.equal(null);
+        expect(failsafe.refusal('takeOff')).to.equal('takeOffBattery');
+        expect(triggered.lastCall).to.have.been.calledWith({ name: 'takeOffBattery', battery: 15, alertState: null, command: 'takeOff' });
+    });
+
+    it('should replace and disable rules by name', () => {
+        const drone = createDrone();
+        const action = sinon.spy();
+        const failsafe = new Failsafe(drone, {
+            lowBattery: { when: (state) => state.battery <= 30, action },
+            takeOffBattery: null,
+        });
+        drone.setState({ battery: 10 });
+        expect(action).to.have.callCount(0);
+        expect(failsafe.refusal('takeOff')).to.equal(null);
+        return Promise.resolve().then(() => {
+            expect(action).to.have.been.calledWith(drone);
+            expect(drone.overrideLimit).to.have.callCount(0);
+        });
+    });
+
+    it('should keep going when an action fails', () => {
+        const drone = createDrone();
+        drone.land = () => Promise.reject(new Error('Cannot land, not connected to a drone'));
+        const failsafe = new Failsafe(drone);
+        expect(() => drone.setState({ alertState: 'critical_battery' })).to.not.throw();
+        expect(failsafe.active.criticalBattery).to.equal(true);
+    });
+
+    it('should refuse to take off with a low simulated battery', (done) => {
+        const transport = new LoopbackTransport();
+        const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, battery: 10 });
+        const drone = new Drone({ transport });
+        drone.once('limitsApplied', () => {
+            drone.takeOff().then(() => done(new Error('should have been rejected')), (error) => {
+                expect(error.message).to.equal('Cannot takeOff, refused by the takeOffBattery failsafe');
+                expect(simulator.flightStatus).to.equal('landed');
+                done();
+            });
+        });
+        drone.connect();
+    });
+
+    it('should keep the configured limits and write them again once the battery is no longer low', (done) => {
+        const transport = new LoopbackTransport();
+        const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, battery: 50 });
+        const drone = new Drone({ transport, maxAltitude: 5, maxVerticalSpeed: 1 });
+        drone.once('limitsApplied', () => {
+            drone.once('maxVerticalSpeedChange', () => {
+                expect(simulator.settings.maxAltitude).to.equal(2);
+                expect(simulator.settings.maxVerticalSpeed).to.equal(0.5);
+                expect(drone.options.maxAltitude).to.equal(5);
+                expect(drone.options.maxVerticalSpeed).to.equal(1);
+                drone.once('maxVerticalSpeedChange', () => {
+                    expect(simulator.settings.maxAltitude).to.equal(5);
+                    expect(simulator.settings.maxVerticalSpeed).to.equal(1);
+                    done();
+                });
+                drone.state.update({ battery: 60 });
+            });
+            drone.state.update({ battery: 19 });
+        });
+        drone.connect();
+    });
+});
@@ -0,0 +1,149 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const Fleet = require('./../../lib/Fleet');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+/**
+ * Creates a stand-in for the noble singleton, already powered on
+ * @return {EventEmitter} The fake noble
+ */
+const createNoble = () => {
+    const noble = new EventEmitter();
+    noble.state = 'poweredOn';
+    noble.startScanning = sinon.spy();
+    noble.stopScanning = sinon.spy();
+    return noble;
+};
+
+/**
+ * Creates a peripheral advertising a drone
+ * @param {String} id The peripheral id
+ * @param {String} localName The advertised name
+ * @return {Object} The fake peripheral
+ */
+const createPeripheral = (id, localName) => ({
+    id,
+    rssi: -55,
+    advertisement: { localName, manufacturerData: null },
+    connect: sinon.spy(),
+});
+
+/**
+ * Adds a drone flying a fast simulator to the fleet
+ * @param {Fleet} fleet The fleet
+ * @param {String} name The drone name
+ * @return {SimulatedMiniDrone} The simulator
+ */
+const addSimulated = (fleet, name) => {
+    const transport = new LoopbackTransport();
+    const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 50, takeOffAltitude: 0.1 });
+    fleet.add({ name, transport });
+    return simulator;
+};
+
+describe('Fleet', () => {
+    it('should connect all its drones and fly them together', () => {
+        const fleet = new Fleet();
+        addSimulated(fleet, 'alpha');
+        addSimulated(fleet, 'bravo');
+        const connected = sinon.spy();
+        fleet.on('connected', connected);
+
+        return fleet.connect()
+            .then(() => {
+                expect(connected).to.have.been.calledWith('alpha');
+                expect(connected).to.have.been.calledWith('bravo');
+                return fleet.takeOff();
+            })
+            .then((results) => {
+                expect(results).to.deep.equal({ alpha: 'hovering', bravo: 'hovering' });
+                const states = fleet.getState();
+                expect(states.alpha.flightStatus).to.equal('hovering');
+                expect(states.bravo.flightStatus).to.equal('hovering');
+                return fleet.land();
+            })
+            .then((results) => expect(results).to.deep.equal({ alpha: 'landed', bravo: 'landed' }));
+    });
+
+    it('should reject the connection with the drones not found in time', () => {
+        const noble = createNoble();
+        const fleet = new Fleet({ noble });
+        addSimulated(fleet, 'alpha');
+        const lost = fleet.add({ id: 'f6' });
+        const listeners = lost.listenerCount('connected');
+
+        return fleet.connect({ timeout: 100 }).then(() => {
+            throw new Error('should have been rejected');
+        }, (error) => {
+            expect(error.message).to.equal('Drones not found within 100ms: f6');
+            expect(error.missing).to.deep.equal(['f6']);
+            expect(fleet.get('alpha').network.connected).to.equal(true);
+            expect(lost.listenerCount('connected')).to.equal(listeners);
+            expect(noble.stopScanning).to.have.callCount(1);
+            fleet.disconnect();
+        });
+    });
+
+    it('should reject a group command with the drones that failed', () => {
+        const fleet = new Fleet({ droneOptions: { commandTimeout: 1000 } });
+        addSimulated(fleet, 'alpha');
+        const silent = fleet.add({ name: 'silent', transport: new LoopbackTransport(), commandTimeout: 20 });
+        expect(silent.options.commandTimeout).to.equal(20);
+
+        return fleet.connect()
+            .then(() => fleet.takeOff())
+            .then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => {
+                expect(error.message).to.equal('takeOff failed for silent (The drone did not confirm takeOff within 20ms)');
+                expect(error.results.alpha).to.equal('hovering');
+            });
+    });
+
+    it('should not accept two drones with the same name', () => {
+        const fleet = new Fleet();
+        fleet.add({ name: 'alpha', transport: new LoopbackTransport() });
+        expect(() => fleet.add({ name: 'alpha', transport: new LoopbackTransport() }))
+            .to.throw('The fleet already has a drone named alpha');
+    });
+
+    it('should route each peripheral to the drone that wants it', () => {
+        const noble = createNoble();
+        const fleet = new Fleet({ noble });
+        const first = fleet.add({ id: 'a1' });
+        const any = fleet.add({ name: 'any' });
+        const peripherals = [createPeripheral('b2', 'Mambo_2'), createPeripheral('a1', 'Mambo_1'), createPeripheral('c3', 'Mambo_3')];
+
+        fleet.connect();
+        peripherals.forEach((peripheral) => noble.emit('discover', peripheral));
+        expect(fleet.get('a1')).to.equal(first);
+        expect(first.getTransport().peripheral).to.equal(peripherals[1]);
+        expect(any.getTransport().peripheral).to.equal(peripherals[0]);
+        expect(peripherals[2].connect).to.have.callCount(0);
+        expect(noble.listenerCount('discover')).to.equal(1);
+        expect(noble.stopScanning).to.have.callCount(1);
+    });
+
+    it('should scan without taking the peripherals away from its drones', () => {
+        const clock = sinon.useFakeTimers();
+        const noble = createNoble();
+        const fleet = new Fleet({ noble });
+        const drone = fleet.add({ name: 'alpha' });
+        const peripheral = createPeripheral('a1', 'Mambo_1');
+
+        const scan = fleet.scan({ timeout: 1000 });
+        fleet.connect();
+        noble.emit('discover', peripheral);
+        clock.tick(1000);
+        clock.restore();
+
+        expect(drone.getTransport().peripheral).to.equal(peripheral);
+        return scan.then((drones) => expect(drones.map((found) => found.id)).to.deep.equal(['a1']));
+    });
+});
@@ -0,0 +1,121 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const FlightAnalytics = require('./../../lib/FlightAnalytics');
+const ReplaySource = require('./../../lib/ReplaySource');
+const Drone = require('./../../lib/Drone');
+chai.use(SinonChai);
+
+describe('FlightAnalytics', () => {
+    let drone;
+    let time;
+    let analytics;
+
+    /**
+     * Fires the events of a short flight
+     * @param {String} end The status ending it
+     * @return {undefined}
+     */
+    const fly = (end) => {
+        drone.emit('batteryStatusChange', 90);
+        drone.emit('dronePositionChange', { x: 0, y: 0, z: 0, psi: 0 });
+        drone.emit('flightStatusChange', 'taking off');
+        time += 2000;
+        drone.emit('dronePositionChange', { x: 0, y: 0, z: 100, psi: 0 });
+        drone.emit('droneSpeedChange', { x: 0.3, y: 0, z: 0.4 });
+        drone.emit('flightStatusChange', 'hovering');
+        drone.emit('command', { project: 'minidrone', class: 'Animations', command: 'Flip', args: { direction: 'front' } });
+        drone.emit('animationStarted', 'flipFront');
+        drone.emit('alertStateChange', 'low_battery');
+        time += 8000;
+        drone.emit('dronePositionChange', { x: 300, y: 400, z: 100, psi: 0 });
+        drone.emit('batteryStatusChange', 84);
+        drone.emit('alertStateChange', 'none');
+        drone.emit('flightStatusChange', 'landing');
+        time += 2500;
+        drone.emit('dronePositionChange', { x: 300, y: 400, z: 0, psi: 0 });
+        drone.emit('flightStatusChange', end);
+    };
+
+    beforeEach(() => {
+        drone = new Drone();
+        time = Date.UTC(2026, 9, 19, 9, 30);
+        analytics = new FlightAnalytics(drone, { pilot: 'Ada', clock: () => time });
+        analytics.start();
+    });
+
+    afterEach(() => {
+        analytics.stop();
+    });
+
+    it('should sum each flight up', () => {
+        const flight = sinon.spy();
+        analytics.on('flight', flight);
+        fly('landed');
+        expect(flight).to.have.callCount(1);
+        expect(analytics.getFlights()).to.deep.equal([{
+            pilot: 'Ada',
+            flight: 1,
+            startedAt: '2026-10-19T09:30:00.000Z',
+            duration: 12.5,
+            maxAltitude: 1,
+            meanAltitude: 0.67,
+            distance: 7,
+            maxSpeed: 0.5,
+            batteryUsed: 6,
+            alerts: ['low_battery'],
+            flips: 1,
+            end: 'landed',
+        }]);
+    });
+
+    it('should end the flights on an emergency and ignore what happens on the ground', () => {
+        fly('emergency');
+        drone.emit('animationStarted', 'flipBack');
+        drone.emit('flightStatusChange', 'landed');
+        fly('landed');
+        const report = analytics.toJSON();
+        expect(report.flights.map((flight) => flight.end)).to.deep.equal(['emergency', 'landed']);
+        expect(report.flights[1].flight).to.equal(2);
+        expect(report.totals).to.deep.equal({ flights: 2, duration: 25, distance: 14, batteryUsed: 12, flips: 2, emergencies: 1 });
+    });
+
+    it('should export the flights as CSV', () => {
+        fly('landed');
+        const other = Object.assign({}, analytics.getFlights()[0], { pilot: 'Grace, "G"', alerts: [], maxSpeed: null });
+        expect(analytics.toCSV().split('\n')).to.deep.equal([
+            'pilot,flight,startedAt,duration_s,max_altitude_m,mean_altitude_m,distance_m,max_speed_ms,battery_used,alerts,flips,end',
+            'Ada,1,2026-10-19T09:30:00.000Z,12.5,1,0.67,7,0.5,6,low_battery,1,landed',
+        ]);
+        expect(FlightAnalytics.toCSV(analytics.getFlights().concat([other])).split('\n')[2])
+            .to.equal('"Grace, ""G""",1,2026-10-19T09:30:00.000Z,12.5,1,0.67,7,,6,,1,landed');
+    });
+
+    it('should sum up the flights of a log played back', () => {
+        const clock = sinon.useFakeTimers();
+        const replayed = new Drone();
+        const replay = new ReplaySource(replayed, {
+            speed: 100,
+            records: [
+                { t: 0, type: 'session', startedAt: '2026-10-19T08:00:00.000Z', drone: {}, settings: {} },
+                { t: 1000, type: 'event', event: 'batteryStatusChange', data: 70 },
+                { t: 1000, type: 'event', event: 'flightStatusChange', data: 'taking off' },
+                { t: 3000, type: 'command', command: 'minidrone.Animations.Flip', args: { direction: 'left' } },
+                { t: 3050, type: 'event', event: 'animationStarted', data: 'flipLeft' },
+                { t: 9000, type: 'command', command: 'minidrone.Animations.Flip', args: { direction: 'right' } },
+                { t: 61000, type: 'event', event: 'batteryStatusChange', data: 61 },
+                { t: 61000, type: 'event', event: 'flightStatusChange', data: 'landed' },
+            ],
+        });
+        const student = new FlightAnalytics(replayed, { clock: () => replay.getTime() });
+        student.start();
+        const end = replay.start();
+        clock.tick(700);
+        clock.restore();
+        return end.then(() => {
+            expect(student.getFlights()[0]).to.include({ startedAt: '2026-10-19T08:00:01.000Z', duration: 60, batteryUsed: 9, flips: 1 });
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const Geofence = require('./../../lib/Geofence');
+const Drone = require('./../../lib/Drone');
+chai.use(SinonChai);
+
+/**
+ * A reported position, in cm and degrees
+ * @param {Float} x Forward at takeoff
+ * @param {Float} y Right at takeoff
+ * @param {Float} z Altitude
+ * @param {Float} psi Heading
+ * @return {Object} The position
+ */
+const at = (x, y, z, psi) => ({ x, y, z, psi: psi || 0, ts: 0 });
+
+describe('Geofence', () => {
+    it('should tell the positions inside the walls', () => {
+        const geofence = new Geofence({ radius: 2, height: 2 });
+        expect(geofence.contains(at(100, 100, 100))).to.equal(true);
+        expect(geofence.contains(at(200, 150, 50))).to.equal(false);
+        expect(geofence.contains(at(0, 0, 250))).to.equal(false);
+        expect(geofence.contains(at(null, null, null))).to.equal(true);
+    });
+
+    it('should leave the inputs away from the walls', () => {
+        const geofence = new Geofence();
+        const params = { roll: 20, pitch: 50, yaw: 10, altitude: 30 };
+        expect(geofence.limit(params, at(0, 0, 100))).to.deep.equal(params);
+        expect(geofence.limit(params, at(null, null, null))).to.equal(params);
+    });
+
+    it('should fade out the inputs towards a wall within the margin', () => {
+        const geofence = new Geofence({ radius: 2, margin: 0.5 });
+        expect(geofence.limit({ roll: 40, pitch: 80 }, at(175, 0, 100))).to.deep.equal({ roll: 40, pitch: 40, yaw: 0, altitude: 0 });
+        expect(geofence.limit({ pitch: -80 }, at(175, 0, 100)).pitch).to.equal(-80);
+    });
+
+    it('should push the drone back past a wall', () => {
+        const geofence = new Geofence({ radius: 2, returnSpeed: 30 });
+        expect(geofence.limit({ pitch: 80 }, at(210, 0, 100)).pitch).to.equal(-30);
+        expect(geofence.limit({ pitch: -50 }, at(210, 0, 100)).pitch).to.equal(-50);
+    });
+
+    it('should account for the heading', () => {
+        const geofence = new Geofence({ radius: 2, margin: 0.5 });
+        // facing right, rolling left flies forward
+        expect(geofence.limit({ roll: -80, pitch: 60 }, at(175, 0, 100, 90))).to.deep.equal({ roll: -40, pitch: 60, yaw: 0, altitude: 0 });
+    });
+
+    it('should limit the altitude under the ceiling', () => {
+        const geofence = new Geofence({ height: 2, margin: 0.5 });
+        expect(geofence.limit({ altitude: 60 }, at(0, 0, 190)).altitude).to.equal(12);
+        expect(geofence.limit({ altitude: -60 }, at(0, 0, 190)).altitude).to.equal(-60);
+    });
+
+    it('should keep the drone in a box', () => {
+        const geofence = new Geofence({ shape: 'box', x: [-1, 1], y: [-3, 3], z: [0.5, 2] });
+        expect(geofence.limit({ pitch: -50 }, at(-110, 0, 100)).pitch).to.equal(30);
+        expect(geofence.limit({ roll: 50 }, at(0, 250, 100)).roll).to.equal(50);
+        expect(geofence.limit({ altitude: -50 }, at(0, 0, 40)).altitude).to.equal(30);
+        expect(geofence.contains(at(0, 0, 40))).to.equal(false);
+    });
+
+    it('should throw on an unknown shape', () => {
+        expect(() => new Geofence({ shape: 'sphere' })).to.throw('Unknown geofence shape sphere, expected one of cylinder, box');
+    });
+
+    describe('drone', () => {
+        /**
+         * Creates a flying drone with a stand-in network adapter
+         * @param {Object} geofence The geofence options
+         * @return {Drone} The drone
+         */
+        const createFlying = (geofence) => {
+            const drone = new Drone({ geofence });
+            drone.network = { connected: true, flightStatus: 'flying', writeFlightParams: sinon.spy() };
+            drone.land = sinon.spy();
+            return drone;
+        };
+
+        it('should hover once past a wall and push back the inputs', () => {
+            const drone = createFlying({ radius: 1 });
+            const breach = sinon.spy();
+            drone.on('geofenceBreach', breach);
+            drone.setFlightParams({ pitch: 80 });
+
+            drone.state.update({ position: at(150, 0, 100) });
+            drone.state.update({ position: at(155, 0, 100) });
+            expect(breach).to.have.callCount(1);
+            expect(breach.args[0][0].action).to.equal('hover');
+            expect(drone.flightParams).to.deep.equal({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+
+            drone.setFlightParams({ pitch: 80 });
+            drone.eventLoop();
+            expect(drone.network.writeFlightParams).to.have.been.calledWith({ roll: 0, pitch: -30, yaw: 0, altitude: 0 });
+            expect(drone.land).to.have.callCount(0);
+        });
+
+        it('should land once past a wall with the land action', () => {
+            const drone = createFlying({ shape: 'box', x: [-1, 1], y: [-1, 1], breachAction: 'land' });
+            drone.state.update({ position: at(0, -120, 100) });
+            expect(drone.land).to.have.callCount(1);
+
+            // back inside then out again
+            drone.state.update({ position: at(0, 0, 100) });
+            drone.state.update({ position: at(0, 120, 100) });
+            expect(drone.land).to.have.callCount(2);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const InputShaper = require('./../../lib/InputShaper');
+const Drone = require('./../../lib/Drone');
+chai.use(SinonChai);
+
+describe('InputShaper', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should pass the inputs through by default', () => {
+        const shaper = new InputShaper();
+        const params = { roll: 7, pitch: -63, yaw: 100, altitude: -1 };
+        expect(shaper.shape(params)).to.deep.equal(params);
+        expect(shaper.shape({ roll: 150 }).roll).to.equal(100);
+    });
+
+    it('should ignore the inputs within the deadzone and keep the response continuous', () => {
+        const shaper = new InputShaper({ pitch: { deadzone: 10 } });
+        expect(shaper.shapeValue('pitch', 8)).to.equal(0);
+        expect(shaper.shapeValue('pitch', -10)).to.equal(0);
+        expect(shaper.shapeValue('pitch', 55)).to.equal(50);
+        expect(shaper.shapeValue('pitch', -100)).to.equal(-100);
+        expect(shaper.shapeValue('roll', 8)).to.equal(8);
+    });
+
+    it('should soften the center with the expo curve', () => {
+        const shaper = new InputShaper({ yaw: { expo: 0.5 } });
+        expect(shaper.shapeValue('yaw', 50)).to.be.closeTo(31.25, 0.001);
+        expect(shaper.shapeValue('yaw', -50)).to.be.closeTo(-31.25, 0.001);
+        expect(shaper.shapeValue('yaw', 100)).to.equal(100);
+    });
+
+    it('should scale and trim the inputs', () => {
+        const shaper = new InputShaper({ roll: { scale: 0.5, trim: -4 } });
+        expect(shaper.shapeValue('roll', 0)).to.equal(-4);
+        expect(shaper.shapeValue('roll', 60)).to.equal(26);
+        expect(shaper.shapeValue('roll', -100)).to.equal(-54);
+    });
+
+    it('should limit the rate of change', () => {
+        const shaper = new InputShaper({ altitude: { rate: 200 } });
+        expect(shaper.shape({ altitude: 100 }).altitude).to.equal(0);
+        clock.tick(100);
+        expect(shaper.shape({ altitude: 100 }).altitude).to.equal(20);
+        clock.tick(400);
+        expect(shaper.shape({ altitude: 100 }).altitude).to.equal(100);
+        clock.tick(100);
+        expect(shaper.shape({ altitude: -100 }).altitude).to.equal(80);
+    });
+
+    it('should apply the beginner preset under the axis options', () => {
+        const shaper = new InputShaper({ preset: 'beginner', yaw: { scale: 1 } });
+        expect(shaper.axes.pitch).to.deep.equal({ deadzone: 5, expo: 0.5, rate: 150, scale: 0.5, trim: 0 });
+        expect(shaper.axes.yaw.scale).to.equal(1);
+        expect(shaper.shapeValue('pitch', 100)).to.equal(50);
+        expect(() => new InputShaper({ preset: 'expert' })).to.throw('Unknown input shaping preset expert, expected one of none, beginner');
+    });
+
+    it('should shape the flight params the drone sends', () => {
+        const drone = new Drone({ updateMS: 100, inputShaping: { pitch: { scale: 0.5, trim: 2 } } });
+        drone.network = { connected: true, writeFlightParams: sinon.spy() };
+        drone.setFlightParams({ pitch: 80, roll: 10 });
+        clock.tick(100);
+        expect(drone.network.writeFlightParams).to.have.been.calledWith({ roll: 10, pitch: 42, yaw: 0, altitude: 0 });
+        expect(drone.flightParams.pitch).to.equal(80);
+
+        drone.setInputShaping({ preset: 'none' });
+        clock.tick(100);
+        expect(drone.network.writeFlightParams.lastCall).to.have.been.calledWith({ roll: 10, pitch: 80, yaw: 0, altitude: 0 });
+    });
+});
@@ -0,0 +1,143 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const PassThrough = require('stream').PassThrough;
+const JoystickController = require('./../../lib/JoystickController');
+chai.use(SinonChai);
+
+// A DualShock 4 recorded from /dev/input/js0: the initial state of two buttons
+// and two axes, the left stick pushed up and right, triangle pressed and released
+const RECORDING = [
+    'e803000000008100',
+    'e803000000008102',
+    'e803000000008200',
+    'e803000000008201',
+    'f807000000c00201',
+    '0808000001800201',
+    '3408000000200200',
+    'b80b000001000102',
+    '300c000000000102',
+    'ac0d000000000201',
+].join('');
+
+/**
+ * Creates a stand-in for the drone
+ * @return {Object} The fake drone
+ */
+const createDrone = () => ({
+    setFlightParams: sinon.spy(),
+    takeoffOrLand: sinon.spy(() => Promise.resolve('hovering')),
+    emergency: sinon.spy(() => Promise.resolve()),
+    animate: sinon.spy(() => Promise.resolve()),
+});
+
+describe('JoystickController', () => {
+    it('should decode the joystick events', () => {
+        const events = JoystickController.parseEvents(new Buffer(RECORDING, 'hex'));
+        expect(events).to.have.length(10);
+        expect(events[1]).to.deep.equal({ time: 1000, type: 'button', number: 2, value: 0, init: true });
+        expect(events[5]).to.deep.equal({ time: 2056, type: 'axis', number: 1, value: -32767, init: false });
+        expect(events[7]).to.deep.equal({ time: 3000, type: 'button', number: 2, value: 1, init: false });
+    });
+
+    it('should fly the recorded inputs, read in uneven chunks', () => {
+        const drone = createDrone();
+        const stream = new PassThrough();
+        const controller = new JoystickController(drone, { stream });
+        const action = sinon.spy();
+        controller.on('action', action);
+        controller.start();
+
+        const bytes = new Buffer(RECORDING, 'hex');
+        controller.onBytes(bytes.slice(0, 13));
+        controller.onBytes(bytes.slice(13, 45));
+        controller.onBytes(bytes.slice(45));
+
+        expect(drone.setFlightParams.args.map((args) => args[0])).to.deep.equal([
+            { roll: 0 },
+            { pitch: 0 },
+            { pitch: 50 },
+            { pitch: 100 },
+            { roll: 25 },
+            { pitch: 0 },
+        ]);
+        expect(action).to.have.callCount(1);
+        expect(action).to.have.been.calledWith('takeoffOrLand');
+        controller.stop();
+        return Promise.resolve().then(() => expect(drone.takeoffOrLand).to.have.callCount(1));
+    });
+
+    it('should read the stream it was given', () => {
+        const drone = createDrone();
+        const stream = new PassThrough();
+        const controller = new JoystickController(drone, { stream });
+        controller.start();
+        stream.emit('data', new Buffer('0808000001800201', 'hex'));
+        expect(drone.setFlightParams).to.have.been.calledWith({ pitch: 100 });
+
+        controller.stop();
+        stream.emit('data', new Buffer('0808000001800200', 'hex'));
+        expect(drone.setFlightParams.lastCall).to.have.been.calledWith({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+    });
+
+    it('should remap the buttons and axes', () => {
+        const drone = createDrone();
+        const controller = new JoystickController(drone, {
+            axes: { 1: { param: 'altitude', invert: true }, 4: null },
+            buttons: { 2: 'flipBack', 1: null },
+        });
+        controller.onBytes(new Buffer('0808000001800201b80b000001000102b80b000001000101', 'hex'));
+        controller.onBytes(new Buffer('0808000001800204', 'hex'));
+        expect(drone.setFlightParams.args).to.deep.equal([[{ altitude: 100 }]]);
+        controller.stop();
+        return Promise.resolve().then(() => {
+            expect(drone.animate).to.have.been.calledWith('flipBack');
+            expect(drone.emergency).to.have.callCount(0);
+        });
+    });
+
+    it('should send a held stick again before the drone watchdog fires', () => {
+        const clock = sinon.useFakeTimers();
+        const drone = createDrone();
+        const controller = new JoystickController(drone, { stream: new PassThrough(), repeatMS: 100 });
+        controller.start();
+        // pitch full forward and roll a quarter right, then nothing more is reported
+        controller.onBytes(new Buffer('08080000018002013408000000200200', 'hex'));
+        clock.tick(250);
+        expect(drone.setFlightParams).to.have.callCount(4);
+        expect(drone.setFlightParams.lastCall).to.have.been.calledWith({ pitch: 100, roll: 25 });
+
+        // both sticks back to center
+        controller.onBytes(new Buffer('0808000000000201300c000000000200', 'hex'));
+        const count = drone.setFlightParams.callCount;
+        clock.tick(500);
+        expect(drone.setFlightParams).to.have.callCount(count);
+
+        controller.onBytes(new Buffer('0808000001800201', 'hex'));
+        controller.stop();
+        clock.tick(500);
+        clock.restore();
+        expect(drone.setFlightParams.lastCall).to.have.been.calledWith({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+    });
+
+    it('should fire the device errors', () => {
+        const controller = new JoystickController(createDrone(), { device: '/nonexistent/js0' });
+        return new Promise((resolve) => {
+            controller.on('error', (error) => {
+                expect(error.code).to.equal('ENOENT');
+                resolve();
+            });
+            controller.start();
+        });
+    });
+
+    it('should log the device errors nobody listens to', () => {
+        const stream = new PassThrough();
+        const controller = new JoystickController(createDrone(), { stream });
+        controller.start();
+        expect(() => stream.emit('error', new Error('ENOENT: no such file or directory'))).to.not.throw();
+        controller.stop();
+    });
+});
@@ -0,0 +1,102 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const PassThrough = require('stream').PassThrough;
+const KeyboardController = require('./../../lib/KeyboardController');
+chai.use(SinonChai);
+
+/**
+ * Creates a stand-in for the drone
+ * @return {Object} The fake drone
+ */
+const createDrone = () => ({
+    setFlightParams: sinon.spy(),
+    takeoffOrLand: sinon.spy(() => Promise.resolve('hovering')),
+    emergency: sinon.spy(() => Promise.resolve()),
+    trim: sinon.spy(() => Promise.resolve()),
+});
+
+describe('KeyboardController', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should split the terminal input into keys', () => {
+        expect(KeyboardController.parseKeys('\u001b[A\u001b[DwT\u001b\u0003')).to.deep.equal(['up', 'left', 'w', 't', 'escape', 'ctrl-c']);
+        expect(KeyboardController.parseKeys('\u001bOB\u001b')).to.deep.equal(['down', 'escape']);
+    });
+
+    it('should drop the escape sequences of the other keys', () => {
+        // F1, Delete, Home, Ctrl+Up, Alt+A and a sequence cut short
+        ['\u001bOP', '\u001b[3~', '\u001b[H', '\u001b[1;5A', '\u001ba', '\u001b[1;'].forEach((sequence) => {
+            expect(KeyboardController.parseKeys(sequence)).to.deep.equal([]);
+        });
+        expect(KeyboardController.parseKeys('w\u001b[15~\u001bOPd')).to.deep.equal(['w', 'd']);
+
+        const drone = createDrone();
+        const input = new PassThrough();
+        const controller = new KeyboardController(drone, { input });
+        const action = sinon.spy();
+        controller.on('action', action);
+        controller.start();
+        input.emit('data', '\u001bOP\u001b[3~\u001b[1;5A');
+        expect(action).to.have.callCount(0);
+        expect(drone.setFlightParams).to.have.callCount(0);
+        controller.stop();
+    });
+
+    it('should hold the flight params while the key repeats', () => {
+        const drone = createDrone();
+        const controller = new KeyboardController(drone, { input: new PassThrough(), power: 40, releaseMS: 300 });
+        controller.onKeys(['up']);
+        expect(drone.setFlightParams).to.have.been.calledWith({ pitch: 40 });
+        clock.tick(200);
+        controller.onKeys(['up', 'a']);
+        clock.tick(200);
+        expect(drone.setFlightParams).to.not.have.been.calledWith({ pitch: 0 });
+        expect(drone.setFlightParams).to.have.been.calledWith({ yaw: -40 });
+
+        clock.tick(100);
+        expect(drone.setFlightParams).to.have.been.calledWith({ pitch: 0 });
+        expect(drone.setFlightParams).to.have.been.calledWith({ yaw: 0 });
+    });
+
+    it('should run the actions and the remapped keys', () => {
+        const drone = createDrone();
+        const controller = new KeyboardController(drone, { input: new PassThrough(), keys: { t: null, l: 'takeoffOrLand', escape: 'trim' } });
+        const action = sinon.spy();
+        controller.on('action', action);
+        controller.onKeys(['t', 'l', 'escape', 'x']);
+        expect(action.args).to.deep.equal([['takeoffOrLand'], ['trim']]);
+        return Promise.resolve().then(() => {
+            expect(drone.takeoffOrLand).to.have.callCount(1);
+            expect(drone.trim).to.have.callCount(1);
+            expect(drone.emergency).to.have.callCount(0);
+        });
+    });
+
+    it('should read the keys from its input until stopped', () => {
+        const drone = createDrone();
+        const input = new PassThrough();
+        const controller = new KeyboardController(drone, { input });
+        const quit = sinon.spy();
+        controller.on('quit', quit);
+        controller.start();
+        input.emit('data', '\u001b[C');
+        expect(drone.setFlightParams).to.have.been.calledWith({ roll: 50 });
+
+        input.emit('data', '\u0003');
+        expect(quit).to.have.callCount(1);
+        expect(drone.setFlightParams.lastCall).to.have.been.calledWith({ roll: 0 });
+        input.emit('data', 'd');
+        expect(drone.setFlightParams).to.not.have.been.calledWith({ yaw: 50 });
+    });
+});
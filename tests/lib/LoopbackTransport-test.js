@@ -0,0 +1,75 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+chai.use(SinonChai);
+
+describe('LoopbackTransport', () => {
+    it('should connect on the next tick', (done) => {
+        const transport = new LoopbackTransport();
+        transport.on('connected', () => {
+            expect(transport.connected).to.equal(true);
+            done();
+        });
+        transport.connect();
+        expect(transport.connected).to.equal(false);
+    });
+
+    it('should hand written frames to the drone side', () => {
+        const transport = new LoopbackTransport();
+        const spy = sinon.spy();
+        const buffer = new Buffer([0x04, 0x01, 0x02, 0x00, 0x01, 0x00]);
+        transport.on('write', spy);
+
+        transport.write('fa0b', buffer);
+        expect(spy).to.have.callCount(0);
+
+        transport.connected = true;
+        transport.write('fa0b', buffer);
+        expect(spy).to.have.been.calledWith('fa0b', buffer);
+    });
+
+    it('should deliver notified frames as data', () => {
+        const transport = new LoopbackTransport();
+        const spy = sinon.spy();
+        const buffer = new Buffer([0x02, 0x01, 0x00, 0x05, 0x01, 0x00, 50]);
+        transport.on('data', spy);
+        transport.connected = true;
+
+        transport.notify('fb0f', buffer);
+        expect(spy).to.have.been.calledWith('fb0f', buffer);
+    });
+
+    it('should fire disconnected once', () => {
+        const transport = new LoopbackTransport();
+        const spy = sinon.spy();
+        transport.on('disconnected', spy);
+        transport.connected = true;
+
+        transport.disconnect();
+        transport.disconnect();
+        expect(transport.connected).to.equal(false);
+        expect(spy).to.have.callCount(1);
+    });
+
+    it('should report the configured rssi', (done) => {
+        const transport = new LoopbackTransport({ rssi: -72 });
+        transport.on('rssiUpdate', (rssi) => {
+            expect(rssi).to.equal(-72);
+            done();
+        });
+        transport.updateRssi();
+    });
+
+    it('should find its fake peripheral when scanning', () => {
+        const transport = new LoopbackTransport({ name: 'Sim_1', id: 'sim-1' });
+        const spy = sinon.spy();
+        transport.on('discover', spy);
+        return transport.scan({ timeout: 1000 }).then((drones) => {
+            expect(drones).to.deep.equal([{ name: 'Sim_1', id: 'sim-1', rssi: -50, manufacturer: null, model: 'Simulator' }]);
+            expect(spy).to.have.been.calledWith(drones[0]);
+        });
+    });
+});
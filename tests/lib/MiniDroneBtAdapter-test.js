@@ -4,61 +4,59 @@ const expect = chai.expect;
 const SinonChai = require('sinon-chai');
 const sinon = require('sinon');
 const MiniDroneBtAdapter = require('./../../lib/MiniDroneBtAdapter');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
 const bufferEqual = require('./helpers/bufferEqual');
 chai.use(SinonChai);
 
-// TODO: this could be cleaned up to use the same constants in MiniDroneBtAdapter
-const mockCharacteristics = [
-    {
-        uuid: 'fa0a',
-        write: sinon.spy(),
-    },
-    {
-        uuid: 'fa0b',
-        write: sinon.spy(),
-    },
-    {
-        uuid: 'fa0c',
-        write: sinon.spy(),
-    },
-];
-
-const mockPeripheral = {
-    advertisement: {
-        localName: 'Travis_1111111111',
-        manufacturerData: '4300cf1900090100',
-    },
+/**
+ * Creates an adapter on a connected loopback transport, with a spy on its writes
+ * @return {MiniDroneBtAdapter} The adapter
+ */
+const createAdapter = () => {
+    const transport = new LoopbackTransport();
+    transport.connected = true;
+    sinon.spy(transport, 'write');
+    return new MiniDroneBtAdapter({ transport });
 };
 
-const mockFalsePeripheral = {
-    advertisement: {
-        localName: 'WTF_1111111111',
-        manufacturerData: '4300cf1900090100',
-    },
+/**
+ * Creates the frame the settings writers send: the command header and a float value
+ * @param {Integer} msgClass The command class
+ * @param {Integer} command The command key
+ * @param {Float} value The setting value
+ * @return {Buffer} The expected frame
+ */
+const settingsBuffer = (msgClass, command, value) => {
+    const buff = new Buffer(10);
+    buff.writeUInt8(0x04, 0);
+    buff.writeUInt8(1, 1);
+    buff.writeUInt8(0x02, 2);
+    buff.writeUInt8(msgClass, 3);
+    buff.writeUInt16LE(command, 4);
+    buff.writeFloatLE(value, 6);
+    return buff;
 };
 
 describe('MiniDroneBtAdapter', () => {
     it('should bootstrap local vars correctly', () => {
-        const adapter = new MiniDroneBtAdapter();
+        const transport = new LoopbackTransport();
+        const adapter = new MiniDroneBtAdapter({ transport });
         expect(adapter.connected).to.equal(false);
-        expect(adapter.characteristics).to.be.instanceof(Array);
-        expect(adapter.lastFpWrite).to.equal(0);
+        expect(adapter.transport).to.equal(transport);
         expect(adapter.flightStatus).to.equal(null);
         expect(adapter.flightParams).to.be.an('object');
         expect(adapter.steps).to.be.an('object');
         expect(adapter.batteryLevel).to.equal('Unknown');
-        expect(adapter.noble).to.equal(require('noble'));
         expect(adapter.options.droneFilter).to.equal('');
 
-        const options = {autoconnect: true, droneFilter: 'test'}
+        const options = { autoconnect: true, droneFilter: 'test', transport };
         const filteredAdapter = new MiniDroneBtAdapter(options);
         expect(filteredAdapter.options.autoconnect).to.equal(true);
         expect(filteredAdapter.options.droneFilter).to.equal('test');
     });
 
     it('should correctly increment steps after writing over the network', () => {
-        const adapter = new MiniDroneBtAdapter();
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
         expect(adapter.steps.fa0a).to.equal(0);
         expect(adapter.steps.fa0b).to.equal(0);
         expect(adapter.steps.fa0c).to.equal(0);
@@ -74,113 +72,379 @@ describe('MiniDroneBtAdapter', () => {
         expect(adapter.steps.fa0c).to.equal(1);
     });
 
-    it('getCharacteristic should successfully return the correct characteristic', () => {
-        const adapter = new MiniDroneBtAdapter();
-        adapter.characteristics = mockCharacteristics;
-        expect(adapter.getCharacteristic('fa0c').uuid).to.equal('fa0c');
+    it('should follow the transport connection state', () => {
+        const transport = new LoopbackTransport();
+        const adapter = new MiniDroneBtAdapter({ transport });
+        const connected = sinon.spy();
+        const disconnected = sinon.spy();
+        adapter.on('connected', connected);
+        adapter.on('disconnected', disconnected);
+
+        transport.emit('connected');
+        expect(adapter.connected).to.equal(true);
+        expect(connected).to.have.callCount(1);
+
+        transport.emit('disconnected');
+        expect(adapter.connected).to.equal(false);
+        expect(disconnected).to.have.callCount(1);
+    });
+
+    it('should decode the frames received on the transport', () => {
+        const transport = new LoopbackTransport();
+        const adapter = new MiniDroneBtAdapter({ transport });
+        const spy = sinon.spy();
+        adapter.on('batteryStatusChange', spy);
+        transport.connected = true;
+
+        transport.notify('fb0f', new Buffer([0x02, 0x01, 0x00, 0x05, 0x01, 0x00, 87]));
+        expect(spy).to.have.been.calledWith(87);
+        expect(adapter.batteryLevel).to.equal(87);
+    });
+
+    it('should not write when the transport is not connected', () => {
+        const transport = new LoopbackTransport();
+        const adapter = new MiniDroneBtAdapter({ transport });
+        sinon.spy(transport, 'write');
+
+        adapter.writeTakeoff();
+        expect(transport.write).to.have.callCount(0);
     });
 
     it('should write the correct takeoff buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const takeoffBuffer = new Buffer([0x02, 1 & 0xFF, 0x02, 0x00, 0x01, 0x00]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const takeoffBuffer = new Buffer([0x04, 1 & 0xFF, 0x02, 0x00, 0x01, 0x00]);
 
         adapter.writeTakeoff();
-        const spy = adapter.characteristics[1].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0b', sinon.match((value) =>
             bufferEqual(value, takeoffBuffer),
-        'did not match expected takeoff buffer'), true);
+        'did not match expected takeoff buffer'));
     });
 
     it('should write the correct landing buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const buff = new Buffer([0x02, 1 & 0xFF, 0x02, 0x00, 0x03, 0x00]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const buff = new Buffer([0x04, 1 & 0xFF, 0x02, 0x00, 0x03, 0x00]);
 
         adapter.writeLand();
-        const spy = adapter.characteristics[1].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0b', sinon.match((value) =>
             bufferEqual(value, buff),
-        'did not match expected landing buffer'), true);
+        'did not match expected landing buffer'));
     });
 
     it('should write the correct emergency buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const buff = new Buffer([0x02, 1 & 0xFF, 0x02, 0x00, 0x04, 0x00]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const buff = new Buffer([0x04, 1 & 0xFF, 0x02, 0x00, 0x04, 0x00]);
 
         adapter.writeEmergency();
-        const spy = adapter.characteristics[2].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0c', sinon.match((value) =>
             bufferEqual(value, buff),
-        'did not match expected emergency buffer'), true);
+        'did not match expected emergency buffer'));
     });
 
     it('should write the correct picture buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const buff = new Buffer([0x02, 1 & 0xFF, 0x02, 0x06, 0x01, 0x00]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const buff = new Buffer([0x04, 1 & 0xFF, 0x02, 0x06, 0x01, 0x00]);
 
         adapter.writeTakePicture();
-        const spy = adapter.characteristics[1].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0b', sinon.match((value) =>
             bufferEqual(value, buff),
-        'did not match expected picture buffer'), true);
+        'did not match expected picture buffer'));
     });
 
     it('should write the correct max altitude buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const buff = new Buffer([0x02, 1 & 0xFF, 0x02, 0x08, 0x00, 0x00, 2, 0x00 ]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const buff = settingsBuffer(0x08, 0x00, 2);
 
         adapter.writeMaxAltitude(2);
-        const spy = adapter.characteristics[1].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0b', sinon.match((value) =>
             bufferEqual(value, buff),
-        'did not match expected max altitude buffer'), true);
+        'did not match expected max altitude buffer'));
     });
 
     it('should write the correct max tilt buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const buff = new Buffer([0x02, 1 & 0xFF, 0x02, 0x08, 0x01, 0x00, 10, 0x00 ]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const buff = settingsBuffer(0x08, 0x01, 10);
 
         adapter.writeMaxTilt(10);
-        const spy = adapter.characteristics[1].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0b', sinon.match((value) =>
             bufferEqual(value, buff),
-        'did not match expected max tilt buffer'), true);
+        'did not match expected max tilt buffer'));
     });
 
     it('should write the correct max vertical speed buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const buff = new Buffer([0x02, 1 & 0xFF, 0x02, 0x01, 0x00, 0x00, 1, 0x00 ]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const buff = settingsBuffer(0x01, 0x00, 1);
 
         adapter.writeMaxVerticalSpeed(1);
-        const spy = adapter.characteristics[1].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0b', sinon.match((value) =>
             bufferEqual(value, buff),
-        'did not match expected max vertical speed buffer'), true);
+        'did not match expected max vertical speed buffer'));
     });
 
     it('should write the correct max rotation speed buffer', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const buff = new Buffer([0x02, 1 & 0xFF, 0x02, 0x01, 0x01, 0x00, 100, 0x00 ]);
-        adapter.characteristics = mockCharacteristics;
+        const adapter = createAdapter();
+        const buff = settingsBuffer(0x01, 0x01, 100);
 
         adapter.writeMaxRotationSpeed(100);
-        const spy = adapter.characteristics[1].write;
-        expect(spy).to.have.been.calledWith(sinon.match((value) =>
+        expect(adapter.transport.write).to.have.been.calledWith('fa0b', sinon.match((value) =>
             bufferEqual(value, buff),
-        'did not match expected max rotation speed buffer'), true);
+        'did not match expected max rotation speed buffer'));
+    });
+
+    describe('flight params', () => {
+        let clock;
+
+        beforeEach(() => {
+            // 0x123456 ms after the epoch, the low 24 bits of the PCMD timestamp
+            clock = sinon.useFakeTimers(0x123456);
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('should write the exact PCMD frame', () => {
+            const adapter = createAdapter();
+            adapter.writeFlightParams({ roll: 10, pitch: -20, yaw: 30, altitude: -40 });
+
+            expect(adapter.transport.write).to.have.been.calledWith('fa0a', sinon.match((value) =>
+                bufferEqual(value, new Buffer([
+                    0x02, 0x01, // data without ack, sequence 1
+                    0x02, 0x00, 0x02, 0x00, // minidrone Piloting PCMD
+                    0x01, 0x0A, 0xEC, 0x1E, 0xD8, // flag, roll 10, pitch -20, yaw 30, gaz -40
+                    0x56, 0x34, 0x12, 0x01, // 0x123456 ms, sequence 1
+                ])),
+            'did not match expected PCMD buffer'));
+        });
+
+        it('should clamp the inputs to -100..100', () => {
+            const adapter = createAdapter();
+            adapter.writeFlightParams({ roll: 150, pitch: -130, yaw: 100.4, altitude: 'up' });
+
+            const buffer = adapter.transport.write.firstCall.args[1];
+            expect(buffer.length).to.equal(15);
+            expect(buffer.readInt8(7)).to.equal(100);
+            expect(buffer.readInt8(8)).to.equal(-100);
+            expect(buffer.readInt8(9)).to.equal(100);
+            expect(buffer.readInt8(10)).to.equal(0);
+            expect(adapter.flightParams).to.deep.equal({ roll: 100, pitch: -100, yaw: 100, altitude: 0 });
+        });
+
+        it('should only set the roll/pitch flag when rolling or pitching', () => {
+            const adapter = createAdapter();
+            adapter.writeFlightParams({ roll: 0, pitch: 0, yaw: 50, altitude: 50 });
+            adapter.writeFlightParams({ roll: 0, pitch: 1 });
+
+            expect(adapter.transport.write.firstCall.args[1].readUInt8(6)).to.equal(0);
+            expect(adapter.transport.write.secondCall.args[1].readUInt8(6)).to.equal(1);
+        });
+
+        it('should stamp each frame with the time and its sequence number', () => {
+            const adapter = createAdapter();
+            adapter.writeFlightParams({});
+            clock.tick(100);
+            adapter.writeFlightParams({});
+
+            expect(adapter.transport.write.firstCall.args[1].readUInt32LE(11)).to.equal(0x01123456);
+            expect(adapter.transport.write.secondCall.args[1].readUInt32LE(11)).to.equal(0x021234BA);
+        });
     });
 
-    it('should correctly validate peripherals as drones', () => {
-        const adapter = new MiniDroneBtAdapter();
-        const isDrone = adapter.validatePeripheral(mockPeripheral);
-        const isNotDrone = adapter.validatePeripheral(mockFalsePeripheral);
-        expect(isDrone).to.equal(true);
-        expect(isNotDrone).to.equal(true);
+    it('should write the commands on the channel matching their priority', () => {
+        const adapter = createAdapter();
+
+        adapter.writeCommand('minidrone', 'Piloting', 'Emergency');
+        adapter.writeCommand('minidrone', 'Piloting', 'PCMD', { flag: 0, roll: 0, pitch: 0, yaw: 0, gaz: 0, timestamp: 0 });
+        adapter.writeCommand('common', 'Common', 'AllStates');
+        expect(adapter.transport.write.firstCall.args[0]).to.equal('fa0c');
+        expect(adapter.transport.write.secondCall.args[0]).to.equal('fa0a');
+        expect(adapter.transport.write.secondCall.args[1].readUInt8(0)).to.equal(0x02);
+        expect(adapter.transport.write.thirdCall.args[0]).to.equal('fa0b');
+    });
+
+    it('should decode the frames the drone sends', () => {
+        const adapter = createAdapter();
+        const frame = new Buffer([0x02, 0x05, 0x00, 0x05, 0x01, 0x00, 0x2A]);
+
+        expect(adapter.decodeFrame(frame)).to.deep.equal({
+            dataType: 0x02,
+            sequence: 0x05,
+            project: 'common',
+            class: 'CommonState',
+            command: 'BatteryStateChanged',
+            args: { percent: 42 },
+            ids: { project: 0, class: 5, command: 1 },
+        });
+    });
+
+    describe('decoders', () => {
+        it('should fire a state event for every command with a definition', () => {
+            const adapter = createAdapter();
+            const spy = sinon.spy();
+            adapter.on('state', spy);
+
+            adapter.transport.notify('fb0f', new Buffer([0x02, 0x01, 0x02, 0x03, 0x03, 0x00, 0x01]));
+            adapter.transport.notify('fb0f', new Buffer([0x02, 0x02, 0x02, 0x7F, 0x00, 0x00]));
+            expect(spy).to.have.callCount(1);
+            expect(spy).to.have.been.calledWith({
+                project: 'minidrone',
+                class: 'PilotingState',
+                command: 'AutoTakeOffModeChanged',
+                args: { state: 1 },
+            });
+        });
+
+        it('should drop the malformed frames', () => {
+            const adapter = createAdapter();
+            const spy = sinon.spy();
+            adapter.on('state', spy);
+
+            expect(() => {
+                adapter.transport.notify('fb0f', new Buffer([0x02, 0x01, 0x02, 0x03, 0x01, 0x00, 0x02]));
+                adapter.transport.notify('fb0f', new Buffer([0x02]));
+                adapter.transport.notify('fb0e', new Buffer([0x04, 0x01, 0x02]));
+                adapter.transport.notify('fb1b', new Buffer([0x01, 0x01]));
+            }).to.not.throw();
+            expect(spy).to.have.callCount(0);
+        });
+
+        it('should fire the specific events with typed values', () => {
+            const adapter = createAdapter();
+            const spy = sinon.spy();
+            adapter.on('alertStateChange', spy);
+
+            adapter.transport.notify('fb0f', new Buffer([0x02, 0x01, 0x02, 0x03, 0x02, 0x00, 0x04, 0x00, 0x00, 0x00]));
+            expect(spy).to.have.been.calledWith('low_battery');
+            expect(adapter.alertStatus).to.equal('low_battery');
+        });
+
+        it('should replace the decoder of a known command', () => {
+            const adapter = createAdapter();
+            const spy = sinon.spy();
+            adapter.on('autoTakeOffChange', spy);
+
+            const key = adapter.registerDecoder('minidrone.PilotingState.AutoTakeOffModeChanged', {
+                event: 'autoTakeOffChange',
+                property: 'autoTakeOff',
+                value: (args) => args.state === 1,
+            });
+            adapter.transport.notify('fb0f', new Buffer([0x02, 0x01, 0x02, 0x03, 0x03, 0x00, 0x01]));
+            expect(key).to.equal('minidrone.PilotingState.AutoTakeOffModeChanged');
+            expect(spy).to.have.been.calledWith(true);
+            expect(adapter.autoTakeOff).to.equal(true);
+        });
+
+        it('should decode the commands registered with their definition', () => {
+            const adapter = createAdapter();
+            const spy = sinon.spy();
+            adapter.on('lightsChange', spy);
+
+            adapter.registerDecoder({
+                project: 'minidrone',
+                class: 'LightsState',
+                command: 'LightsChanged',
+                ids: { project: 2, class: 0x7F, command: 0 },
+                args: [{ name: 'intensity', type: 'u8' }],
+            }, { event: 'lightsChange' });
+            adapter.transport.notify('fb0f', new Buffer([0x02, 0x01, 0x02, 0x7F, 0x00, 0x00, 0x32]));
+            expect(spy).to.have.been.calledWith({ intensity: 50 });
+        });
+    });
+
+    describe('acknowledgements', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('should ack the frames received on the ack channel and decode them once', () => {
+            const adapter = createAdapter();
+            const spy = sinon.spy();
+            adapter.on('flightStatusChange', spy);
+            const frame = new Buffer([0x04, 0x07, 0x02, 0x03, 0x01, 0x00, 0x02, 0x00, 0x00, 0x00]);
+
+            adapter.transport.notify('fb0e', frame);
+            adapter.transport.notify('fb0e', frame);
+            expect(adapter.transport.write).to.have.been.calledWith('fa1e', sinon.match((value) =>
+                bufferEqual(value, new Buffer([0x01, 0x01, 0x07])),
+            'did not match expected ack buffer'));
+            expect(adapter.transport.write).to.have.callCount(2);
+            expect(spy).to.have.callCount(1);
+            expect(spy).to.have.been.calledWith('hovering');
+        });
+
+        it('should resolve a command once the drone acks it', () => {
+            const adapter = createAdapter();
+            const ack = adapter.writeTakeoff();
+            expect(Object.keys(adapter.pendingAcks)).to.deep.equal(['fa0b:1']);
+
+            adapter.transport.notify('fb1b', new Buffer([0x01, 0x01, 0x01]));
+            expect(adapter.pendingAcks).to.deep.equal({});
+
+            clock.tick(1000);
+            expect(adapter.transport.write).to.have.callCount(1);
+            return ack;
+        });
+
+        it('should match the emergency acks on their own channel', () => {
+            const adapter = createAdapter();
+            adapter.writeTakeoff();
+            adapter.writeEmergency();
+
+            adapter.transport.notify('fb1b', new Buffer([0x01, 0x01, 0x01]));
+            expect(Object.keys(adapter.pendingAcks)).to.deep.equal(['fa0c:1']);
+            adapter.transport.notify('fb1c', new Buffer([0x01, 0x01, 0x01]));
+            expect(adapter.pendingAcks).to.deep.equal({});
+        });
+
+        it('should send a command again until the drone acks it', () => {
+            const adapter = createAdapter();
+            const ack = adapter.writeLand();
+
+            clock.tick(150);
+            clock.tick(150);
+            expect(adapter.transport.write).to.have.callCount(3);
+            expect(adapter.transport.write.thirdCall.args[1]).to.equal(adapter.transport.write.firstCall.args[1]);
+
+            adapter.transport.notify('fb1b', new Buffer([0x01, 0x01, 0x01]));
+            clock.tick(1000);
+            expect(adapter.transport.write).to.have.callCount(3);
+            return ack;
+        });
+
+        it('should fail a command after the max number of tries', () => {
+            const adapter = createAdapter();
+            const spy = sinon.spy();
+            adapter.on('commandFailed', spy);
+            const ack = adapter.writeTakeoff();
+
+            clock.tick(150 * 5);
+            expect(adapter.transport.write).to.have.callCount(5);
+            expect(spy).to.have.callCount(1);
+            expect(adapter.pendingAcks).to.deep.equal({});
+            return ack.then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => {
+                expect(error.message).to.equal('No ack from the drone after 5 tries');
+                expect(spy).to.have.been.calledWith(error);
+            });
+        });
+
+        it('should fail the pending commands on disconnect', () => {
+            const adapter = createAdapter();
+            const ack = adapter.writeTakeoff();
+
+            adapter.transport.disconnect();
+            expect(adapter.pendingAcks).to.deep.equal({});
+            return ack.then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => {
+                expect(error.message).to.match(/^Disconnected/);
+            });
+        });
     });
 });
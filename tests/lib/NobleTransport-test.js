@@ -0,0 +1,230 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const NobleTransport = require('./../../lib/NobleTransport');
+chai.use(SinonChai);
+
+const mockPeripheral = {
+    advertisement: {
+        localName: 'Travis_1111111111',
+        manufacturerData: '4300cf1900090100',
+    },
+};
+
+const mockFalsePeripheral = {
+    advertisement: {
+        localName: 'WTF_1111111111',
+        manufacturerData: '4300cf1900090100',
+    },
+};
+
+/**
+ * Creates a stand-in for the noble singleton
+ * @return {EventEmitter} The fake noble
+ */
+const createNoble = () => {
+    const noble = new EventEmitter();
+    noble.state = 'unknown';
+    noble.startScanning = sinon.spy();
+    noble.stopScanning = sinon.spy();
+    return noble;
+};
+
+describe('NobleTransport', () => {
+    it('should bootstrap local vars correctly', () => {
+        const noble = createNoble();
+        const transport = new NobleTransport({ noble });
+        expect(transport.connected).to.equal(false);
+        expect(transport.noble).to.equal(noble);
+        expect(transport.peripheral).to.equal(null);
+        expect(transport.characteristics).to.be.instanceof(Array);
+        expect(transport.options.droneFilter).to.equal('');
+    });
+
+    it('should start scanning once the dongle is powered on', () => {
+        const noble = createNoble();
+        const transport = new NobleTransport({ noble });
+        transport.connect();
+        expect(noble.startScanning).to.have.callCount(0);
+
+        noble.emit('stateChange', 'poweredOn');
+        expect(noble.startScanning).to.have.callCount(1);
+    });
+
+    it('should start scanning right away when the dongle is already powered on', () => {
+        const noble = createNoble();
+        noble.state = 'poweredOn';
+        const transport = new NobleTransport({ noble });
+        transport.connect();
+        expect(noble.startScanning).to.have.callCount(1);
+    });
+
+    it('should write to the characteristic matching the channel', () => {
+        const transport = new NobleTransport({ noble: createNoble() });
+        transport.characteristics = [
+            { uuid: '9a66fa0a', write: sinon.spy() },
+            { uuid: '9a66fa0b', write: sinon.spy() },
+        ];
+        const buffer = new Buffer([0x04, 0x01]);
+
+        transport.write('fa0b', buffer);
+        expect(transport.getCharacteristic('fa0b').uuid).to.equal('9a66fa0b');
+        expect(transport.characteristics[1].write).to.have.been.calledWith(buffer, true);
+        expect(transport.characteristics[0].write).to.have.callCount(0);
+    });
+
+    it('should correctly validate peripherals as drones', () => {
+        const transport = new NobleTransport({ noble: createNoble() });
+        const isDrone = transport.validatePeripheral(mockPeripheral);
+        const isNotDrone = transport.validatePeripheral(mockFalsePeripheral);
+        expect(isDrone).to.equal(true);
+        expect(isNotDrone).to.equal(true);
+    });
+
+    describe('discovery', () => {
+        let clock;
+
+        /**
+         * Creates a peripheral advertising a drone
+         * @param {String} id The peripheral id
+         * @param {String} localName The advertised name
+         * @param {Buffer} manufacturerData The advertised manufacturer data
+         * @return {Object} The fake peripheral
+         */
+        const createPeripheral = (id, localName, manufacturerData) => ({
+            id,
+            rssi: -60,
+            advertisement: { localName, manufacturerData },
+            connect: sinon.spy(),
+        });
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('should list the drones found without connecting', () => {
+            const noble = createNoble();
+            noble.state = 'poweredOn';
+            const transport = new NobleTransport({ noble });
+            const discover = sinon.spy();
+            transport.on('discover', discover);
+            const mambo = createPeripheral('a1', 'Mambo_123456', new Buffer('4300cf190b090100', 'hex'));
+            const spider = createPeripheral('b2', 'RS_R654321', new Buffer('4300cf1900090100', 'hex'));
+
+            const scan = transport.scan({ timeout: 3000 });
+            expect(noble.startScanning).to.have.callCount(1);
+            noble.emit('discover', mambo);
+            noble.emit('discover', spider);
+            noble.emit('discover', mambo);
+            noble.emit('discover', createPeripheral('c3', 'Speaker', null));
+            expect(discover).to.have.callCount(2);
+
+            clock.tick(3000);
+            expect(noble.stopScanning).to.have.callCount(1);
+            expect(mambo.connect).to.have.callCount(0);
+            return scan.then((drones) => {
+                expect(drones).to.deep.equal([
+                    { name: 'Mambo_123456', id: 'a1', rssi: -60, manufacturer: null, model: 'Mambo' },
+                    { name: 'RS_R654321', id: 'b2', rssi: -60, manufacturer: '4300cf1900090100', model: 'Rolling Spider' },
+                ]);
+            });
+        });
+
+        it('should infer the model from the name without manufacturer data', () => {
+            const transport = new NobleTransport({ noble: createNoble() });
+            const drone = transport.describePeripheral(createPeripheral('d4', 'Swing_000111', null));
+            expect(drone.model).to.equal('Swing');
+            expect(drone.manufacturer).to.equal(null);
+        });
+
+        it('should map each name prefix to its model family', () => {
+            const transport = new NobleTransport({ noble: createNoble() });
+            const models = {
+                RS_R123456: 'Rolling Spider',
+                Mars_123456: 'Airborne Cargo',
+                Travis_123456: 'Airborne Cargo',
+                Maclan_123456: 'Airborne Night',
+                Blaze_123456: 'Airborne Night',
+                Mambo_123456: 'Mambo',
+                NewZ_123456: 'Hydrofoil',
+                Orak_123456: 'Hydrofoil',
+                Swing_123456: 'Swing',
+            };
+            Object.keys(models).forEach((name) => {
+                expect(transport.describePeripheral(createPeripheral('e5', name, null)).model).to.equal(models[name]);
+            });
+        });
+
+        it('should connect to the drone with the given id', () => {
+            const noble = createNoble();
+            noble.state = 'poweredOn';
+            const transport = new NobleTransport({ noble });
+            const first = createPeripheral('a1', 'Mambo_123456', null);
+            const second = createPeripheral('b2', 'Mambo_654321', null);
+
+            transport.connect('b2');
+            noble.emit('discover', first);
+            noble.emit('discover', second);
+            expect(first.connect).to.have.callCount(0);
+            expect(second.connect).to.have.callCount(1);
+            expect(transport.peripheral).to.equal(second);
+        });
+
+        it('should connect to a scanned drone without scanning again', () => {
+            const noble = createNoble();
+            noble.state = 'poweredOn';
+            const transport = new NobleTransport({ noble });
+            const mambo = createPeripheral('a1', 'Mambo_123456', null);
+
+            transport.scan({ timeout: 1000 });
+            noble.emit('discover', mambo);
+            clock.tick(1000);
+
+            transport.connect('a1');
+            expect(noble.startScanning).to.have.callCount(1);
+            expect(mambo.connect).to.have.callCount(1);
+        });
+
+        it('should fire connection errors and keep scanning', () => {
+            const noble = createNoble();
+            noble.state = 'poweredOn';
+            const transport = new NobleTransport({ noble });
+            const mambo = createPeripheral('a1', 'Mambo_123456', null);
+            mambo.connect = (callback) => callback(new Error('Connection refused'));
+            const error = sinon.spy();
+            transport.on('error', error);
+
+            transport.connect('a1');
+            noble.emit('discover', mambo);
+            expect(error.args[0][0].message).to.equal('Connection refused');
+            expect(transport.peripheral).to.equal(null);
+            expect(noble.startScanning).to.have.callCount(2);
+        });
+
+        it('should not scan again on disconnect and remember the drone', () => {
+            const noble = createNoble();
+            noble.state = 'poweredOn';
+            const transport = new NobleTransport({ noble });
+            const mambo = createPeripheral('a1', 'Mambo_123456', null);
+            mambo.once = sinon.spy();
+            const disconnected = sinon.spy();
+            transport.on('disconnected', disconnected);
+
+            transport.connect('a1');
+            noble.emit('discover', mambo);
+            transport.setupPeripheral = sinon.spy();
+            mambo.connect.args[0][0]();
+            mambo.once.args[0][1]();
+            expect(disconnected).to.have.callCount(1);
+            expect(noble.startScanning).to.have.callCount(1);
+            expect(transport.peripheralId).to.equal('a1');
+        });
+    });
+});
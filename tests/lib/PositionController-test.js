@@ -0,0 +1,166 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const PositionController = require('./../../lib/PositionController');
+const Drone = require('./../../lib/Drone');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+const Pid = PositionController.Pid;
+
+/**
+ * Creates a stand-in for the drone, reporting the given position
+ * @param {Object} position The position in cm and heading in degrees
+ * @return {Object} The fake drone
+ */
+const createDrone = (position) => {
+    const drone = {
+        state: {
+            position: Object.assign({ x: 0, y: 0, z: 100, psi: 0 }, position),
+            speed: { x: 0, y: 0, z: 0 },
+        },
+        setFlightParams: sinon.spy(),
+    };
+    drone.getState = () => drone.state;
+    return drone;
+};
+
+describe('PositionController', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    describe('Pid', () => {
+        it('should add the proportional, integral and derivative terms', () => {
+            const pid = new Pid({ p: 10, i: 2, d: 5 });
+            expect(pid.update(1, 0.5, -2)).to.equal(10 + 1 - 10);
+            expect(pid.update(1, 0.5)).to.equal(10 + 2 + 0);
+            expect(pid.update(0.5, 0.5)).to.equal(5 + 2.5 - 5);
+        });
+
+        it('should clamp the output and the integral', () => {
+            const pid = new Pid({ p: 100, i: 10, max: 50 });
+            expect(pid.update(2, 1)).to.equal(50);
+            for (let i = 0; i < 100; i += 1) {
+                pid.update(2, 1);
+            }
+            expect(pid.integral).to.equal(5);
+            expect(pid.update(-0.5, 0)).to.equal(0);
+        });
+    });
+
+    it('should fly towards the target along the heading', () => {
+        const drone = createDrone({ psi: 0 });
+        const controller = new PositionController(drone);
+        controller.start('goTo', { x: 0.5, y: 0, z: 1, psi: 0 });
+        controller.update();
+        expect(drone.setFlightParams.lastCall.args[0]).to.include({ pitch: 30, yaw: 0, altitude: 0 });
+        expect(drone.setFlightParams.lastCall.args[0].roll).to.be.closeTo(0, 0.001);
+
+        // facing right, the target is on the left
+        drone.state.position.psi = 90;
+        controller.start('goTo', { x: 0.5, y: 0, z: 1.5, psi: 90 });
+        controller.update();
+        const params = drone.setFlightParams.lastCall.args[0];
+        expect(params.pitch).to.be.closeTo(0, 0.001);
+        expect(params.roll).to.be.closeTo(-30, 0.001);
+        expect(params.altitude).to.equal(30);
+    });
+
+    it('should turn the shortest way', () => {
+        const drone = createDrone({ psi: -170 });
+        const controller = new PositionController(drone);
+        controller.start('setHeading', { x: null, y: null, z: null, psi: 170 });
+        controller.update();
+        expect(drone.setFlightParams.lastCall.args[0].yaw).to.equal(-40);
+    });
+
+    it('should resolve once within the tolerances and keep holding', () => {
+        const drone = createDrone({ x: 95, y: 3, z: 100, psi: 2 });
+        const controller = new PositionController(drone);
+        const move = controller.start('goTo', { x: 1, y: 0, z: 1, psi: 0 });
+        controller.update();
+        expect(controller.isActive()).to.equal(true);
+        return move.then((position) => {
+            expect(position).to.deep.equal({ x: 0.95, y: 0.03, z: 1, psi: 2 });
+            controller.update();
+            expect(drone.setFlightParams).to.have.callCount(2);
+        });
+    });
+
+    it('should reject the previous move on a new target', () => {
+        const controller = new PositionController(createDrone());
+        const first = controller.start('goTo', { x: 3, y: 0, z: 1, psi: 0 });
+        controller.start('holdPosition', { x: 0, y: 0, z: 1, psi: 0 });
+        return first.then(() => {
+            throw new Error('should have been rejected');
+        }, (error) => expect(error.message).to.equal('goTo was cancelled by holdPosition'));
+    });
+
+    it('should reject and hover when the target is not reached in time', () => {
+        const drone = createDrone();
+        const controller = new PositionController(drone, { timeout: 1000 });
+        const move = controller.start('goTo', { x: 3, y: 0, z: 1, psi: 0 });
+        clock.tick(1000);
+        expect(controller.isActive()).to.equal(false);
+        expect(drone.setFlightParams).to.have.been.calledWith({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+        return move.then(() => {
+            throw new Error('should have been rejected');
+        }, (error) => expect(error.message).to.equal('The drone did not reach the goTo target within 1000ms'));
+    });
+
+    describe('drone', () => {
+        beforeEach(() => {
+            clock.restore();
+        });
+
+        it('should refuse to move a drone that does not fly', () => {
+            const drone = new Drone();
+            return drone.goTo({ x: 1 }).then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => {
+                expect(error.message).to.equal('Cannot goTo, not connected to a drone');
+                drone.network = { connected: true, flightStatus: 'landed', writeFlightParams: sinon.spy() };
+                return drone.holdPosition();
+            }).then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => expect(error.message).to.equal('Cannot holdPosition, the drone is not flying'));
+        });
+
+        it('should fly the simulated drone to the target', function flyToTarget() {
+            this.timeout(10000);
+            const transport = new LoopbackTransport();
+            const simulator = new SimulatedMiniDrone({
+                transport, tickMS: 5, telemetryMS: 20, maxHorizontalSpeed: 5, takeOffMS: 300, takeOffAltitude: 0.5,
+            });
+            const drone = new Drone({ transport, updateMS: 20 });
+            return new Promise((resolve) => {
+                drone.once('limitsApplied', resolve);
+                drone.connect();
+            })
+                .then(() => drone.takeOff())
+                .then(() => drone.goTo({ x: 0.5, z: 0.6 }))
+                .then((position) => {
+                    expect(position.x).to.be.closeTo(0.5, 0.1);
+                    expect(position.z).to.be.closeTo(0.6, 0.1);
+                    return drone.setHeading(90);
+                })
+                .then((position) => {
+                    expect(position.psi).to.be.closeTo(90, 5);
+                    expect(simulator.position.x).to.be.closeTo(0.5, 0.1);
+                    drone.releaseControl();
+                    expect(drone.flightParams).to.deep.equal({ roll: 0, pitch: 0, yaw: 0, altitude: 0 });
+                    drone.disconnect();
+                });
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/* eslint no-undef: 0 */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const Repl = require('./../../lib/Repl');
+const Drone = require('./../../lib/Drone');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+describe('Repl', () => {
+    let simulator;
+    let drone;
+    let session;
+    let input;
+    let output;
+    const file = path.join(os.tmpdir(), `minidrone-repl-${process.pid}.js`);
+
+    /**
+     * Waits until the output contains a text
+     * @param {String} text The text
+     * @return {Promise} Resolves with the output
+     */
+    const waitFor = (text) => new Promise((resolve) => {
+        const check = () => (output.text.indexOf(text) >= 0 ? resolve(output.text) : setTimeout(check, 5));
+        check();
+    });
+
+    beforeEach((done) => {
+        const transport = new LoopbackTransport();
+        simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 20, takeOffAltitude: 0.1 });
+        drone = new Drone({ transport });
+        input = new stream.PassThrough();
+        output = new stream.PassThrough();
+        output.text = '';
+        output.on('data', (data) => { output.text += data; });
+        session = new Repl(drone, { input, output });
+        drone.once('limitsApplied', () => {
+            session.start();
+            done();
+        });
+        drone.connect();
+    });
+
+    afterEach(() => {
+        session.stop();
+        drone.disconnect();
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it('should run the drone commands and print their result and the telemetry', () => {
+        input.write('takeOff()\n');
+        return waitFor("= 'hovering'").then((text) => {
+            expect(text).to.contain("[flightStatusChange] 'taking off'");
+            expect(text).to.contain("[flightStatusChange] 'hovering'");
+            expect(simulator.flightStatus).to.equal('hovering');
+            input.write('state.flightStatus\n');
+            return waitFor("minidrone> 'hovering'");
+        });
+    });
+
+    it('should print the failures of the commands', () => {
+        input.write("animate('barrelRoll')\n");
+        return waitFor('! ');
+    });
+
+    it('should complete the commands, the animation names, the state and the REPL commands', () => {
+        expect(session.complete('take')).to.deep.equal([['takeOff', 'takeoffOrLand', 'takePicture'], 'take']);
+        expect(session.complete("animate('flipB")).to.deep.equal([['flipBack'], 'flipB']);
+        expect(session.complete('state.position.')[0]).to.deep.equal(['x', 'y', 'z', 'psi', 'ts']);
+        expect(session.complete('.re')[0]).to.include.members(['.record', '.replay']);
+    });
+
+    it('should record the commands of the session and replay them', () => {
+        input.write('setMaxAltitude(3)\n');
+        input.write('1 +\n1\n');
+        return waitFor('= 3')
+            .then(() => {
+                input.write(`.record ${file}\n`);
+                return waitFor('Recorded 2 commands');
+            })
+            .then(() => {
+                const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+                expect(lines.slice(1)).to.deep.equal(['setMaxAltitude(3)', '1 + 1']);
+                fs.writeFileSync(file, `${lines[0]}\nsetMaxAltitude(4)\ntakeOff()\nstate.flightStatus\n`);
+                return session.replay(file);
+            })
+            .then((result) => {
+                expect(result).to.equal('hovering');
+                expect(drone.getState().settings.maxAltitude).to.include({ current: 4 });
+                expect(session.history.slice(2)).to.deep.equal(['setMaxAltitude(4)', 'takeOff()', 'state.flightStatus']);
+            });
+    });
+
+    it('should print why a script cannot be recorded or replayed', () => {
+        input.write('.record /nonexistent/dir/session.js\n');
+        return waitFor('! ENOENT')
+            .then(() => {
+                output.text = '';
+                input.write('.replay /nonexistent/session.js\n');
+                return waitFor('! ENOENT');
+            })
+            .then(() => session.replay('/nonexistent/session.js'))
+            .then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => expect(error.code).to.equal('ENOENT'));
+    });
+});
@@ -0,0 +1,150 @@
+/* eslint no-undef: 0 */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const ReplaySource = require('./../../lib/ReplaySource');
+const Drone = require('./../../lib/Drone');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+describe('ReplaySource', () => {
+    const file = path.join(os.tmpdir(), `minidrone-replay-${process.pid}.ndjson`);
+    const records = [
+        { t: 0.5, type: 'session', version: 1, flight: 1, drone: { name: 'Mars_123456', model: 'Mars' }, settings: { maxAltitude: { current: 2 } } },
+        { t: 10, type: 'event', event: 'batteryStatusChange', data: 18 },
+        { t: 20, type: 'command', command: 'minidrone.Piloting.TakeOff', args: {} },
+        { t: 1000.5, type: 'event', event: 'flightStatusChange', data: 'hovering' },
+        { t: 1500.5, type: 'event', event: 'flightParamChange', data: { roll: 0, pitch: 30, yaw: 0, altitude: 0 } },
+        { t: 2000.5, type: 'event', event: 'commandFailed', data: [{ error: 'No ack' }, '0401'] },
+    ];
+
+    let clock = null;
+
+    afterEach(() => {
+        if (clock) {
+            clock.restore();
+            clock = null;
+        }
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it('should fire the recorded telemetry from the drone at the recorded pace', () => {
+        clock = sinon.useFakeTimers();
+        const drone = new Drone();
+        const replay = new ReplaySource(drone, { records });
+        const battery = sinon.spy();
+        const status = sinon.spy();
+        const failed = sinon.spy();
+        const failsafe = sinon.spy();
+        drone.on('batteryStatusChange', battery);
+        drone.on('flightStatusChange', status);
+        drone.on('commandFailed', failed);
+        drone.on('failsafeTriggered', failsafe);
+        const end = replay.start();
+
+        clock.tick(10);
+        expect(drone.getState().product.name).to.equal('Mars_123456');
+        expect(battery).to.have.been.calledWith(18);
+        expect(drone.getState().battery).to.equal(18);
+        expect(failsafe).to.have.been.calledWithMatch({ name: 'lowBattery' });
+        expect(status).to.have.callCount(0);
+        clock.tick(990);
+        expect(status).to.have.been.calledWith('hovering');
+        expect(drone.getState().flightStatus).to.equal('hovering');
+        clock.tick(1000);
+        expect(failed.firstCall.args[0].message).to.equal('No ack');
+        expect(failed.firstCall.args[1]).to.equal('0401');
+        return end.then((played) => expect(played).to.equal(records.length));
+    });
+
+    it('should replay faster and stop', () => {
+        clock = sinon.useFakeTimers();
+        const replay = new ReplaySource(new Drone(), { records, speed: 10 });
+        const played = sinon.spy();
+        replay.on('record', played);
+        const end = replay.start();
+        clock.tick(100);
+        expect(played).to.have.callCount(4);
+        replay.stop();
+        clock.tick(1000);
+        return end.then((count) => {
+            expect(count).to.equal(4);
+            expect(played).to.have.callCount(4);
+        });
+    });
+
+    it('should refuse the unknown modes and speeds', () => {
+        expect(() => new ReplaySource(new Drone(), { mode: 'video' })).to.throw('Unknown replay mode video, expected one of telemetry, commands');
+        expect(() => new ReplaySource(new Drone(), { speed: 0 })).to.throw('The replay speed must be above 0, got 0');
+    });
+
+    it('should read the logs and point at the invalid records', () => {
+        fs.writeFileSync(file, `${JSON.stringify(records[0])}\n\n${JSON.stringify(records[1])}\n`);
+        expect(ReplaySource.readLogs(file)).to.deep.equal(records.slice(0, 2));
+        expect(ReplaySource.readLogs([file, file])).to.have.length(4);
+        fs.writeFileSync(file, `${JSON.stringify(records[0])}\n{"t":`);
+        expect(() => ReplaySource.readLogs(file)).to.throw(`Invalid record at ${file}:2`);
+    });
+
+    it('should reject the start when the logs cannot be read', () => {
+        fs.writeFileSync(file, '{"t":');
+        const invalid = new ReplaySource(new Drone(), { path: file });
+        const missing = new ReplaySource(new Drone(), { path: '/nonexistent/flight.ndjson' });
+        let started;
+        expect(() => {
+            started = Promise.all([
+                invalid.start().then(() => null, (error) => error.message),
+                missing.start().then(() => null, (error) => error.code),
+            ]);
+        }).to.not.throw();
+        return started.then((errors) => {
+            expect(errors[0]).to.contain(`Invalid record at ${file}:1`);
+            expect(errors[1]).to.equal('ENOENT');
+        });
+    });
+
+    it('should send the recorded commands and flight params to the drone', function commands() {
+        this.timeout(5000);
+        const transport = new LoopbackTransport();
+        const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 20, takeOffAltitude: 0.1 });
+        const drone = new Drone({ transport });
+        return new Promise((resolve) => {
+            drone.once('limitsApplied', resolve);
+            drone.connect();
+        })
+            .then(() => new ReplaySource(drone, { records, speed: 20, mode: 'commands' }).start())
+            .then(() => {
+                expect(['hovering', 'flying']).to.include(simulator.flightStatus);
+                expect(drone.flightParams.pitch).to.equal(30);
+                drone.disconnect();
+            });
+    });
+
+    it('should not shape the recorded flight params again', function shaped() {
+        this.timeout(5000);
+        const transport = new LoopbackTransport();
+        const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 20, takeOffAltitude: 0.1 });
+        const drone = new Drone({ transport, inputShaping: { preset: 'beginner' } });
+        return new Promise((resolve) => {
+            drone.once('limitsApplied', resolve);
+            drone.connect();
+        })
+            .then(() => {
+                sinon.spy(drone.network, 'writeFlightParams');
+                return new ReplaySource(drone, { records, speed: 20, mode: 'commands' }).start();
+            })
+            .then(() => new Promise((resolve) => setTimeout(resolve, drone.options.updateMS * 2)))
+            .then(() => {
+                expect(['hovering', 'flying']).to.include(simulator.flightStatus);
+                expect(drone.network.writeFlightParams.lastCall.args[0].pitch).to.equal(30);
+                drone.disconnect();
+            });
+    });
+});
@@ -0,0 +1,161 @@
+/* eslint no-undef: 0 */
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const MiniDroneBtAdapter = require('./../../lib/MiniDroneBtAdapter');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+/**
+ * Connects an adapter to a simulator whose physics loop is stepped by hand
+ * @param {Object} options The simulator options
+ * @param {Function} callback Called with the adapter and simulator once connected
+ * @return {undefined}
+ */
+const connectSimulator = (options, callback) => {
+    const transport = new LoopbackTransport();
+    const simulator = new SimulatedMiniDrone(Object.assign({ transport, autostart: false }, options));
+    const adapter = new MiniDroneBtAdapter({ transport });
+    adapter.once('connected', () => callback(adapter, simulator));
+    adapter.connect();
+};
+
+/**
+ * Steps the simulator's flight model
+ * @param {SimulatedMiniDrone} simulator The simulator
+ * @param {Integer} ms The duration to simulate
+ * @return {undefined}
+ */
+const fly = (simulator, ms) => {
+    for (let elapsed = 0; elapsed < ms; elapsed += 50) {
+        simulator.tick(50);
+    }
+};
+
+describe('SimulatedMiniDrone', () => {
+    it('should notify its initial state on connect', (done) => {
+        const transport = new LoopbackTransport();
+        const simulator = new SimulatedMiniDrone({ transport, autostart: false, battery: 64 });
+        const adapter = new MiniDroneBtAdapter({ transport });
+        adapter.once('connected', () => {
+            expect(simulator.interval).to.equal(null);
+            expect(adapter.batteryLevel).to.equal(64);
+            expect(adapter.flightStatus).to.equal('landed');
+            done();
+        });
+        adapter.connect();
+    });
+
+    it('should take off to hovering and land', (done) => {
+        connectSimulator({}, (adapter, simulator) => {
+            const statuses = [];
+            adapter.on('flightStatusChange', (status) => statuses.push(status));
+
+            adapter.writeTakeoff();
+            fly(simulator, 2000);
+            expect(simulator.position.z).to.be.within(0.8, 1.2);
+
+            adapter.writeLand();
+            fly(simulator, 5000);
+            expect(simulator.position.z).to.equal(0);
+            expect(statuses).to.deep.equal(['taking off', 'hovering', 'landing', 'landed']);
+            done();
+        });
+    });
+
+    it('should fly forward on pitch and report its position', (done) => {
+        connectSimulator({}, (adapter, simulator) => {
+            const spy = sinon.spy();
+            adapter.on('dronePositionChange', spy);
+            adapter.writeTakeoff();
+            fly(simulator, 2000);
+
+            adapter.writeFlightParams({ roll: 0, pitch: 50, yaw: 0, altitude: 0 });
+            fly(simulator, 2000);
+            expect(adapter.flightStatus).to.equal('flying');
+            expect(simulator.position.x).to.be.above(0.5);
+            expect(Math.abs(simulator.position.y)).to.be.below(0.01);
+
+            const position = spy.lastCall.args[0];
+            expect(position.x).to.be.closeTo(simulator.position.x * 100, 20);
+            expect(position.z).to.be.closeTo(simulator.position.z * 100, 5);
+            done();
+        });
+    });
+
+    it('should clamp and echo the settings it receives', (done) => {
+        connectSimulator({}, (adapter, simulator) => {
+            adapter.writeMaxAltitude(50);
+            adapter.writeMaxRotationSpeed(100);
+            expect(simulator.settings.maxAltitude).to.equal(10);
+            expect(simulator.settings.maxRotationSpeed).to.equal(100);
+            done();
+        });
+    });
+
+    it('should drain its battery and raise the battery alerts', (done) => {
+        connectSimulator({ battery: 22, flightTime: 10 }, (adapter, simulator) => {
+            const alerts = [];
+            adapter.on('alertStateChange', (alert) => alerts.push(alert));
+            adapter.writeTakeoff();
+            fly(simulator, 3000);
+
+            expect(adapter.batteryLevel).to.be.below(22);
+            expect(alerts).to.deep.equal(['low_battery', 'critical_battery', 'cut_out']);
+            expect(adapter.flightStatus).to.equal('emergency');
+            done();
+        });
+    });
+
+    it('should cut the rotors on emergency', (done) => {
+        connectSimulator({}, (adapter, simulator) => {
+            adapter.writeTakeoff();
+            fly(simulator, 2000);
+
+            adapter.writeEmergency();
+            expect(adapter.flightStatus).to.equal('emergency');
+            fly(simulator, 1000);
+            expect(simulator.position.z).to.equal(0);
+            expect(adapter.flightStatus).to.equal('landed');
+            done();
+        });
+    });
+
+    it('should ack the commands it receives and apply them once', (done) => {
+        connectSimulator({}, (adapter, simulator) => {
+            const spy = sinon.spy();
+            simulator.on('command', spy);
+            const frame = adapter.createBuffer('fa0b', adapter.codec.encode('minidrone', 'Piloting', 'TakeOff'));
+
+            adapter.transport.write('fa0b', frame);
+            adapter.transport.write('fa0b', frame);
+            expect(spy).to.have.callCount(1);
+
+            adapter.writeTakeoff().then(() => {
+                expect(adapter.pendingAcks).to.deep.equal({});
+                done();
+            }, done);
+        });
+    });
+
+    it('should drop a malformed frame and keep going', (done) => {
+        connectSimulator({}, (adapter, simulator) => {
+            const spy = sinon.spy();
+            simulator.on('command', spy);
+            // MaxAltitude with its float argument cut short
+            const args = adapter.codec.encode('minidrone', 'PilotingSettings', 'MaxAltitude', { current: 5 });
+            const frame = adapter.createBuffer('fa0b', args.slice(0, args.length - 3));
+
+            expect(() => adapter.transport.write('fa0b', frame)).to.not.throw();
+            expect(spy).to.have.callCount(0);
+            expect(simulator.settings.maxAltitude).to.not.equal(5);
+
+            adapter.writeTakeoff().then(() => {
+                expect(spy).to.have.callCount(1);
+                done();
+            }, done);
+        });
+    });
+});
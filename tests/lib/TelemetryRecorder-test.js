@@ -0,0 +1,124 @@
+/* eslint no-undef: 0 */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const TelemetryRecorder = require('./../../lib/TelemetryRecorder');
+const Drone = require('./../../lib/Drone');
+const LoopbackTransport = require('./../../lib/LoopbackTransport');
+const SimulatedMiniDrone = require('./../../lib/SimulatedMiniDrone');
+chai.use(SinonChai);
+
+describe('TelemetryRecorder', () => {
+    const file = path.join(os.tmpdir(), `minidrone-log-${process.pid}.ndjson`);
+    const second = path.join(os.tmpdir(), `minidrone-log-${process.pid}-2.ndjson`);
+
+    /**
+     * Reads a log
+     * @param {String} log The path
+     * @return {Array} The records
+     */
+    const read = (log) => fs.readFileSync(log, 'utf8').trim().split('\n')
+        .map((line) => JSON.parse(line));
+
+    afterEach(() => {
+        [file, second].filter((log) => fs.existsSync(log)).forEach((log) => fs.unlinkSync(log));
+    });
+
+    it('should record the events and the commands with a session header', () => {
+        const drone = new Drone({ maxAltitude: 3 });
+        drone.state.update({ product: { name: 'Mars_123456', model: 'Mars' } });
+        const recorder = drone.startRecording(file, { rotate: false });
+        expect(recorder).to.be.an.instanceof(TelemetryRecorder);
+
+        drone.emit('batteryStatusChange', 80);
+        drone.emit('command', { project: 'minidrone', class: 'Piloting', command: 'PCMD', args: {} });
+        drone.emit('command', { project: 'minidrone', class: 'Piloting', command: 'TakeOff', args: {} });
+        drone.emit('commandFailed', new Error('No ack'), new Buffer([0x04, 0x01]));
+        drone.emit('stateChange', { battery: 80 });
+
+        return drone.stopRecording().then(() => {
+            const records = read(file);
+            expect(records).to.have.length(4);
+            expect(records[0]).to.include({ type: 'session', version: 1, flight: 1 });
+            expect(records[0].drone).to.include({ name: 'Mars_123456', model: 'Mars' });
+            expect(records[0].limits).to.deep.equal({ maxAltitude: 3, maxTilt: 12, maxVerticalSpeed: 1, maxRotationSpeed: 120 });
+            expect(records[1]).to.include({ type: 'event', event: 'batteryStatusChange', data: 80 });
+            expect(records[2]).to.include({ type: 'command', command: 'minidrone.Piloting.TakeOff' });
+            expect(records[3].data).to.deep.equal([{ error: 'No ack' }, '0401']);
+            records.reduce((previous, record) => {
+                expect(record.t).to.be.at.least(previous);
+                return record.t;
+            }, 0);
+            expect(drone.listenerCount('batteryStatusChange')).to.equal(0);
+        });
+    });
+
+    it('should start a new log for each flight', () => {
+        const drone = new Drone();
+        const files = sinon.spy();
+        drone.startRecording(file).on('file', files);
+        drone.emit('batteryStatusChange', 80);
+        ['taking off', 'hovering', 'landing', 'landed'].forEach((status) => drone.emit('flightStatusChange', status));
+        drone.emit('batteryStatusChange', 79);
+        drone.emit('flightStatusChange', 'taking off');
+        return drone.stopRecording().then(() => {
+            expect(files).to.have.callCount(2);
+            expect(files).to.have.been.calledWith(file);
+            expect(files).to.have.been.calledWith(second);
+            expect(read(file).map((record) => record.data)).to.deep.equal([undefined, 'taking off', 'hovering', 'landing', 'landed']);
+            const next = read(second);
+            expect(next[0]).to.include({ type: 'session', flight: 2 });
+            expect(next[1].data).to.equal('taking off');
+        });
+    });
+
+    it('should reject the stop when the log could not be written', () => {
+        const drone = new Drone();
+        drone.startRecording('/nonexistent/dir/flight.ndjson', { rotate: false });
+        drone.emit('batteryStatusChange', 80);
+        return new Promise((resolve) => setTimeout(resolve, 20))
+            .then(() => drone.stopRecording())
+            .then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => expect(error.code).to.equal('ENOENT'))
+            .then(() => {
+                drone.startRecording('/nonexistent/dir/flight.ndjson', { rotate: false });
+                drone.emit('batteryStatusChange', 79);
+                return drone.stopRecording();
+            })
+            .then(() => {
+                throw new Error('should have been rejected');
+            }, (error) => expect(error.code).to.equal('ENOENT'));
+    });
+
+    it('should record a flight of the simulator', function flight() {
+        this.timeout(5000);
+        const transport = new LoopbackTransport();
+        const simulator = new SimulatedMiniDrone({ transport, tickMS: 5, takeOffMS: 20, takeOffAltitude: 0.1 });
+        const drone = new Drone({ transport, updateMS: 10 });
+        drone.startRecording(file);
+        return new Promise((resolve) => {
+            drone.once('limitsApplied', resolve);
+            drone.connect();
+        })
+            .then(() => drone.takeOff())
+            .then(() => drone.land())
+            .then(() => drone.stopRecording())
+            .then(() => {
+                drone.disconnect();
+                expect(simulator.flightStatus).to.equal('landed');
+                const records = read(file);
+                expect(records[1]).to.include({ type: 'command', command: 'minidrone.Piloting.TakeOff' });
+                expect(records[records.length - 1]).to.include({ event: 'flightStatusChange', data: 'landed' });
+                const commands = records.filter((record) => record.type === 'command').map((record) => record.command);
+                expect(commands).to.include.members(['minidrone.Piloting.TakeOff', 'minidrone.Piloting.Landing']);
+                const events = records.map((record) => record.event);
+                expect(events).to.include.members(['flightParamChange', 'flightStatusChange']);
+                expect(events).to.not.include('connected');
+            });
+    });
+});
@@ -0,0 +1,99 @@
+/* eslint no-undef: 0 */
+const EventEmitter = require('events');
+const chai = require('chai');
+const expect = chai.expect;
+const SinonChai = require('sinon-chai');
+const sinon = require('sinon');
+const WebSocket = require('./../../lib/WebSocket');
+chai.use(SinonChai);
+
+describe('WebSocket', () => {
+    const mask = new Buffer([0x37, 0xfa, 0x21, 0x3d]);
+
+    /**
+     * A socket recording what is written to it
+     * @return {EventEmitter} The socket
+     */
+    const createSocket = () => {
+        const socket = new EventEmitter();
+        socket.setNoDelay = sinon.spy();
+        socket.write = sinon.spy();
+        socket.end = sinon.spy();
+        socket.destroy = sinon.spy();
+        return socket;
+    };
+
+    it('should encode and parse the frames of RFC 6455', () => {
+        // the masked "Hello" of section 5.7
+        const hello = WebSocket.encodeFrame(WebSocket.OPCODES.text, 'Hello', mask);
+        expect(hello.toString('hex')).to.equal('818537fa213d7f9f4d5158');
+        expect(WebSocket.encodeFrame(WebSocket.OPCODES.text, 'Hello').toString('hex')).to.equal('810548656c6c6f');
+
+        const long = new Buffer(300).fill(0x61);
+        const parsed = WebSocket.parseFrames(Buffer.concat([hello, WebSocket.encodeFrame(WebSocket.OPCODES.binary, long, mask)]));
+        expect(parsed.frames).to.have.length(2);
+        expect(parsed.frames[0]).to.deep.include({ fin: true, opcode: 1 });
+        expect(parsed.frames[0].payload.toString()).to.equal('Hello');
+        expect(parsed.frames[1].payload.equals(long)).to.equal(true);
+        expect(parsed.rest).to.have.length(0);
+    });
+
+    it('should keep the bytes of an incomplete frame', () => {
+        const frame = WebSocket.encodeFrame(WebSocket.OPCODES.text, 'Hello', mask);
+        const parsed = WebSocket.parseFrames(frame.slice(0, 7));
+        expect(parsed.frames).to.have.length(0);
+        expect(parsed.rest).to.have.length(7);
+    });
+
+    it('should complete the handshake and refuse other requests', () => {
+        const socket = createSocket();
+        const client = WebSocket.accept({ headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' } }, socket);
+        expect(client).to.be.an.instanceof(WebSocket);
+        expect(socket.write.firstCall.args[0]).to.contain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n');
+
+        const other = createSocket();
+        expect(WebSocket.accept({ headers: {} }, other)).to.equal(null);
+        expect(other.end.firstCall.args[0]).to.contain('400 Bad Request');
+    });
+
+    it('should emit the messages, across reads and fragments, and answer pings', () => {
+        const socket = createSocket();
+        const client = new WebSocket(socket);
+        const message = sinon.spy();
+        client.on('message', message);
+
+        const first = WebSocket.encodeFrame(WebSocket.OPCODES.text, 'Hel', mask);
+        first[0] &= 0x7f;
+        const frames = Buffer.concat([
+            first,
+            WebSocket.encodeFrame(WebSocket.OPCODES.continuation, 'lo', mask),
+            WebSocket.encodeFrame(WebSocket.OPCODES.ping, 'beat', mask),
+        ]);
+        socket.emit('data', frames.slice(0, 5));
+        socket.emit('data', frames.slice(5));
+
+        expect(message).to.have.been.calledWith('Hello');
+        expect(message).to.have.callCount(1);
+        expect(socket.write).to.have.been.calledWith(WebSocket.encodeFrame(WebSocket.OPCODES.pong, 'beat'));
+    });
+
+    it('should close on a close frame and on a message too large', () => {
+        const socket = createSocket();
+        const client = new WebSocket(socket, { maxPayload: 4 });
+        const close = sinon.spy();
+        client.on('close', close);
+        socket.emit('data', WebSocket.encodeFrame(WebSocket.OPCODES.text, 'Hello', mask));
+        expect(socket.end.firstCall.args[0].toString('hex')).to.equal('880203f1');
+        expect(client.open).to.equal(false);
+        client.send('ignored');
+        expect(socket.write).to.have.callCount(0);
+        socket.emit('close');
+        expect(close).to.have.callCount(1);
+
+        const closing = createSocket();
+        const closed = new WebSocket(closing);
+        closing.emit('data', WebSocket.encodeFrame(WebSocket.OPCODES.close, new Buffer([0x03, 0xe8]), mask));
+        expect(closing.end.firstCall.args[0].toString('hex')).to.equal('880203e8');
+        expect(closed.open).to.equal(false);
+    });
+});